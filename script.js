@@ -10,9 +10,91 @@
 // =============================================
 const NOTES_STORAGE_KEY = 'notesApp_notes';
 const THEME_STORAGE_KEY = 'notesApp_theme';
-const CATEGORIES = ['Study', 'Work', 'Personal', 'Others'];
+const CATEGORIES_STORAGE_KEY = 'notesApp_categories';
+const TRASH_STORAGE_KEY = 'notesApp_trash';
+const SETTINGS_STORAGE_KEY = 'notesApp_settings';
+const STORAGE_MIGRATED_KEY = 'notesApp_migratedToIndexedDB';
+const DB_NAME = 'notesApp';
+const DB_VERSION = 1;
+const STORAGE_COLLECTIONS = ['notes', 'trash'];
+const SYNC_CHANNEL_NAME = 'notesApp_sync';
+const SYNC_STORAGE_KEY = 'notesApp_syncMessage';
+const DRAFTS_STORAGE_KEY = 'notesApp_drafts';
+const SHORTCUTS_STORAGE_KEY = 'notesApp_shortcuts';
+const VAULT_STORAGE_KEY = 'notesApp_vault';
+const VAULT_KDF_ITERATIONS = 600000; // PBKDF2-SHA256
+const VAULT_KDF_MAX_ITERATIONS = VAULT_KDF_ITERATIONS * 10; // Files asking for more would hang the tab
+const MIN_PASSPHRASE_LENGTH = 8;
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30, 60, 0]; // minutes, 0 = never
+const AUTO_LOCK_ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+const ENCRYPTED_EXPORT_TYPE = 'notesApp-encrypted-export';
+const REMINDERS_STORAGE_KEY = 'notesApp_firedReminders';
+const NEW_NOTE_DRAFT_KEY = 'new';
+const DEFAULT_CATEGORIES = [
+    { name: 'Study', color: '#fff3e0' },
+    { name: 'Work', color: '#e8f5e9' },
+    { name: 'Personal', color: '#e3f2fd' },
+    { name: 'Others', color: '#fce4ec' }
+];
 const DEFAULT_CATEGORY = 'Personal';
+const MAX_CATEGORY_NAME_LENGTH = 30;
+const MAX_TAG_LENGTH = 30;
+const SEARCH_FIELDS = ['title', 'content', 'category', 'tag', 'pinned', 'created', 'updated'];
+const SEARCH_FIELD_WEIGHTS = { title: 3, tags: 2, content: 1 };
+const SEARCH_MATCH_WEIGHTS = { prefix: 0.7, typo: 0.5 };
+const SEARCH_RECENCY_BOOST = 0.5; // Up to +50% for notes edited just now
+const SEARCH_RECENCY_DAYS = 30;
+const LIST_URL_PARAMS = ['q', 'category', 'tags', 'match', 'sort', 'group'];
+const SORT_ORDERS = {
+    created: 'Date created',
+    updated: 'Last updated',
+    due: 'Due date',
+    title: 'Title (A–Z)',
+    category: 'Category',
+    length: 'Content length',
+    relevance: 'Relevance'
+};
+const GROUP_MODES = {
+    pinned: 'Pinned first',
+    category: 'Category',
+    month: 'Month created',
+    none: 'No grouping'
+};
 const DEBOUNCE_DELAY = 300; // ms
+const TOAST_DURATIONS = { success: 4000, info: 5000, warning: 7000, error: 10000 }; // ms
+const ACTION_TOAST_DURATION = 10000; // ms, for toasts with an Undo button
+const MAX_VISIBLE_TOASTS = 3;
+const MAX_NOTIFICATIONS = 50;
+const SERVICE_WORKER_URL = 'sw.js';
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000; // ms
+const SHARE_TARGET_PARAMS = ['shareTitle', 'shareText', 'shareUrl']; // see share_target in manifest.webmanifest
+const REMINDER_ACTION_PARAM = 'reminderAction'; // see notificationclick in sw.js
+const AUTOSAVE_DELAY = 1000; // ms
+const MAX_TITLE_LENGTH = 100;
+const IMPORT_MODES = ['merge', 'skip-duplicates', 'replace-all'];
+const MARKDOWN_IMPORT_EXTENSIONS = ['md', 'markdown', 'txt'];
+const EXPORT_FORMATS = {
+    json: { label: 'JSON', help: 'A full backup that can be imported again' },
+    'markdown-zip': { label: 'Markdown files (ZIP)', help: 'One .md file per note with YAML front matter' },
+    markdown: { label: 'Markdown document', help: 'All notes in a single .md file' },
+    text: { label: 'Plain text', help: 'All notes in a single .txt file, without formatting' }
+};
+const REVISION_FIELDS = ['title', 'content', 'category'];
+const MAX_REVISIONS = 50;
+const MAX_DIFF_CELLS = 250000; // oldLines x newLines above which diffs skip the LCS table
+const DIFF_CONTEXT_LINES = 2;
+const TRASH_RETENTION_OPTIONS = [1, 7, 30, 90, 0]; // days, 0 = never purge
+const REMINDER_OPTIONS = [0, 15, 60, 1440]; // minutes before the due time
+const SNOOZE_MINUTES = 10;
+const UPCOMING_DAYS = 7; // Due notes shown under "Upcoming" in the notes list
+const MISSED_REMINDER_DELAY = 60 * 1000; // ms late after which a reminder counts as missed
+const MAX_TIMER_DELAY = 2 ** 31 - 1; // ms, longer setTimeout delays fire at once
+const DEFAULT_SETTINGS = {
+    trashRetentionDays: 30,
+    autoLockMinutes: 15,
+    sortOrder: 'created',
+    groupBy: 'pinned'
+};
 
 // DOM Elements
 const elements = {
@@ -20,17 +102,103 @@ const elements = {
     createNoteBtn: document.getElementById('createNoteBtn'),
     viewNotesBtn: document.getElementById('viewNotesBtn'),
     exportNotesBtn: document.getElementById('exportNotesBtn'),
+    importNotesBtn: document.getElementById('importNotesBtn'),
+    importFileInput: document.getElementById('importFileInput'),
+    manageCategoriesBtn: document.getElementById('manageCategoriesBtn'),
+    trashBtn: document.getElementById('trashBtn'),
+    trashCount: document.getElementById('trashCount'),
     searchInput: document.getElementById('searchNotes'),
     themeToggle: document.getElementById('themeToggle'),
-    liveRegion: document.getElementById('liveRegion')
+    shortcutsBtn: document.getElementById('shortcutsBtn'),
+    vaultBtn: document.getElementById('vaultBtn'),
+    notificationsBtn: document.getElementById('notificationsBtn'),
+    notificationCount: document.getElementById('notificationCount'),
+    toastContainer: document.getElementById('toastContainer'),
+    liveRegion: document.getElementById('liveRegion'),
+    printArea: document.getElementById('printArea')
 };
 
 // App State
 let state = {
     notes: [],
+    trash: [],
+    categories: [],
+    settings: { ...DEFAULT_SETTINGS },
     currentSearchTerm: '',
     currentCategory: 'all',
-    isDarkMode: false
+    currentTags: [],
+    tagMatchMode: 'any',
+    sortOrder: DEFAULT_SETTINGS.sortOrder,
+    groupBy: DEFAULT_SETTINGS.groupBy,
+    selectionMode: false,
+    selectedNoteIds: [],
+    lastSelectedNoteId: null,
+    isDarkMode: false,
+    shortcuts: {},
+    notifications: [],
+    currentView: 'welcome',
+    currentParams: {},
+    editingNoteId: null,
+    formBaseline: null,
+    pendingImport: null
+};
+
+// Storage backend and what was last written to it
+const persistence = {
+    adapter: null,
+    snapshots: { notes: new Map(), trash: new Map() },
+    queue: Promise.resolve()
+};
+
+// Keys of the encrypted vault while it is unlocked (see the Encrypted Vault section)
+const vault = {
+    keys: new Map(),
+    currentKeyId: null,
+    wrapping: null,
+    drafts: null,
+    draftsWrite: Promise.resolve(),
+    hasStaleRecords: false,
+    lockTimer: null,
+    activityListener: null,
+    isLocking: false
+};
+
+// Decrypted locked notes, by note ID, while they are open (see the Locked Notes section)
+const unlockedNotes = new Map();
+
+// Channel to the app's other open tabs (null where BroadcastChannel is unsupported)
+let syncChannel = null;
+
+// Pending autosave of the note form
+let draftTimer = null;
+
+// Whether the user chose to stay on the note form when searching (see handleSearch)
+let searchLeaveDeclined = false;
+
+// Next run of the reminder scheduler (see scheduleReminders)
+let reminderTimer = null;
+
+// Commands of the command palette and keyboard shortcuts, by ID
+const commands = new Map();
+
+// The open dialog (see showOverlay) and the element to focus once it closes
+let activeOverlay = null;
+
+// Toasts on screen and waiting for room (see showMessage)
+const toasts = {
+    visible: [],
+    queued: []
+};
+
+// Lookup table of getCrc32, built on first use
+let crc32Table = null;
+
+// Inverted index of note words (see the Search Index section)
+const searchIndex = {
+    postings: new Map(),
+    noteTokens: new Map(),
+    version: 0,
+    cache: null
 };
 
 // =============================================
@@ -40,11 +208,29 @@ let state = {
 /**
  * Initialize the application
  */
-function initializeApp() {
-    loadNotes();
+async function initializeApp() {
+    loadSettings();
     initTheme();
+    await initStorage();
+    
+    // Nothing from the notes is shown before the vault is unlocked
+    if (isVaultEnabled()) {
+        await showLockScreen();
+    }
+    
+    await loadNotes();
+    await loadTrash();
+    completeVaultRekey();
+    startAutoLock();
+    loadCategories();
+    purgeExpiredTrash();
+    updateTrashCount();
+    initSync();
     setupEventListeners();
-    showWelcomeScreen();
+    initShortcuts();
+    showInitialView();
+    scheduleReminders();
+    registerServiceWorker();
     updateLiveMessage('Application initialized');
 }
 
@@ -56,15 +242,47 @@ function setupEventListeners() {
     elements.createNoteBtn?.addEventListener('click', () => navigateTo('create'));
     elements.viewNotesBtn?.addEventListener('click', () => navigateTo('view'));
     elements.exportNotesBtn?.addEventListener('click', handleExportNotes);
+    elements.importNotesBtn?.addEventListener('click', () => {
+        if (confirmLeaveNoteForm()) elements.importFileInput?.click();
+    });
+    elements.importFileInput?.addEventListener('change', handleImportFile);
+    elements.manageCategoriesBtn?.addEventListener('click', () => navigateTo('categories'));
+    elements.trashBtn?.addEventListener('click', () => navigateTo('trash'));
     
     // Theme toggle
     elements.themeToggle?.addEventListener('click', toggleTheme);
+    elements.shortcutsBtn?.addEventListener('click', showShortcutHelp);
+    elements.vaultBtn?.addEventListener('click', showVaultSettings);
+    elements.notificationsBtn?.addEventListener('click', showNotificationHistory);
     
     // Search functionality
     elements.searchInput?.addEventListener('input', debounce(handleSearch, DEBOUNCE_DELAY));
+    elements.searchInput?.addEventListener('focus', () => {
+        searchLeaveDeclined = false;
+    });
+    elements.searchInput?.addEventListener('keydown', (e) => {
+        if (e.key !== 'Enter') return;
+        searchLeaveDeclined = false;
+        handleSearch(e);
+    });
     
     // Handle back/forward browser navigation
     window.addEventListener('popstate', handlePopState);
+    
+    // Timers of hidden tabs are throttled: catch up on reminders when the tab shows again
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'visible') scheduleReminders();
+    });
+    
+    // Keep drafts and warn before closing the tab with unsaved changes
+    window.addEventListener('beforeunload', (e) => {
+        flushDraftSave();
+        // Locking saved the draft, so there is nothing to warn about
+        if (isNoteFormDirty() && !vault.isLocking) {
+            e.preventDefault();
+            e.returnValue = '';
+        }
+    });
 }
 
 // =============================================
@@ -75,28 +293,47 @@ function setupEventListeners() {
  * Handle navigation between different views
  * @param {string} screen - The screen to navigate to
  * @param {Object} params - Optional parameters for the screen
+ * @param {Object} options - { history: 'push' (default), 'replace' or 'none' to leave the history alone }
  */
-function navigateTo(screen, params = {}) {
-    // Clear any existing messages
-    clearMessages();
+function navigateTo(screen, params = {}, options = {}) {
+    // Don't silently drop unsaved changes in the note form
+    if (!confirmLeaveNoteForm()) return;
     
     // Update URL without page reload
-    const url = new URL(window.location);
-    url.searchParams.set('view', screen);
-    window.history.pushState({ screen, params }, '', url);
+    const history = options.history || 'push';
+    if (history !== 'none') {
+        const url = buildViewUrl(screen, params);
+        window.history[history === 'replace' ? 'replaceState' : 'pushState']({ screen, params }, '', url);
+    }
     
     // Show loading state
     elements.mainContent.innerHTML = '<div class="loading">Loading...</div>';
+    state.currentView = screen;
+    state.currentParams = params;
+    state.editingNoteId = null;
+    state.formBaseline = null;
+    state.selectionMode = false;
+    state.selectedNoteIds = [];
+    forgetUnlockedNotes(params.noteId);
     
     // Load the appropriate screen
     try {
         switch (screen) {
             case 'create':
-                showNoteForm(params.noteId);
+                showNoteForm(params.noteId, { prefill: params.prefill });
                 break;
             case 'view':
                 showNotesList();
                 break;
+            case 'note':
+                showNoteDetail(params.noteId);
+                break;
+            case 'categories':
+                showCategoryManager();
+                break;
+            case 'trash':
+                showTrash();
+                break;
             case 'welcome':
             default:
                 showWelcomeScreen();
@@ -109,733 +346,8605 @@ function navigateTo(screen, params = {}) {
 }
 
 /**
- * Handle browser back/forward navigation
+ * Build the URL of a screen from the current one
+ * @param {string} screen - The screen
+ * @param {Object} params - The parameters of the screen
+ * @returns {URL} - The URL
  */
-function handlePopState(event) {
-    if (event.state) {
-        const { screen, params } = event.state;
-        navigateTo(screen, params);
+function buildViewUrl(screen, params = {}) {
+    const url = new URL(window.location);
+    url.searchParams.set('view', screen);
+    
+    // Shared text and notification actions are used once, so reloading doesn't repeat them
+    SHARE_TARGET_PARAMS.forEach(name => url.searchParams.delete(name));
+    url.searchParams.delete(REMINDER_ACTION_PARAM);
+    
+    if (['note', 'create'].includes(screen) && params.noteId) {
+        url.searchParams.set('id', params.noteId);
     } else {
-        navigateTo('welcome');
+        url.searchParams.delete('id');
+    }
+    
+    // The list state goes with the list and its notes, so prev/next follow the same list
+    LIST_URL_PARAMS.forEach(name => url.searchParams.delete(name));
+    if (screen === 'view' || screen === 'note') {
+        if (state.currentSearchTerm) url.searchParams.set('q', state.currentSearchTerm);
+        if (state.currentCategory !== 'all') url.searchParams.set('category', state.currentCategory);
+        if (state.currentTags.length > 0) url.searchParams.set('tags', state.currentTags.join(','));
+        if (state.tagMatchMode === 'all') url.searchParams.set('match', 'all');
+        url.searchParams.set('sort', state.sortOrder);
+        url.searchParams.set('group', state.groupBy);
     }
+    
+    return url;
 }
 
-// =============================================
-// Note Management
-// =============================================
-
 /**
- * Load notes from localStorage
+ * Show the screen named in the URL when the app is opened
  */
-function loadNotes() {
-    try {
-        const savedNotes = localStorage.getItem(NOTES_STORAGE_KEY);
-        state.notes = savedNotes ? JSON.parse(savedNotes) : [];
-        return state.notes;
-    } catch (error) {
-        console.error('Error loading notes:', error);
-        showError('Failed to load notes');
-        return [];
+function showInitialView() {
+    const params = new URL(window.location).searchParams;
+    const screen = params.get('view');
+    const noteId = params.get('id');
+    
+    restoreListState();
+    
+    const sharedNote = getSharedNote(params);
+    if (sharedNote) {
+        navigateTo('create', { prefill: sharedNote }, { history: 'replace' });
+    } else if (screen === 'note' && noteId) {
+        navigateTo('note', { noteId }, { history: 'replace' });
+        // A Snooze or Mark done button of a notification clicked while no tab was open
+        if (params.get(REMINDER_ACTION_PARAM)) {
+            handleReminderAction(params.get(REMINDER_ACTION_PARAM), noteId);
+        }
+    } else if (screen === 'create') {
+        navigateTo('create', noteId ? { noteId } : {}, { history: 'replace' });
+    } else if (['view', 'categories', 'trash'].includes(screen)) {
+        navigateTo(screen, {}, { history: 'replace' });
+    } else {
+        showWelcomeScreen();
     }
 }
 
 /**
- * Save notes to localStorage
+ * Read text shared with the installed app through its share target
+ * @param {URLSearchParams} params - The query of the page URL
+ * @returns {Object|null} - The title and content of the new note, or null if nothing was shared
  */
-function saveNotes() {
-    try {
-        localStorage.setItem(NOTES_STORAGE_KEY, JSON.stringify(state.notes));
-        return true;
-    } catch (error) {
-        console.error('Error saving notes:', error);
-        showError('Failed to save notes');
-        return false;
+function getSharedNote(params) {
+    if (!SHARE_TARGET_PARAMS.some(param => params.get(param))) return null;
+    
+    const text = (params.get('shareText') || '').trim();
+    const url = (params.get('shareUrl') || '').trim();
+    // Some apps put the link in the text as well
+    const content = [text, url && !text.includes(url) ? url : ''].filter(Boolean).join('\n\n');
+    const title = (params.get('shareTitle') || '').trim() || text.split('\n')[0].trim() || url || 'Shared note';
+    
+    return {
+        title: title.slice(0, MAX_TITLE_LENGTH),
+        content
+    };
+}
+
+/**
+ * Restore the state of the notes list (search, category and tag filters,
+ * sort and grouping) from the URL. Sort and grouping fall back to the
+ * remembered choice.
+ */
+function restoreListState() {
+    const params = new URL(window.location).searchParams;
+    const category = params.get('category');
+    
+    state.currentSearchTerm = (params.get('q') || '').trim();
+    state.currentCategory = category && findCategory(category) ? category.toLowerCase() : 'all';
+    state.currentTags = normalizeTags((params.get('tags') || '').split(','));
+    state.tagMatchMode = params.get('match') === 'all' ? 'all' : 'any';
+    state.sortOrder = getValidOption(params.get('sort'), SORT_ORDERS) ||
+        getValidOption(state.settings.sortOrder, SORT_ORDERS) || DEFAULT_SETTINGS.sortOrder;
+    state.groupBy = getValidOption(params.get('group'), GROUP_MODES) ||
+        getValidOption(state.settings.groupBy, GROUP_MODES) || DEFAULT_SETTINGS.groupBy;
+    
+    if (elements.searchInput) {
+        elements.searchInput.value = state.currentSearchTerm;
     }
 }
 
 /**
- * Create a new note
- * @param {Object} noteData - The note data
- * @returns {boolean} - Success status
+ * Put the current state of the notes list in the URL
+ * @param {boolean} pushHistory - Add a history entry instead of replacing the current one
  */
-function createNote(noteData) {
-    try {
-        const newNote = {
-            id: Date.now().toString(),
-            title: noteData.title.trim(),
-            content: noteData.content.trim(),
-            category: noteData.category || DEFAULT_CATEGORY,
-            isPinned: false,
-            createdAt: new Date().toISOString(),
-            updatedAt: new Date().toISOString()
-        };
-        
-        state.notes.unshift(newNote);
-        const success = saveNotes();
-        if (success) {
-            updateLiveMessage('Note created successfully');
-        }
-        return success;
-    } catch (error) {
-        console.error('Error creating note:', error);
-        showError('Failed to create note');
-        return false;
+function updateListUrl(pushHistory = false) {
+    const params = state.currentParams;
+    const url = buildViewUrl(state.currentView, params);
+    if (url.href === window.location.href) return;
+    
+    window.history[pushHistory ? 'pushState' : 'replaceState']({ screen: state.currentView, params }, '', url);
+}
+
+/**
+ * Handle browser back/forward navigation
+ */
+function handlePopState(event) {
+    if (!confirmLeaveNoteForm()) {
+        // Stay on the form: put back the history entry the browser just left
+        const params = state.currentParams;
+        window.history.pushState({ screen: state.currentView, params }, '', buildViewUrl(state.currentView, params));
+        return;
+    }
+    
+    // The search, filters and sort of the entry we went back or forward to
+    restoreListState();
+    
+    // The browser already moved to the entry, so only the screen is rendered
+    if (event.state) {
+        const { screen, params } = event.state;
+        navigateTo(screen, params, { history: 'none' });
+    } else {
+        navigateTo('welcome', {}, { history: 'none' });
     }
 }
 
+// =============================================
+// Storage Adapters
+// =============================================
+
+/*
+ * Notes and trashed notes are persisted through a storage adapter. Every
+ * adapter implements the same asynchronous interface:
+ *
+ *   init()                      Open the backend
+ *   load(collection)            Resolve with all records of 'notes' or 'trash'
+ *   write(collection, changes)  Persist { records, upserts, removedIds }, where
+ *                               records is the whole collection and upserts /
+ *                               removedIds are what changed since the last write
+ *   clear()                     Delete every stored record
+ *
+ * Adapters are free to use whichever part of `changes` suits the backend:
+ * localStorage rewrites its single key, IndexedDB writes only changed notes.
+ */
+
 /**
- * Update an existing note
- * @param {string} noteId - The ID of the note to update
- * @param {Object} updates - The updates to apply
- * @returns {boolean} - Success status
+ * Create the adapter that keeps each collection as one JSON array in localStorage
+ * @returns {Object} - The storage adapter
  */
-function updateNote(noteId, updates) {
-    try {
-        const noteIndex = state.notes.findIndex(note => note.id === noteId);
-        if (noteIndex === -1) return false;
+function createLocalStorageAdapter() {
+    const keys = { notes: NOTES_STORAGE_KEY, trash: TRASH_STORAGE_KEY };
+    
+    return {
+        name: 'localStorage',
         
-        const updatedNote = {
-            ...state.notes[noteIndex],
-            ...updates,
-            updatedAt: new Date().toISOString()
-        };
+        async init() {},
         
-        state.notes[noteIndex] = updatedNote;
-        const success = saveNotes();
-        if (success) {
-            updateLiveMessage('Note updated successfully');
+        async load(collection) {
+            const saved = localStorage.getItem(keys[collection]);
+            return saved ? JSON.parse(saved) : [];
+        },
+        
+        async write(collection, { records }) {
+            localStorage.setItem(keys[collection], JSON.stringify(records));
+        },
+        
+        async clear() {
+            Object.values(keys).forEach(key => localStorage.removeItem(key));
         }
-        return success;
-    } catch (error) {
-        console.error('Error updating note:', error);
-        showError('Failed to update note');
-        return false;
-    }
+    };
 }
 
 /**
- * Delete a note
- * @param {string} noteId - The ID of the note to delete
- * @returns {boolean} - Success status
+ * Create the adapter that stores one IndexedDB record per note
+ * @returns {Object} - The storage adapter
  */
-function deleteNote(noteId) {
-    try {
-        if (!confirm('Are you sure you want to delete this note? This action cannot be undone.')) {
-            return false;
-        }
+function createIndexedDBAdapter() {
+    let db = null;
+    
+    const runTransaction = (storeNames, mode, operation) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, mode);
+        const result = operation(transaction);
+        transaction.oncomplete = () => resolve(result?.result);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+    
+    return {
+        name: 'indexedDB',
         
-        const initialLength = state.notes.length;
-        state.notes = state.notes.filter(note => note.id !== noteId);
+        init() {
+            return new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const database = request.result;
+                    STORAGE_COLLECTIONS.forEach(collection => {
+                        if (!database.objectStoreNames.contains(collection)) {
+                            database.createObjectStore(collection, { keyPath: 'id' });
+                        }
+                    });
+                };
+                request.onsuccess = () => {
+                    db = request.result;
+                    resolve();
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('IndexedDB upgrade is blocked by another open tab'));
+            });
+        },
         
-        if (state.notes.length < initialLength) {
-            const success = saveNotes();
-            if (success) {
-                updateLiveMessage('Note deleted successfully');
-                showNotesList(); // Refresh the view
-            }
-            return success;
+        async load(collection) {
+            const records = await runTransaction(collection, 'readonly', transaction =>
+                transaction.objectStore(collection).getAll()
+            );
+            // Records come back in key order
+            return sortStoredRecords(collection, records);
+        },
+        
+        write(collection, { upserts, removedIds }) {
+            return runTransaction(collection, 'readwrite', transaction => {
+                const store = transaction.objectStore(collection);
+                upserts.forEach(record => store.put(record));
+                removedIds.forEach(id => store.delete(id));
+            });
+        },
+        
+        clear() {
+            return runTransaction(STORAGE_COLLECTIONS, 'readwrite', transaction => {
+                STORAGE_COLLECTIONS.forEach(collection => transaction.objectStore(collection).clear());
+            });
         }
-        return false;
-    } catch (error) {
-        console.error('Error deleting note:', error);
-        showError('Failed to delete note');
-        return false;
-    }
+    };
 }
 
 /**
- * Toggle the pinned status of a note
- * @param {string} noteId - The ID of the note to toggle
+ * Put loaded records in the newest-first order of the app
+ * @param {string} collection - 'notes' or 'trash'
+ * @param {Array} records - The records
+ * @returns {Array} - The sorted records
  */
-function togglePinNote(noteId) {
-    const note = state.notes.find(n => n.id === noteId);
-    if (note) {
-        updateNote(noteId, { isPinned: !note.isPinned });
-        showNotesList(); // Refresh the view
-    }
+function sortStoredRecords(collection, records) {
+    const orderField = collection === 'trash' ? 'deletedAt' : 'createdAt';
+    return records.sort((a, b) => String(b[orderField]).localeCompare(String(a[orderField])));
 }
 
-// =============================================
-// UI Rendering
-// =============================================
-
 /**
- * Show the welcome screen
+ * Pick and open the storage backend, migrating old localStorage data if needed
  */
-function showWelcomeScreen() {
-    elements.mainContent.innerHTML = `
-        <div class="welcome-message">
-            <h2>Welcome to Notes App</h2>
-            <p>Your personal space for all your notes and ideas.</p>
-            <div class="welcome-illustration">
-                <div class="note-paper"></div>
-                <div class="pencil" aria-hidden="true">✏️</div>
-            </div>
-            <div class="mt-4">
-                <button class="btn btn-primary" id="getStartedBtn">Get Started</button>
-            </div>
-        </div>
-    `;
+async function initStorage() {
+    if (window.indexedDB) {
+        try {
+            const adapter = createIndexedDBAdapter();
+            await adapter.init();
+            await migrateLegacyStorage(adapter);
+            persistence.adapter = adapter;
+            return;
+        } catch (error) {
+            // Private browsing modes may refuse IndexedDB; localStorage still works there
+            console.error('IndexedDB unavailable, falling back to localStorage:', error);
+        }
+    }
     
-    // Add event listener to the Get Started button
-    document.getElementById('getStartedBtn')?.addEventListener('click', () => navigateTo('create'));
-    updateLiveMessage('Welcome to Notes App');
+    persistence.adapter = createLocalStorageAdapter();
+    await persistence.adapter.init();
 }
 
 /**
- * Show the note form (for both create and edit)
- * @param {string} noteId - Optional note ID for editing
+ * Copy notes saved by older versions (one localStorage key per collection)
+ * into IndexedDB, once. The localStorage copies are removed afterwards to free quota.
+ * @param {Object} adapter - The opened IndexedDB adapter
  */
-function showNoteForm(noteId = null) {
-    let formTitle = 'Create New Note';
-    let note = {
-        title: '',
-        content: '',
-        category: DEFAULT_CATEGORY
-    };
+async function migrateLegacyStorage(adapter) {
+    if (localStorage.getItem(STORAGE_MIGRATED_KEY)) return;
     
-    // If editing, load the existing note
-    if (noteId) {
-        const existingNote = state.notes.find(n => n.id === noteId);
-        if (existingNote) {
-            note = { ...existingNote };
-            formTitle = 'Edit Note';
+    const legacyAdapter = createLocalStorageAdapter();
+    for (const collection of STORAGE_COLLECTIONS) {
+        const records = await legacyAdapter.load(collection);
+        if (records.length > 0) {
+            await adapter.write(collection, { records, upserts: records, removedIds: [] });
         }
     }
     
-    // Generate category options
-    const categoryOptions = CATEGORIES.map(cat => 
-        `<option value="${cat}" ${note.category === cat ? 'selected' : ''}>${cat}</option>`
-    ).join('');
-    
-    elements.mainContent.innerHTML = `
-        <div class="form-container">
-            <h2 class="text-center">${formTitle}</h2>
-            <form id="noteForm" novalidate>
-                <input type="hidden" id="noteId" value="${noteId || ''}">
-                
-                <div class="form-group">
-                    <label for="noteTitle">Title</label>
-                    <input type="text" 
-                           id="noteTitle" 
-                           class="form-control" 
-                           value="${escapeHtml(note.title)}" 
-                           required
-                           maxlength="100"
-                           aria-describedby="titleHelp">
-                    <small id="titleHelp" class="form-text text-muted">Maximum 100 characters</small>
-                    <div class="invalid-feedback">Please provide a title for your note</div>
-                </div>
-                
-                <div class="form-group">
-                    <label for="noteContent">Content</label>
-                    <textarea id="noteContent" 
-                              class="form-control" 
-                              rows="8" 
-                              required
-                              aria-describedby="contentHelp">${escapeHtml(note.content)}</textarea>
-                    <small id="contentHelp" class="form-text text-muted">Markdown is supported</small>
-                    <div class="invalid-feedback">Please provide content for your note</div>
-                </div>
-                
-                <div class="form-group">
-                    <label for="noteCategory">Category</label>
-                    <select id="noteCategory" class="form-control">
-                        ${categoryOptions}
-                    </select>
-                </div>
-                
-                <div class="form-actions">
-                    <button type="submit" class="btn btn-primary">
-                        ${noteId ? 'Update' : 'Create'} Note
-                    </button>
-                    <button type="button" id="backToMenu" class="btn btn-outline">
-                        Cancel
-                    </button>
-                </div>
-            </form>
-        </div>
-    `;
-    
-    // Set up form submission
-    const form = document.getElementById('noteForm');
-    form.addEventListener('submit', handleNoteSubmit);
-    
-    // Set up back to menu button
-    document.getElementById('backToMenu')?.addEventListener('click', () => navigateTo('view'));
-    
-    // Initialize form validation
-    setupFormValidation(form);
-    
-    updateLiveMessage(`${formTitle} form loaded`);
+    localStorage.setItem(STORAGE_MIGRATED_KEY, new Date().toISOString());
+    await legacyAdapter.clear();
+    updateLiveMessage('Notes moved to IndexedDB storage');
 }
 
 /**
- * Show the list of notes with search and filter options
+ * Load a collection through the storage adapter and remember what was stored
+ * @param {string} collection - 'notes' or 'trash'
+ * @returns {Promise<Array>} - The stored records
  */
-function showNotesList() {
-    const filteredNotes = filterNotes(state.notes, state.currentSearchTerm, state.currentCategory);
-    const hasNotes = state.notes.length > 0;
-    
-    // Generate category filter buttons
-    const categoryFilters = [
-        { id: 'all', label: 'All', count: state.notes.length },
-        ...CATEGORIES.map(cat => ({
-            id: cat.toLowerCase(),
-            label: cat,
-            count: state.notes.filter(n => n.category === cat).length
-        }))
-    ].filter(cat => cat.count > 0 || cat.id === 'all');
+async function loadCollection(collection) {
+    const records = await persistence.adapter.load(collection);
+    persistence.snapshots[collection] = new Map(
+        records.map(record => [record.id, JSON.stringify(record)])
+    );
+    return records;
+}
+
+/**
+ * Queue a write of everything that changed in a collection since the last write
+ * @param {string} collection - 'notes' or 'trash'
+ * @returns {Promise<boolean>} - Resolves once the write is done: false if it failed
+ */
+function persistCollection(collection) {
+    if (!persistence.adapter) return Promise.resolve(false);
     
-    const categoryFilterButtons = categoryFilters.map(cat => `
-        <button class="category-filter ${state.currentCategory === cat.id ? 'active' : ''}" 
-                data-category="${cat.id}">
-            ${cat.label} <span class="badge">${cat.count}</span>
-        </button>
-    `).join('');
+    const records = state[collection];
+    const previousSnapshot = persistence.snapshots[collection];
+    const snapshot = new Map();
+    const upserts = [];
     
-    // Generate note cards
-    const pinnedNotes = filteredNotes.filter(note => note.isPinned);
-    const otherNotes = filteredNotes.filter(note => !note.isPinned);
+    records.forEach(record => {
+        const json = JSON.stringify(record);
+        snapshot.set(record.id, json);
+        if (previousSnapshot.get(record.id) !== json) upserts.push(record);
+    });
+    const removedIds = [...previousSnapshot.keys()].filter(id => !snapshot.has(id));
     
-    const pinnedNotesHTML = pinnedNotes.length > 0 ? `
-        <div class="pinned-section">
-            <h3 class="section-title">📌 Pinned Notes</h3>
-            <div class="notes-grid">
-                ${pinnedNotes.map(note => createNoteCard(note)).join('')}
-            </div>
-        </div>
-    ` : '';
+    if (upserts.length === 0 && removedIds.length === 0) return Promise.resolve(true);
+    persistence.snapshots[collection] = snapshot;
     
-    const otherNotesHTML = otherNotes.length > 0 ? `
-        <div class="other-notes-section">
-            <h3 class="section-title">${pinnedNotes.length > 0 ? 'Other Notes' : 'All Notes'}</h3>
-            <div class="notes-grid">
-                ${otherNotes.map(note => createNoteCard(note)).join('')}
-            </div>
-        </div>
-    ` : '';
+    const changes = { records: [...records], upserts, removedIds };
+    const write = persistence.queue
+        .then(() => persistence.adapter.write(collection, changes))
+        .then(() => broadcastChanges(collection, changes))
+        .then(() => true)
+        .catch(error => {
+            // Forget the failed records so that the next save retries them
+            upserts.forEach(record => persistence.snapshots[collection].delete(record.id));
+            removedIds.forEach(id => persistence.snapshots[collection].set(id, null));
+            handleStorageError(error, collection);
+            return false;
+        });
+    persistence.queue = write;
     
-    const noNotesHTML = !hasNotes ? `
-        <div class="empty-state">
-            <div class="empty-state-icon">📝</div>
-            <h3>No Notes Yet</h3>
-            <p>Get started by creating your first note!</p>
-            <button class="btn btn-primary mt-3" id="createFirstNoteBtn">Create Note</button>
-        </div>
-    ` : (filteredNotes.length === 0 ? `
-        <div class="empty-state">
-            <div class="empty-state-icon">🔍</div>
-            <h3>No Notes Found</h3>
-            <p>Try adjusting your search or filter criteria.</p>
-            <button class="btn btn-outline mt-3" id="clearSearchBtn">Clear Search</button>
-        </div>
-    ` : '');
+    return write;
+}
+
+/**
+ * Copy the notes, trash and categories before a change that saves several of them
+ * @returns {Object} - { notes, trash, categories }, for saveOrRestore
+ */
+function captureSavedState() {
+    // Deep copies: renaming or deleting a category edits notes in place
+    return JSON.parse(JSON.stringify({ notes: state.notes, trash: state.trash, categories: state.categories }));
+}
+
+/**
+ * Save categories, notes and trash together. If a write fails, the state from before
+ * the change is put back and written again, so memory and storage agree.
+ * @param {Object} previous - The state from captureSavedState
+ * @returns {Promise<boolean>} - Whether everything was saved
+ */
+async function saveOrRestore(previous) {
+    const saved = saveCategories() && (await Promise.all([saveNotes(), saveTrash()])).every(Boolean);
+    if (saved) return true;
+    
+    state.notes = previous.notes;
+    state.trash = previous.trash;
+    state.categories = previous.categories;
+    rebuildSearchIndex();
+    saveCategories();
+    saveNotes();
+    saveTrash();
+    return false;
+}
+
+/**
+ * Report a failed write, with a specific message when storage is full
+ * @param {Error} error - The error raised by the adapter
+ * @param {string} collection - The collection that failed to save
+ */
+function handleStorageError(error, collection) {
+    console.error(`Error saving ${collection}:`, error);
+    
+    if (isQuotaExceededError(error)) {
+        showError('Storage is full, so your latest changes were not saved. ' +
+            'Empty the trash or export and delete old notes to free up space.');
+    } else {
+        showError(`Failed to save ${collection === 'trash' ? 'trash' : 'notes'}`);
+    }
+}
+
+/**
+ * Check whether an error means the browser's storage quota is exhausted
+ * @param {Error} error - The error to check
+ * @returns {boolean} - Whether the quota was exceeded
+ */
+function isQuotaExceededError(error) {
+    return Boolean(error) && (
+        error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+        error.code === 22 ||
+        error.code === 1014
+    );
+}
+
+// =============================================
+// Encrypted Vault
+// =============================================
+
+/*
+ * With the vault turned on, notes, trash and drafts are stored encrypted with
+ * AES-GCM. Records are encrypted with a random data key; the data key itself
+ * is stored in localStorage (VAULT_STORAGE_KEY), wrapped with a key derived
+ * from the passphrase by PBKDF2:
+ *
+ *   { salt, iterations, currentKeyId, keys: { [keyId]: { iv, data } } }
+ *
+ * Every encrypted record is { id, keyId, iv, data }, so records written with
+ * an older data key stay readable while a passphrase change re-encrypts them.
+ * Categories and settings are not encrypted.
+ */
+
+/**
+ * Check whether the notes are stored encrypted
+ * @returns {boolean} - Whether the vault is turned on
+ */
+function isVaultEnabled() {
+    return !!localStorage.getItem(VAULT_STORAGE_KEY);
+}
+
+/**
+ * Check whether this browser can encrypt (WebCrypto needs https or localhost)
+ * @returns {boolean} - Whether WebCrypto is available
+ */
+function isEncryptionSupported() {
+    return !!window.crypto?.subtle;
+}
+
+/**
+ * Load the vault settings and wrapped data keys
+ * @returns {Object|null} - The vault metadata
+ */
+function loadVaultMeta() {
+    try {
+        const savedVault = localStorage.getItem(VAULT_STORAGE_KEY);
+        return savedVault ? JSON.parse(savedVault) : null;
+    } catch (error) {
+        console.error('Error loading vault:', error);
+        return null;
+    }
+}
+
+/**
+ * Convert bytes to base64
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {string} - Base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
+
+/**
+ * Convert base64 to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} - The bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+/**
+ * Check a PBKDF2 iteration count read from a file before deriving a key with it
+ * @param {*} iterations - The iteration count
+ * @returns {boolean} - Whether the count is usable
+ */
+function isValidKdfIterations(iterations) {
+    return Number.isInteger(iterations) && iterations > 0 && iterations <= VAULT_KDF_MAX_ITERATIONS;
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase
+ * @param {string} passphrase - The passphrase
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iterations
+ * @returns {Promise<CryptoKey>} - The key
+ */
+async function derivePassphraseKey(passphrase, salt, iterations) {
+    const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        baseKey,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt', 'wrapKey', 'unwrapKey']
+    );
+}
+
+/**
+ * Encrypt bytes with AES-GCM
+ * @param {CryptoKey} key - The key
+ * @param {Uint8Array} bytes - The plaintext
+ * @returns {Promise<Object>} - { iv, data } as base64
+ */
+async function encryptBytes(key, bytes) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes);
+    return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+}
+
+/**
+ * Decrypt bytes encrypted by encryptBytes
+ * @param {CryptoKey} key - The key
+ * @param {Object} payload - { iv, data } as base64
+ * @returns {Promise<Uint8Array>} - The plaintext; rejects if the key is wrong or the data was changed
+ */
+async function decryptBytes(key, { iv, data }) {
+    const plaintext = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: base64ToBytes(iv) }, key, base64ToBytes(data));
+    return new Uint8Array(plaintext);
+}
+
+/**
+ * Encrypt a value as JSON with the current data key
+ * @param {*} value - The value
+ * @returns {Promise<Object>} - { keyId, iv, data }
+ */
+async function encryptVaultValue(value) {
+    const payload = await encryptBytes(vault.keys.get(vault.currentKeyId), new TextEncoder().encode(JSON.stringify(value)));
+    return { keyId: vault.currentKeyId, ...payload };
+}
+
+/**
+ * Decrypt a value encrypted by encryptVaultValue
+ * @param {Object} payload - { keyId, iv, data }
+ * @returns {Promise<*>} - The value
+ */
+async function decryptVaultValue(payload) {
+    const key = vault.keys.get(payload.keyId);
+    if (!key) throw new Error(`Unknown vault key ${payload.keyId}`);
+    return JSON.parse(new TextDecoder().decode(await decryptBytes(key, payload)));
+}
+
+/**
+ * Generate a new data key
+ * @returns {Promise<CryptoKey>} - The key (extractable, so a new passphrase can wrap it)
+ */
+function generateDataKey() {
+    return crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt', 'decrypt']);
+}
+
+/**
+ * Derive the key that wraps the data keys from a new passphrase
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<Object>} - { key, salt, iterations }
+ */
+async function createWrappingKey(passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    return {
+        key: await derivePassphraseKey(passphrase, salt, VAULT_KDF_ITERATIONS),
+        salt,
+        iterations: VAULT_KDF_ITERATIONS
+    };
+}
+
+/**
+ * Wrap every data key in memory and save the vault metadata
+ */
+async function saveVaultKeys() {
+    const { key: wrappingKey, salt, iterations } = vault.wrapping;
+    const keys = {};
+    
+    for (const [keyId, key] of vault.keys) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrapped = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'AES-GCM', iv });
+        keys[keyId] = { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(wrapped)) };
+    }
+    
+    localStorage.setItem(VAULT_STORAGE_KEY, JSON.stringify({
+        version: 1,
+        salt: bytesToBase64(salt),
+        iterations,
+        currentKeyId: vault.currentKeyId,
+        keys
+    }));
+}
+
+/**
+ * Unwrap the data keys with a passphrase
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<Object|null>} - { keys, wrapping }, or null if the passphrase is wrong
+ */
+async function unwrapVaultKeys(passphrase) {
+    const meta = loadVaultMeta();
+    if (!meta) return null;
+    
+    const wrapping = { salt: base64ToBytes(meta.salt), iterations: meta.iterations };
+    wrapping.key = await derivePassphraseKey(passphrase, wrapping.salt, wrapping.iterations);
+    const keys = new Map();
+    try {
+        for (const [keyId, { iv, data }] of Object.entries(meta.keys)) {
+            keys.set(keyId, await crypto.subtle.unwrapKey(
+                'raw', base64ToBytes(data), wrapping.key, { name: 'AES-GCM', iv: base64ToBytes(iv) },
+                'AES-GCM', true, ['encrypt', 'decrypt']
+            ));
+        }
+    } catch (error) {
+        // AES-GCM fails to unwrap with a key from the wrong passphrase
+        return null;
+    }
+    return { keys, wrapping };
+}
+
+/**
+ * Create an adapter that encrypts records on their way to another adapter
+ * @param {Object} adapter - The adapter that stores the encrypted records
+ * @returns {Object} - The storage adapter
+ */
+function createEncryptedAdapter(adapter) {
+    // Encrypted form of each record as last written, so unchanged records aren't encrypted again
+    const encryptedCache = new Map();
+    
+    const encryptRecord = async (record) => {
+        const json = JSON.stringify(record);
+        const cached = encryptedCache.get(record.id);
+        if (cached?.json === json && cached.encrypted.keyId === vault.currentKeyId) return cached.encrypted;
+        
+        const encrypted = { id: record.id, ...(await encryptVaultValue(record)) };
+        encryptedCache.set(record.id, { json, encrypted });
+        return encrypted;
+    };
+    
+    return {
+        name: `${adapter.name}, encrypted`,
+        inner: adapter,
+        
+        init() {
+            return adapter.init();
+        },
+        
+        async load(collection) {
+            const records = await adapter.load(collection);
+            const decrypted = await Promise.all(records.map(async record => {
+                // Written before the vault was turned on, or by an older data key
+                if (!record.keyId || record.keyId !== vault.currentKeyId) vault.hasStaleRecords = true;
+                return record.keyId ? decryptVaultValue(record) : record;
+            }));
+            return sortStoredRecords(collection, decrypted);
+        },
+        
+        async write(collection, { records, upserts, removedIds }) {
+            removedIds.forEach(id => encryptedCache.delete(id));
+            await adapter.write(collection, {
+                records: await Promise.all(records.map(encryptRecord)),
+                upserts: await Promise.all(upserts.map(encryptRecord)),
+                removedIds
+            });
+        },
+        
+        clear() {
+            encryptedCache.clear();
+            return adapter.clear();
+        }
+    };
+}
+
+/**
+ * Write every note, trashed note and draft again with the current storage adapter and data key
+ * @returns {Promise} - Resolves once everything is written
+ */
+function rewriteAllRecords() {
+    const rewrite = persistence.queue.then(async () => {
+        for (const collection of STORAGE_COLLECTIONS) {
+            const records = [...state[collection]];
+            await persistence.adapter.write(collection, { records, upserts: records, removedIds: [] });
+        }
+    });
+    // Later writes queue behind the rewrite whether or not it fails
+    persistence.queue = rewrite.catch(() => {});
+    return Promise.all([rewrite, writeVaultDrafts()]);
+}
+
+/**
+ * Write the drafts, encrypted while the vault is on
+ * @returns {Promise} - Resolves once the drafts are written
+ */
+function writeVaultDrafts() {
+    // Snapshot the drafts and the key now, then encrypt and store them in turn:
+    // a slow write must not land after (and overwrite) a later one
+    const drafts = JSON.parse(JSON.stringify(vault.drafts || {}));
+    const keyId = vault.keys.size > 0 ? vault.currentKeyId : null;
+    const key = keyId && vault.keys.get(keyId);
     
+    vault.draftsWrite = vault.draftsWrite
+        .then(async () => {
+            const bytes = new TextEncoder().encode(JSON.stringify(drafts));
+            const value = key ? { keyId, ...(await encryptBytes(key, bytes)) } : drafts;
+            localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(value));
+        })
+        .catch(error => console.error('Error saving drafts:', error));
+    return vault.draftsWrite;
+}
+
+/**
+ * Show the lock screen until the right passphrase is entered
+ * @returns {Promise} - Resolves once the vault is unlocked
+ */
+function showLockScreen() {
+    document.body.classList.add('vault-locked');
     elements.mainContent.innerHTML = `
-        <div class="notes-container">
-            <div class="notes-header">
-                <h2>My Notes</h2>
-                <div class="notes-actions">
-                    <div class="search-container">
-                        <input type="search" 
-                               id="searchNotes" 
-                               class="search-input" 
-                               placeholder="Search notes..." 
-                               value="${escapeHtml(state.currentSearchTerm)}"
-                               aria-label="Search notes">
-                    </div>
-                    <button class="btn btn-primary" id="createNewNoteBtn">
-                        <span class="btn-icon">+</span> New Note
-                    </button>
+        <div class="form-container lock-screen">
+            <div class="lock-icon" aria-hidden="true">🔒</div>
+            <h2 class="text-center">Notes Locked</h2>
+            <p class="text-center text-muted">Your notes are encrypted. Enter your passphrase to unlock them.</p>
+            <form id="unlockForm" novalidate>
+                <div class="form-group">
+                    <label for="unlockPassphrase">Passphrase</label>
+                    <input type="password" 
+                           id="unlockPassphrase" 
+                           class="form-control" 
+                           autocomplete="current-password" 
+                           aria-describedby="unlockError" 
+                           required>
+                    <p id="unlockError" class="form-error" role="alert"></p>
                 </div>
-            </div>
-            
-            ${hasNotes ? `
-                <div class="category-filters">
-                    ${categoryFilterButtons}
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary" id="unlockBtn">Unlock</button>
                 </div>
-            ` : ''}
-            
-            ${noNotesHTML || `
-                ${pinnedNotesHTML}
-                ${otherNotesHTML}
-            `}
+            </form>
+            <details class="lock-reset">
+                <summary>Forgot your passphrase?</summary>
+                <p class="text-muted">Encrypted notes can't be recovered without it. You can erase them and start over.</p>
+                <button type="button" class="btn btn-danger" id="eraseVaultBtn">Erase All Notes</button>
+            </details>
         </div>
     `;
     
-    // Set up event listeners
-    document.getElementById('createNewNoteBtn')?.addEventListener('click', () => navigateTo('create'));
-    document.getElementById('createFirstNoteBtn')?.addEventListener('click', () => navigateTo('create'));
-    document.getElementById('clearSearchBtn')?.addEventListener('click', clearSearch);
+    const input = document.getElementById('unlockPassphrase');
+    const errorEl = document.getElementById('unlockError');
+    const unlockBtn = document.getElementById('unlockBtn');
+    input.focus();
+    updateLiveMessage('Notes are locked. Enter your passphrase.');
+    
+    document.getElementById('eraseVaultBtn').addEventListener('click', async () => {
+        if (!confirm('Erase all notes, trash and drafts? This cannot be undone.')) return;
+        
+        await persistence.adapter.clear();
+        localStorage.removeItem(VAULT_STORAGE_KEY);
+        localStorage.removeItem(DRAFTS_STORAGE_KEY);
+        window.location.reload();
+    });
+    
+    return new Promise(resolve => {
+        document.getElementById('unlockForm').addEventListener('submit', async (e) => {
+            e.preventDefault();
+            if (!input.value) {
+                errorEl.textContent = 'Enter your passphrase';
+                return;
+            }
+            
+            unlockBtn.disabled = true;
+            unlockBtn.textContent = 'Unlocking…';
+            try {
+                if (await unlockVault(input.value)) {
+                    document.body.classList.remove('vault-locked');
+                    elements.mainContent.innerHTML = '<div class="loading">Loading...</div>';
+                    resolve();
+                    return;
+                }
+                errorEl.textContent = 'Wrong passphrase';
+                input.select();
+                updateLiveMessage('Wrong passphrase', 'assertive');
+            } catch (error) {
+                console.error('Error unlocking vault:', error);
+                errorEl.textContent = 'Failed to unlock your notes';
+            }
+            unlockBtn.disabled = false;
+            unlockBtn.textContent = 'Unlock';
+        });
+    });
+}
+
+/**
+ * Unlock the vault: keep the data keys in memory and read the encrypted drafts
+ * @param {string} passphrase - The passphrase
+ * @returns {Promise<boolean>} - Whether the passphrase was right
+ */
+async function unlockVault(passphrase) {
+    const unwrapped = await unwrapVaultKeys(passphrase);
+    if (!unwrapped) return false;
+    
+    vault.keys = unwrapped.keys;
+    vault.wrapping = unwrapped.wrapping;
+    vault.currentKeyId = loadVaultMeta().currentKeyId;
+    persistence.adapter = createEncryptedAdapter(persistence.adapter);
+    
+    try {
+        const savedDrafts = JSON.parse(localStorage.getItem(DRAFTS_STORAGE_KEY) || '{}');
+        vault.drafts = savedDrafts.keyId ? await decryptVaultValue(savedDrafts) : savedDrafts;
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+        vault.drafts = {};
+    }
+    return true;
+}
+
+/**
+ * Finish re-encrypting records that an interrupted passphrase change or
+ * vault setup left with an old key (or none), then forget the old keys
+ */
+async function completeVaultRekey() {
+    if (!vault.hasStaleRecords && vault.keys.size <= 1) return;
+    
+    try {
+        await rewriteAllRecords();
+        vault.keys = new Map([[vault.currentKeyId, vault.keys.get(vault.currentKeyId)]]);
+        vault.hasStaleRecords = false;
+        await saveVaultKeys();
+    } catch (error) {
+        console.error('Error re-encrypting notes:', error);
+    }
+}
+
+/**
+ * Turn the vault on: encrypt everything that is stored with a new passphrase
+ * @param {string} passphrase - The new passphrase
+ * @returns {Promise<boolean>} - Success status
+ */
+async function enableVault(passphrase) {
+    try {
+        const keyId = generateId();
+        vault.drafts = loadDrafts();
+        vault.keys = new Map([[keyId, await generateDataKey()]]);
+        vault.currentKeyId = keyId;
+        vault.wrapping = await createWrappingKey(passphrase);
+        
+        // Saved first: records not rewritten yet are read as plaintext until they are
+        await saveVaultKeys();
+        persistence.adapter = createEncryptedAdapter(persistence.adapter);
+        await rewriteAllRecords();
+        
+        startAutoLock();
+        return true;
+    } catch (error) {
+        console.error('Error enabling encryption:', error);
+        showError('Failed to encrypt your notes');
+        return false;
+    }
+}
+
+/**
+ * Change the passphrase and re-encrypt everything with a new data key
+ * @param {string} currentPassphrase - The current passphrase
+ * @param {string} newPassphrase - The new passphrase
+ * @returns {Promise<string>} - 'changed', 'wrong-passphrase', or 'failed' if re-encrypting failed
+ *     (the current passphrase still opens the vault then)
+ */
+async function changeVaultPassphrase(currentPassphrase, newPassphrase) {
+    if (!await unwrapVaultKeys(currentPassphrase)) return 'wrong-passphrase';
+    
+    const previous = {
+        wrapping: vault.wrapping,
+        currentKeyId: vault.currentKeyId,
+        meta: localStorage.getItem(VAULT_STORAGE_KEY)
+    };
+    try {
+        // The old key stays in the vault until every record is re-encrypted with the new one
+        const keyId = generateId();
+        vault.keys.set(keyId, await generateDataKey());
+        vault.currentKeyId = keyId;
+        vault.wrapping = await createWrappingKey(newPassphrase);
+        await saveVaultKeys();
+        
+        await rewriteAllRecords();
+        vault.keys = new Map([[keyId, vault.keys.get(keyId)]]);
+        await saveVaultKeys();
+        return 'changed';
+    } catch (error) {
+        console.error('Error changing passphrase:', error);
+        showError('Failed to re-encrypt your notes');
+        await restoreVaultWrapping(previous);
+        return 'failed';
+    }
+}
+
+/**
+ * Go back to the previous passphrase after changing it failed. Records already
+ * re-encrypted stay readable: the new data key is kept, wrapped with the old passphrase.
+ * @param {Object} previous - { wrapping, currentKeyId, meta } from before the change
+ */
+async function restoreVaultWrapping(previous) {
+    vault.wrapping = previous.wrapping;
+    vault.currentKeyId = previous.currentKeyId;
+    try {
+        await saveVaultKeys();
+    } catch (error) {
+        console.error('Error restoring the vault keys:', error);
+        localStorage.setItem(VAULT_STORAGE_KEY, previous.meta);
+    }
+}
+
+/**
+ * Turn the vault off and store everything as plaintext again
+ * @param {string} passphrase - The current passphrase
+ * @returns {Promise<boolean>} - Whether the passphrase was right and everything was decrypted
+ */
+async function disableVault(passphrase) {
+    if (!await unwrapVaultKeys(passphrase)) return false;
+    
+    try {
+        persistence.adapter = persistence.adapter.inner;
+        vault.keys = new Map();
+        vault.currentKeyId = null;
+        vault.wrapping = null;
+        await rewriteAllRecords();
+        
+        // Removed last: until then, records still encrypted can be read
+        localStorage.removeItem(VAULT_STORAGE_KEY);
+        vault.drafts = null;
+        stopAutoLock();
+        return true;
+    } catch (error) {
+        console.error('Error disabling encryption:', error);
+        showError('Failed to decrypt your notes');
+        return false;
+    }
+}
+
+/**
+ * Lock the vault now. Reloading drops the decrypted notes from memory and shows the lock screen.
+ */
+async function lockVault() {
+    if (!isVaultEnabled()) return;
+    
+    vault.isLocking = true;
+    flushDraftSave();
+    await persistence.queue;
+    await vault.draftsWrite;
+    window.location.reload();
+}
+
+/**
+ * Lock the vault after the auto-lock setting's minutes without user activity
+ */
+function startAutoLock() {
+    stopAutoLock();
+    const minutes = state.settings.autoLockMinutes;
+    if (!isVaultEnabled() || !minutes) return;
+    
+    const resetTimer = () => {
+        clearTimeout(vault.lockTimer);
+        vault.lockTimer = setTimeout(lockVault, minutes * 60 * 1000);
+    };
+    vault.activityListener = resetTimer;
+    AUTO_LOCK_ACTIVITY_EVENTS.forEach(type => document.addEventListener(type, resetTimer, { passive: true }));
+    resetTimer();
+}
+
+/**
+ * Stop the auto-lock timer
+ */
+function stopAutoLock() {
+    clearTimeout(vault.lockTimer);
+    if (vault.activityListener) {
+        AUTO_LOCK_ACTIVITY_EVENTS.forEach(type => document.removeEventListener(type, vault.activityListener));
+        vault.activityListener = null;
+    }
+}
+
+/**
+ * Check a new passphrase and its confirmation
+ * @param {string} passphrase - The new passphrase
+ * @param {string} confirmation - The passphrase typed again
+ * @returns {string|null} - The problem, or null if the passphrase can be used
+ */
+function validateNewPassphrase(passphrase, confirmation) {
+    if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return `Use at least ${MIN_PASSPHRASE_LENGTH} characters`;
+    }
+    if (passphrase !== confirmation) {
+        return 'The passphrases don\'t match';
+    }
+    return null;
+}
+
+/**
+ * Show the encryption settings: turn the vault on or off, change the passphrase, auto-lock
+ */
+function showVaultSettings() {
+    const isEnabled = isVaultEnabled();
+    
+    const autoLockOptions = AUTO_LOCK_OPTIONS.map(minutes => `
+        <option value="${minutes}" ${state.settings.autoLockMinutes === minutes ? 'selected' : ''}>
+            ${minutes === 0 ? 'Never' : `After ${minutes} ${minutes === 1 ? 'minute' : 'minutes'} without activity`}
+        </option>
+    `).join('');
+    
+    const passphraseFields = (prefix, labels) => labels.map(([id, label, autocomplete]) => `
+        <div class="form-group">
+            <label for="${prefix}${id}">${label}</label>
+            <input type="password" id="${prefix}${id}" class="form-control" autocomplete="${autocomplete}" required>
+        </div>
+    `).join('');
+    
+    const dialog = showOverlay(`
+        <div class="overlay-header">
+            <h2>Encryption</h2>
+            <button class="btn btn-sm btn-outline" id="closeVaultBtn" aria-label="Close">✕</button>
+        </div>
+        ${!isEncryptionSupported() ? `
+            <p class="text-muted">Encryption needs a secure connection (https). Open the app over https to turn it on.</p>
+        ` : isEnabled ? `
+            <p class="text-muted">Your notes, trash and drafts are encrypted. Categories and settings are not.</p>
+            <div class="form-group">
+                <label for="autoLock">Lock automatically</label>
+                <select id="autoLock" class="form-control">${autoLockOptions}</select>
+            </div>
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" id="lockNowBtn">🔒 Lock Now</button>
+            </div>
+            
+            <form id="changePassphraseForm" class="vault-form" novalidate>
+                <h3>Change Passphrase</h3>
+                ${passphraseFields('change', [
+                    ['Current', 'Current passphrase', 'current-password'],
+                    ['New', 'New passphrase', 'new-password'],
+                    ['Confirm', 'New passphrase again', 'new-password']
+                ])}
+                <p class="form-error" role="alert"></p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-outline">Change Passphrase</button>
+                </div>
+            </form>
+            
+            <form id="disableVaultForm" class="vault-form" novalidate>
+                <h3>Turn Off Encryption</h3>
+                ${passphraseFields('disable', [['Passphrase', 'Passphrase', 'current-password']])}
+                <p class="form-error" role="alert"></p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-danger">Decrypt and Turn Off</button>
+                </div>
+            </form>
+        ` : `
+            <p class="text-muted">Encrypt your notes, trash and drafts with a passphrase. 
+                You'll need it every time you open the app. <strong>If you forget it, your notes can't be recovered.</strong></p>
+            <form id="enableVaultForm" class="vault-form" novalidate>
+                ${passphraseFields('enable', [
+                    ['New', 'Passphrase', 'new-password'],
+                    ['Confirm', 'Passphrase again', 'new-password']
+                ])}
+                <p class="form-error" role="alert"></p>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">Encrypt My Notes</button>
+                </div>
+            </form>
+        `}
+    `, { className: 'vault-settings', label: 'Encryption settings' });
+    
+    // Run a passphrase form's action with its button disabled, showing problems in the form
+    const handleForm = (form, action) => form?.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const button = form.querySelector('button[type="submit"]');
+        const errorEl = form.querySelector('.form-error');
+        const value = id => form.querySelector(`#${id}`).value;
+        
+        button.disabled = true;
+        errorEl.textContent = await action(value) || '';
+        button.disabled = false;
+        if (errorEl.textContent) updateLiveMessage(errorEl.textContent, 'assertive');
+    });
+    
+    handleForm(dialog.querySelector('#enableVaultForm'), async (value) => {
+        const problem = validateNewPassphrase(value('enableNew'), value('enableConfirm'));
+        if (problem) return problem;
+        
+        if (await enableVault(value('enableNew'))) {
+            closeOverlay();
+            showSuccess('Your notes are now encrypted');
+        }
+    });
+    
+    handleForm(dialog.querySelector('#changePassphraseForm'), async (value) => {
+        const problem = validateNewPassphrase(value('changeNew'), value('changeConfirm'));
+        if (problem) return problem;
+        
+        const result = await changeVaultPassphrase(value('changeCurrent'), value('changeNew'));
+        if (result === 'wrong-passphrase') return 'Wrong current passphrase';
+        if (result === 'failed') return 'Your notes could not be re-encrypted. Your current passphrase still works.';
+        
+        closeOverlay();
+        showSuccess('Passphrase changed and notes re-encrypted');
+    });
+    
+    handleForm(dialog.querySelector('#disableVaultForm'), async (value) => {
+        if (!confirm('Store your notes unencrypted from now on?')) return null;
+        if (!await disableVault(value('disablePassphrase'))) return 'Wrong passphrase';
+        
+        closeOverlay();
+        showSuccess('Encryption turned off');
+    });
+    
+    dialog.querySelector('#autoLock')?.addEventListener('change', (e) => {
+        state.settings.autoLockMinutes = parseInt(e.target.value, 10);
+        saveSettings();
+        startAutoLock();
+        updateLiveMessage('Auto-lock updated');
+    });
+    dialog.querySelector('#lockNowBtn')?.addEventListener('click', lockVault);
+    dialog.querySelector('#closeVaultBtn').addEventListener('click', closeOverlay);
+    
+    (dialog.querySelector('#enableNew') || dialog.querySelector('#closeVaultBtn')).focus();
+    updateLiveMessage('Encryption settings opened');
+}
+
+/**
+ * Ask for a passphrase in a dialog
+ * @param {string} title - The title of the dialog
+ * @param {string} message - What the passphrase is for
+ * @returns {Promise<string|null>} - The passphrase, or null if the dialog was cancelled
+ */
+function requestPassphrase(title, message) {
+    return new Promise(resolve => {
+        const dialog = showOverlay(`
+            <form id="passphraseForm" novalidate>
+                <h2>${escapeHtml(title)}</h2>
+                <div class="form-group">
+                    <label for="passphraseInput">${escapeHtml(message)}</label>
+                    <input type="password" id="passphraseInput" class="form-control" autocomplete="off" required>
+                </div>
+                <div class="form-actions">
+                    <button type="submit" class="btn btn-primary">OK</button>
+                    <button type="button" class="btn btn-outline" id="cancelPassphraseBtn">Cancel</button>
+                </div>
+            </form>
+        `, { label: title, onClose: () => resolve(null) });
+        
+        const input = dialog.querySelector('#passphraseInput');
+        dialog.querySelector('#passphraseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            if (!input.value) return;
+            resolve(input.value);
+            closeOverlay();
+        });
+        dialog.querySelector('#cancelPassphraseBtn').addEventListener('click', closeOverlay);
+        input.focus();
+    });
+}
+
+// =============================================
+// Cross-Tab Sync
+// =============================================
+
+/**
+ * Listen for changes made by other tabs of the app.
+ * Notes and trash changes arrive as messages on a BroadcastChannel (or, where
+ * that is missing, through a localStorage key); theme, categories and settings
+ * live in localStorage, so the native "storage" event covers them.
+ */
+function initSync() {
+    if ('BroadcastChannel' in window) {
+        syncChannel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+        syncChannel.addEventListener('message', (e) => handleSyncMessage(e.data));
+    }
+    
+    window.addEventListener('storage', handleStorageEvent);
+}
+
+/**
+ * Tell other tabs which records of a collection were written
+ * @param {string} collection - 'notes' or 'trash'
+ * @param {Object} changes - The { upserts, removedIds } that were written
+ */
+function broadcastChanges(collection, { upserts, removedIds }) {
+    const message = { type: 'records', collection, upserts, removedIds };
+    
+    try {
+        if (syncChannel) {
+            syncChannel.postMessage(message);
+        } else if (!isVaultEnabled()) {
+            // The nonce makes every message a new value, so "storage" always fires
+            localStorage.setItem(SYNC_STORAGE_KEY, JSON.stringify({ message, nonce: generateId() }));
+        }
+        // Encrypted notes never pass through localStorage in plaintext; other tabs get them on reload
+    } catch (error) {
+        // Other tabs will pick the change up on their next reload
+        console.error('Error broadcasting changes:', error);
+    }
+}
+
+/**
+ * Handle localStorage changes made by another tab
+ * @param {StorageEvent} e - The storage event
+ */
+function handleStorageEvent(e) {
+    if (e.storageArea !== localStorage) return;
+    
+    switch (e.key) {
+        case SYNC_STORAGE_KEY:
+            if (e.newValue) handleSyncMessage(JSON.parse(e.newValue).message);
+            break;
+        case THEME_STORAGE_KEY:
+            if (e.newValue && e.newValue !== (state.isDarkMode ? 'dark' : 'light')) {
+                setTheme(e.newValue);
+            }
+            break;
+        case CATEGORIES_STORAGE_KEY:
+            loadCategories();
+            refreshAfterSync([]);
+            break;
+        case SETTINGS_STORAGE_KEY:
+            loadSettings();
+            break;
+        case SHORTCUTS_STORAGE_KEY:
+            loadShortcuts();
+            break;
+        case VAULT_STORAGE_KEY:
+            // Encryption was turned on or off, or the keys changed
+            window.location.reload();
+            break;
+        case null:
+            // Another tab cleared all app data
+            window.location.reload();
+            break;
+    }
+}
+
+/**
+ * Apply a message sent by another tab
+ * @param {Object} message - The sync message
+ */
+function handleSyncMessage(message) {
+    if (message?.type !== 'records' || !STORAGE_COLLECTIONS.includes(message.collection)) return;
+    
+    const changedIds = applyRemoteChanges(message.collection, message.upserts, message.removedIds);
+    if (changedIds.length > 0) {
+        refreshAfterSync(changedIds, message.collection);
+    }
+}
+
+/**
+ * Merge records written by another tab into the local state.
+ * A remote record only replaces the local one if it is at least as recent.
+ * @param {string} collection - 'notes' or 'trash'
+ * @param {Array} upserts - Records the other tab created or changed
+ * @param {Array<string>} removedIds - IDs the other tab removed
+ * @returns {Array<string>} - IDs of the records that changed locally
+ */
+function applyRemoteChanges(collection, upserts = [], removedIds = []) {
+    const records = state[collection];
+    const snapshot = persistence.snapshots[collection];
+    const timestampField = collection === 'trash' ? 'deletedAt' : 'updatedAt';
+    const changedIds = [];
+    
+    upserts.forEach(remote => {
+        const index = records.findIndex(record => record.id === remote.id);
+        const local = records[index];
+        
+        if (local && String(local[timestampField]) > String(remote[timestampField])) return;
+        
+        if (local) {
+            records[index] = remote;
+        } else {
+            records.unshift(remote);
+        }
+        if (collection === 'notes') indexNote(remote);
+        // Already stored by the other tab, so there is nothing left to write
+        snapshot.set(remote.id, JSON.stringify(remote));
+        changedIds.push(remote.id);
+    });
+    
+    removedIds.forEach(id => {
+        const index = records.findIndex(record => record.id === id);
+        if (index !== -1) {
+            records.splice(index, 1);
+            changedIds.push(id);
+        }
+        if (collection === 'notes') unindexNote(id);
+        snapshot.delete(id);
+    });
+    
+    if (collection === 'notes') {
+        state.notes.forEach(note => ensureCategory(note.category));
+        scheduleReminders();
+    }
+    
+    return changedIds;
+}
+
+/**
+ * Re-render the current view after another tab changed data
+ * @param {Array<string>} changedIds - IDs of the records that changed
+ * @param {string} collection - The collection that changed, if any
+ */
+function refreshAfterSync(changedIds, collection = 'notes') {
+    refreshView(changedIds, collection);
+    updateLiveMessage('Notes were updated in another tab');
+}
+
+/**
+ * Re-render the current view after notes changed outside of it
+ * @param {Array<string>} changedIds - The IDs of the changed records
+ * @param {string} collection - 'notes' or 'trash'
+ */
+function refreshView(changedIds, collection = 'notes') {
+    updateTrashCount();
+    
+    switch (state.currentView) {
+        case 'view':
+            showNotesList();
+            break;
+        case 'note':
+            showNoteDetail(state.currentParams.noteId);
+            break;
+        case 'trash':
+            showTrash();
+            break;
+        case 'categories':
+            showCategoryManager();
+            break;
+        case 'create':
+            if (collection === 'notes' && state.editingNoteId && changedIds.includes(state.editingNoteId)) {
+                showSyncConflictBanner(state.editingNoteId);
+            }
+            break;
+    }
+}
+
+/**
+ * Warn that the note open in the form was changed or deleted in another tab
+ * @param {string} noteId - The ID of the note being edited
+ */
+function showSyncConflictBanner(noteId) {
+    const formContainer = elements.mainContent.querySelector('.form-container');
+    if (!formContainer) return;
+    
+    formContainer.querySelector('.sync-banner')?.remove();
+    
+    const wasDeleted = !state.notes.some(note => note.id === noteId);
+    const banner = document.createElement('div');
+    banner.className = 'alert alert-warning sync-banner';
+    banner.setAttribute('role', 'alert');
+    banner.innerHTML = wasDeleted ? `
+        <p>This note was deleted in another tab. Saving will create it again as a new note.</p>
+        <div class="sync-banner-actions">
+            <button type="button" class="btn btn-sm btn-outline dismiss-sync">Keep editing</button>
+        </div>
+    ` : `
+        <p>This note was changed in another tab. If you save, their version is kept in the note's history.</p>
+        <div class="sync-banner-actions">
+            <button type="button" class="btn btn-sm btn-primary reload-synced-note">Load their version</button>
+            <button type="button" class="btn btn-sm btn-outline dismiss-sync">Keep editing</button>
+        </div>
+    `;
+    
+    banner.querySelector('.reload-synced-note')?.addEventListener('click', () => showNoteForm(noteId));
+    banner.querySelector('.dismiss-sync').addEventListener('click', () => banner.remove());
+    
+    formContainer.insertBefore(banner, formContainer.firstChild);
+    updateLiveMessage(wasDeleted ? 'This note was deleted in another tab' : 'This note was changed in another tab', 'assertive');
+}
+
+// =============================================
+// Note Management
+// =============================================
+
+/**
+ * Load notes through the storage adapter
+ */
+async function loadNotes() {
+    try {
+        state.notes = await loadCollection('notes');
+        rebuildSearchIndex();
+        return state.notes;
+    } catch (error) {
+        console.error('Error loading notes:', error);
+        showError('Failed to load notes');
+        return [];
+    }
+}
+
+/**
+ * Save notes through the storage adapter. Only changed notes are written;
+ * write errors are reported through showError once the write fails.
+ * Callers that need to undo a change when saving fails await the result.
+ * @returns {Promise<boolean>} - Resolves once the notes are written: false if that failed
+ */
+function saveNotes() {
+    try {
+        const saved = persistCollection('notes');
+        scheduleReminders();
+        return saved;
+    } catch (error) {
+        console.error('Error saving notes:', error);
+        showError('Failed to save notes');
+        return Promise.resolve(false);
+    }
+}
+
+/**
+ * Build a note object from note data
+ * @param {Object} noteData - The note data (timestamps and pinned state are optional)
+ * @returns {Object} - The new note object
+ */
+function buildNote(noteData) {
+    const now = new Date().toISOString();
+    return {
+        id: generateId(),
+        title: noteData.title.trim(),
+        content: noteData.locked ? '' : noteData.content.trim(),
+        category: noteData.category || DEFAULT_CATEGORY,
+        tags: normalizeTags(noteData.tags),
+        isPinned: Boolean(noteData.isPinned),
+        ...(noteData.locked ? { locked: noteData.locked } : {}),
+        ...(noteData.dueAt ? { dueAt: noteData.dueAt, reminderMinutes: noteData.reminderMinutes ?? null } : {}),
+        ...(noteData.doneAt ? { doneAt: noteData.doneAt } : {}),
+        ...(noteData.type === 'checklist' ? {
+            type: 'checklist',
+            // A locked checklist keeps its items encrypted, in its content
+            ...(noteData.locked ? {} : { items: noteData.items }),
+            hideCompleted: Boolean(noteData.hideCompleted),
+            completedLast: Boolean(noteData.completedLast)
+        } : {}),
+        createdAt: noteData.createdAt || now,
+        updatedAt: noteData.updatedAt || noteData.createdAt || now
+    };
+}
+
+/**
+ * Load app settings from localStorage
+ */
+function loadSettings() {
+    try {
+        const savedSettings = localStorage.getItem(SETTINGS_STORAGE_KEY);
+        state.settings = { ...DEFAULT_SETTINGS, ...(savedSettings ? JSON.parse(savedSettings) : {}) };
+    } catch (error) {
+        console.error('Error loading settings:', error);
+        state.settings = { ...DEFAULT_SETTINGS };
+    }
+    return state.settings;
+}
+
+/**
+ * Save app settings to localStorage
+ */
+function saveSettings() {
+    try {
+        localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(state.settings));
+        return true;
+    } catch (error) {
+        console.error('Error saving settings:', error);
+        showError('Failed to save settings');
+        return false;
+    }
+}
+
+/**
+ * Create a new note. Nothing is added if saving fails.
+ * @param {Object} noteData - The note data
+ * @returns {Promise<boolean>} - Success status, once the note is saved
+ */
+async function createNote(noteData) {
+    try {
+        const previous = captureSavedState();
+        const newNote = buildNote(noteData);
+        
+        state.notes.unshift(newNote);
+        indexNote(newNote);
+        if (!(await saveOrRestore(previous))) return false;
+        updateLiveMessage('Note created successfully');
+        return true;
+    } catch (error) {
+        console.error('Error creating note:', error);
+        showError('Failed to create note');
+        return false;
+    }
+}
+
+/**
+ * Update an existing note. The note is left unchanged if saving fails.
+ * @param {string} noteId - The ID of the note to update
+ * @param {Object} updates - The updates to apply
+ * @returns {Promise<boolean>} - Success status, once the note is saved
+ */
+async function updateNote(noteId, updates) {
+    try {
+        const noteIndex = state.notes.findIndex(note => note.id === noteId);
+        if (noteIndex === -1) return false;
+        
+        const previous = captureSavedState();
+        const updatedNote = applyNoteUpdates(state.notes[noteIndex], updates);
+        state.notes[noteIndex] = updatedNote;
+        indexNote(updatedNote);
+        if (!(await saveOrRestore(previous))) return false;
+        updateLiveMessage('Note updated successfully');
+        return true;
+    } catch (error) {
+        console.error('Error updating note:', error);
+        showError('Failed to update note');
+        return false;
+    }
+}
+
+/**
+ * Update several notes at once, saving them together. No note changes if saving fails.
+ * @param {Array<string>} noteIds - The IDs of the notes to update
+ * @param {Object} updates - The updates to apply to each note
+ * @returns {Promise<boolean>} - Success status, once the notes are saved
+ */
+async function updateNotes(noteIds, updates) {
+    try {
+        const previous = captureSavedState();
+        state.notes = state.notes.map(note => {
+            if (!noteIds.includes(note.id)) return note;
+            const updatedNote = applyNoteUpdates(note, updates);
+            indexNote(updatedNote);
+            return updatedNote;
+        });
+        
+        if (!(await saveOrRestore(previous))) return false;
+        updateLiveMessage(`${noteIds.length} ${noteIds.length === 1 ? 'note' : 'notes'} updated`);
+        return true;
+    } catch (error) {
+        console.error('Error updating notes:', error);
+        showError('Failed to update notes');
+        return false;
+    }
+}
+
+/**
+ * Build the updated version of a note
+ * @param {Object} note - The current note
+ * @param {Object} updates - The updates to apply
+ * @returns {Object} - The updated note
+ */
+function applyNoteUpdates(note, updates) {
+    const updatedNote = {
+        ...note,
+        ...updates,
+        updatedAt: new Date().toISOString()
+    };
+    
+    // Keep the previous title/content/category so the edit can be reverted
+    // (locked notes keep their revisions encrypted, see saveLockedNote)
+    if (!isNoteLocked(note) && hasRevisionChanges(note, updates)) {
+        updatedNote.revisions = [createRevision(note), ...(note.revisions || [])]
+            .slice(0, MAX_REVISIONS);
+    }
+    
+    return updatedNote;
+}
+
+/**
+ * Delete a note by moving it to the trash
+ * @param {string} noteId - The ID of the note to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteNote(noteId) {
+    try {
+        if (!state.notes.some(n => n.id === noteId)) return false;
+        
+        const success = await moveNotesToTrash([noteId]);
+        if (success) {
+            showNotesList(); // Refresh the view
+            showSuccess('Note moved to trash', {
+                action: { label: 'Undo', run: () => undoMoveToTrash([noteId]) }
+            });
+        }
+        return success;
+    } catch (error) {
+        console.error('Error deleting note:', error);
+        showError('Failed to delete note');
+        return false;
+    }
+}
+
+/**
+ * Move notes to the trash. Nothing moves if saving fails.
+ * @param {Array<string>} noteIds - The IDs of the notes to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function moveNotesToTrash(noteIds) {
+    const previous = captureSavedState();
+    const deletedAt = new Date().toISOString();
+    const deleted = state.notes.filter(note => noteIds.includes(note.id));
+    
+    state.notes = state.notes.filter(note => !noteIds.includes(note.id));
+    state.trash.unshift(...deleted.map(note => ({ ...note, deletedAt })));
+    deleted.forEach(note => unindexNote(note.id));
+    
+    return saveOrRestore(previous);
+}
+
+/**
+ * Toggle the pinned status of a note
+ * @param {string} noteId - The ID of the note to toggle
+ */
+async function togglePinNote(noteId) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (note) {
+        const snapshots = getNoteSnapshots([noteId], ['isPinned']);
+        if (!(await updateNote(noteId, { isPinned: !note.isPinned }))) return;
+        
+        // Refresh the view
+        if (state.currentView === 'note') {
+            showNoteDetail(noteId);
+        } else {
+            showNotesList();
+        }
+        showSuccess(note.isPinned ? 'Note unpinned' : 'Note pinned', {
+            action: { label: 'Undo', run: () => undoNoteChanges(snapshots) }
+        });
+    }
+}
+
+/**
+ * Copy fields of notes before changing them, so the change can be undone
+ * @param {Array<string>} noteIds - The IDs of the notes
+ * @param {Array<string>} fields - The fields that are about to change
+ * @returns {Array<Object>} - The ID and the current value of the fields of each note
+ */
+function getNoteSnapshots(noteIds, fields) {
+    return state.notes
+        .filter(note => noteIds.includes(note.id))
+        .map(note => {
+            const snapshot = { id: note.id };
+            fields.forEach(field => { snapshot[field] = note[field]; });
+            return snapshot;
+        });
+}
+
+/**
+ * Give notes back the field values of their snapshots, saving them together
+ * @param {Array<Object>} snapshots - Snapshots from getNoteSnapshots
+ * @returns {Promise<number>} - The number of notes reverted (0 if none exist anymore or saving failed)
+ */
+async function revertNoteUpdates(snapshots) {
+    try {
+        const previous = captureSavedState();
+        const snapshotsById = new Map(snapshots.map(snapshot => [snapshot.id, snapshot]));
+        let count = 0;
+        
+        state.notes = state.notes.map(note => {
+            const snapshot = snapshotsById.get(note.id);
+            if (!snapshot) return note;
+            
+            const { id, ...fields } = snapshot;
+            // The category may have been deleted since
+            if ('category' in fields) fields.category = findCategory(fields.category)?.name || DEFAULT_CATEGORY;
+            if (isNoteLocked(note)) {
+                // Locked since the snapshot: its plain content must not come back
+                delete fields.content;
+                delete fields.items;
+            }
+            
+            const revertedNote = applyNoteUpdates(note, fields);
+            indexNote(revertedNote);
+            count++;
+            return revertedNote;
+        });
+        
+        if (count > 0 && !(await saveOrRestore(previous))) return 0;
+        return count;
+    } catch (error) {
+        console.error('Error reverting notes:', error);
+        showError('Failed to undo the change');
+        return 0;
+    }
+}
+
+/**
+ * Undo an update of notes
+ * @param {Array<Object>} snapshots - Snapshots from getNoteSnapshots
+ */
+async function undoNoteChanges(snapshots) {
+    if (!snapshots.some(snapshot => state.notes.some(note => note.id === snapshot.id))) {
+        showInfo('Nothing to undo: the notes no longer exist');
+        return;
+    }
+    const count = await revertNoteUpdates(snapshots);
+    if (count === 0) return;
+    
+    refreshView(snapshots.map(snapshot => snapshot.id));
+    showSuccess(`Undone for ${count} ${count === 1 ? 'note' : 'notes'}`);
+}
+
+/**
+ * Undo moving notes to the trash
+ * @param {Array<string>} noteIds - The IDs of the deleted notes
+ */
+async function undoMoveToTrash(noteIds) {
+    const inTrash = noteIds.filter(id => state.trash.some(note => note.id === id));
+    if (inTrash.length === 0) {
+        showInfo('Nothing to undo: the notes are no longer in the trash');
+        return;
+    }
+    if (!(await restoreNotes(inTrash))) return;
+    
+    refreshView(inTrash);
+    showSuccess(`Restored ${inTrash.length} ${inTrash.length === 1 ? 'note' : 'notes'} from the trash`);
+}
+
+// =============================================
+// Drafts
+// =============================================
+
+/**
+ * Load all saved drafts, keyed by note ID (or NEW_NOTE_DRAFT_KEY)
+ * @returns {Object} - The drafts
+ */
+function loadDrafts() {
+    if (vault.drafts) return { ...vault.drafts };
+    
+    try {
+        const savedDrafts = localStorage.getItem(DRAFTS_STORAGE_KEY);
+        return savedDrafts ? JSON.parse(savedDrafts) : {};
+    } catch (error) {
+        console.error('Error loading drafts:', error);
+        return {};
+    }
+}
+
+/**
+ * Save or remove a single draft
+ * @param {string} key - The note ID, or NEW_NOTE_DRAFT_KEY
+ * @param {Object|null} draft - The draft, or null to remove it
+ * @returns {boolean} - Success status
+ */
+function saveDraft(key, draft) {
+    try {
+        const drafts = loadDrafts();
+        if (draft) {
+            drafts[key] = draft;
+        } else {
+            delete drafts[key];
+        }
+        
+        if (vault.drafts) {
+            vault.drafts = drafts;
+            writeVaultDrafts();
+        } else {
+            localStorage.setItem(DRAFTS_STORAGE_KEY, JSON.stringify(drafts));
+        }
+        return true;
+    } catch (error) {
+        console.error('Error saving draft:', error);
+        return false;
+    }
+}
+
+/**
+ * Get the draft key of the note form
+ * @param {HTMLElement} form - The note form
+ * @returns {string} - The draft key
+ */
+function getDraftKey(form) {
+    return form.querySelector('#noteId').value || NEW_NOTE_DRAFT_KEY;
+}
+
+/**
+ * Read the current values of the note form
+ * @param {HTMLElement} form - The note form
+ * @returns {Object} - { title, content, category, tags, dueAt, reminderMinutes, type, items }
+ */
+function readNoteForm(form) {
+    const pendingTag = form.querySelector('#noteTagInput').value;
+    const due = form.querySelector('#noteDue').value;
+    const reminder = form.querySelector('#noteReminder').value;
+    const type = form.querySelector('input[name="noteType"]:checked')?.value === 'checklist' ? 'checklist' : 'note';
+    // The content of a checklist is its items as a task list
+    const items = type === 'checklist' ? nestChecklistRows(JSON.parse(form.querySelector('#noteItems').value || '[]')) : null;
+    
+    return {
+        title: form.querySelector('#noteTitle').value.trim(),
+        content: items ? checklistToMarkdown(items) : form.querySelector('#noteContent').value.trim(),
+        category: form.querySelector('#noteCategory').value || DEFAULT_CATEGORY,
+        tags: normalizeTags([...form.querySelector('#noteTags').value.split(','), ...pendingTag.split(',')]),
+        dueAt: due ? new Date(due).toISOString() : null,
+        reminderMinutes: due && reminder !== '' ? Number(reminder) : null,
+        type,
+        items
+    };
+}
+
+/**
+ * Check whether two sets of note form values are the same
+ * @param {Object} a - The first values
+ * @param {Object} b - The second values
+ * @returns {boolean} - Whether the values are equal
+ */
+function isSameNoteValues(a, b) {
+    // Drafts saved before due dates or checklists existed have no dueAt/reminderMinutes/type
+    return a.title === b.title &&
+        (a.type || 'note') === (b.type || 'note') &&
+        a.content === b.content &&
+        a.category === b.category &&
+        a.tags.join(',') === b.tags.join(',') &&
+        (a.dueAt || null) === (b.dueAt || null) &&
+        (a.reminderMinutes ?? null) === (b.reminderMinutes ?? null);
+}
+
+/**
+ * Check whether the note form has changes that were not submitted
+ * @returns {boolean} - Whether the form is dirty
+ */
+function isNoteFormDirty() {
+    const form = document.getElementById('noteForm');
+    if (!form || !state.formBaseline) return false;
+    return !isSameNoteValues(readNoteForm(form), state.formBaseline);
+}
+
+/**
+ * Save the note form as a draft right away
+ */
+function saveCurrentDraft() {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+    
+    const form = document.getElementById('noteForm');
+    if (!form || !state.formBaseline) return;
+    
+    const key = getDraftKey(form);
+    if (isNoteLocked(state.notes.find(n => n.id === key))) {
+        // Drafts are stored unencrypted: locked notes are only saved on submit
+        return;
+    }
+    if (!isNoteFormDirty()) {
+        // Back to the saved version: nothing worth recovering
+        saveDraft(key, null);
+        setDraftStatus('');
+        return;
+    }
+    
+    const success = saveDraft(key, {
+        ...readNoteForm(form),
+        savedAt: new Date().toISOString(),
+        baseUpdatedAt: state.formBaseline.updatedAt || null
+    });
+    setDraftStatus(success ? `Draft saved ${formatDateTime(new Date().toISOString(), 'time')}` : 'Draft could not be saved');
+}
+
+/**
+ * Autosave the note form after the user stops typing
+ */
+function scheduleDraftSave() {
+    clearTimeout(draftTimer);
+    setDraftStatus(isNoteFormDirty() ? 'Unsaved changes' : '');
+    draftTimer = setTimeout(saveCurrentDraft, AUTOSAVE_DELAY);
+}
+
+/**
+ * Write any pending autosave immediately (before leaving the form or the page)
+ */
+function flushDraftSave() {
+    if (draftTimer) saveCurrentDraft();
+}
+
+/**
+ * Update the draft indicator of the note form
+ * @param {string} text - The status text
+ */
+function setDraftStatus(text) {
+    const status = document.getElementById('draftStatus');
+    if (status) status.textContent = text;
+}
+
+/**
+ * Ask before leaving a note form with unsaved changes. The draft is kept either way.
+ * @returns {boolean} - Whether it is fine to leave the form
+ */
+function confirmLeaveNoteForm() {
+    if (!isNoteFormDirty()) return true;
+    
+    flushDraftSave();
+    if (!confirm('You have unsaved changes. Leave anyway? Your draft is kept and can be recovered when you open this note again.')) {
+        return false;
+    }
+    
+    state.formBaseline = null;
+    return true;
+}
+
+/**
+ * Offer to restore a draft that was saved for the note form
+ * @param {string} noteId - The ID of the note being edited, or null for a new note
+ * @param {Object} draft - The saved draft
+ * @param {Object} note - The note as currently saved
+ */
+function showDraftRecoveryBanner(noteId, draft, note) {
+    const formContainer = elements.mainContent.querySelector('.form-container');
+    if (!formContainer) return;
+    
+    const key = noteId || NEW_NOTE_DRAFT_KEY;
+    const changedSince = noteId && draft.baseUpdatedAt && draft.baseUpdatedAt !== note.updatedAt;
+    const banner = document.createElement('div');
+    banner.className = 'alert alert-warning draft-banner';
+    banner.setAttribute('role', 'alert');
+    banner.innerHTML = `
+        <p>
+            You have an unsaved draft from ${escapeHtml(formatDateTime(draft.savedAt, 'full'))}
+            ${draft.title ? `(“${escapeHtml(draft.title)}”)` : ''}.
+            ${changedSince ? 'The note has been changed since then.' : ''}
+        </p>
+        <div class="draft-banner-actions">
+            <button type="button" class="btn btn-sm btn-primary restore-draft">Restore draft</button>
+            <button type="button" class="btn btn-sm btn-outline discard-draft">Discard</button>
+        </div>
+    `;
+    
+    banner.querySelector('.restore-draft').addEventListener('click', () => {
+        showNoteForm(noteId, { restoreDraft: true });
+        updateLiveMessage('Draft restored');
+    });
+    banner.querySelector('.discard-draft').addEventListener('click', () => {
+        saveDraft(key, null);
+        banner.remove();
+        updateLiveMessage('Draft discarded');
+    });
+    
+    formContainer.insertBefore(banner, formContainer.firstChild);
+}
+
+// =============================================
+// Version History
+// =============================================
+
+/**
+ * Create a revision snapshot of a note's current title, content and category
+ * @param {Object} note - The note to snapshot
+ * @returns {Object} - The revision
+ */
+function createRevision(note) {
+    return {
+        id: generateId(),
+        title: note.title,
+        content: note.content,
+        category: note.category,
+        savedAt: note.updatedAt || note.createdAt
+    };
+}
+
+/**
+ * Check whether updates change any field tracked by the version history
+ * @param {Object} note - The note before the update
+ * @param {Object} updates - The updates to apply
+ * @returns {boolean} - Whether a revision should be recorded
+ */
+function hasRevisionChanges(note, updates) {
+    return REVISION_FIELDS.some(field => field in updates && updates[field] !== note[field]);
+}
+
+/**
+ * Revert a note to one of its revisions. The current version is kept as a new revision.
+ * @param {string} noteId - The ID of the note
+ * @param {string} revisionId - The ID of the revision to restore
+ * @returns {Promise<boolean>} - Success status
+ */
+async function revertNote(noteId, revisionId) {
+    const note = state.notes.find(n => n.id === noteId);
+    const revision = note?.revisions?.find(r => r.id === revisionId);
+    if (!revision) return false;
+    
+    const success = await updateNote(noteId, {
+        title: revision.title,
+        content: revision.content,
+        // The revision's category may have been deleted since
+        category: findCategory(revision.category)?.name || DEFAULT_CATEGORY,
+        ...(isChecklist(note) ? { items: parseChecklistMarkdown(revision.content) } : {})
+    });
+    if (success) {
+        updateLiveMessage(`Note reverted to the version from ${formatDateTime(revision.savedAt, 'full')}`);
+    }
+    return success;
+}
+
+/**
+ * Compute a line-level diff between two texts
+ * @param {string} oldText - The original text
+ * @param {string} newText - The changed text
+ * @returns {Array<Object>} - Operations of type 'same', 'add' or 'remove' with the line text
+ */
+function diffLines(oldText, newText) {
+    const oldLines = oldText.split('\n');
+    const newLines = newText.split('\n');
+    
+    // Common prefix and suffix never need the LCS table
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) {
+        prefix++;
+    }
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+           oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) {
+        suffix++;
+    }
+    
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    const ops = oldLines.slice(0, prefix).map(text => ({ type: 'same', text }));
+    
+    if (oldMiddle.length * newMiddle.length > MAX_DIFF_CELLS) {
+        // Too large for a full LCS: show the changed block as replaced
+        oldMiddle.forEach(text => ops.push({ type: 'remove', text }));
+        newMiddle.forEach(text => ops.push({ type: 'add', text }));
+    } else {
+        // lengths[i][j] = LCS length of oldMiddle[i..] and newMiddle[j..]
+        const lengths = Array.from({ length: oldMiddle.length + 1 }, () => new Array(newMiddle.length + 1).fill(0));
+        for (let i = oldMiddle.length - 1; i >= 0; i--) {
+            for (let j = newMiddle.length - 1; j >= 0; j--) {
+                lengths[i][j] = oldMiddle[i] === newMiddle[j]
+                    ? lengths[i + 1][j + 1] + 1
+                    : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < oldMiddle.length && j < newMiddle.length) {
+            if (oldMiddle[i] === newMiddle[j]) {
+                ops.push({ type: 'same', text: oldMiddle[i] });
+                i++;
+                j++;
+            } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+                ops.push({ type: 'remove', text: oldMiddle[i++] });
+            } else {
+                ops.push({ type: 'add', text: newMiddle[j++] });
+            }
+        }
+        while (i < oldMiddle.length) ops.push({ type: 'remove', text: oldMiddle[i++] });
+        while (j < newMiddle.length) ops.push({ type: 'add', text: newMiddle[j++] });
+    }
+    
+    newLines.slice(newLines.length - suffix).forEach(text => ops.push({ type: 'same', text }));
+    return ops;
+}
+
+/**
+ * Render diff operations, collapsing long runs of unchanged lines
+ * @param {Array<Object>} ops - The operations returned by diffLines
+ * @returns {string} - HTML string for the diff
+ */
+function createDiffView(ops) {
+    if (!ops.some(op => op.type !== 'same')) {
+        return '<p class="text-muted diff-empty">Content is identical to the current version.</p>';
+    }
+    
+    const symbols = { same: ' ', add: '+', remove: '−' };
+    const lines = [];
+    
+    ops.forEach((op, index) => {
+        if (op.type === 'same') {
+            // Keep a few lines of context around each change
+            const nearChange = ops
+                .slice(Math.max(0, index - DIFF_CONTEXT_LINES), index + DIFF_CONTEXT_LINES + 1)
+                .some(other => other.type !== 'same');
+            if (!nearChange) {
+                if (lines[lines.length - 1] !== null) lines.push(null);
+                return;
+            }
+        }
+        lines.push(`<div class="diff-line diff-${op.type}"><span class="diff-symbol">${symbols[op.type]}</span>${escapeHtml(op.text) || ' '}</div>`);
+    });
+    
+    return `<div class="diff-view">${lines.map(line =>
+        line === null ? '<div class="diff-line diff-skip">⋯</div>' : line
+    ).join('')}</div>`;
+}
+
+/**
+ * Create the History panel shown on the edit screen
+ * @param {Object} note - The note being edited
+ * @returns {string} - HTML string for the panel
+ */
+function createHistoryPanel(note) {
+    const revisions = note.revisions || [];
+    
+    const revisionItems = revisions.map(revision => {
+        const changes = [
+            revision.title !== note.title ? `title was "${escapeHtml(revision.title)}"` : '',
+            revision.category !== note.category ? `category was ${escapeHtml(revision.category)}` : ''
+        ].filter(Boolean).join(', ');
+        
+        return `
+            <li class="revision-item" data-revision-id="${revision.id}">
+                <div class="revision-header">
+                    <span class="revision-date" title="${formatDateTime(revision.savedAt, 'full')}">
+                        ${formatDateTime(revision.savedAt)}
+                    </span>
+                    <span class="revision-stats" hidden></span>
+                    <div class="note-actions">
+                        <button type="button" class="btn btn-sm btn-outline toggle-diff" aria-expanded="false">
+                            Diff
+                        </button>
+                        <button type="button" class="btn btn-sm btn-outline revert-revision">
+                            Revert
+                        </button>
+                    </div>
+                </div>
+                ${changes ? `<small class="text-muted">${changes}</small>` : ''}
+                <div class="revision-diff" hidden></div>
+            </li>
+        `;
+    }).join('');
+    
+    return `
+        <details class="history-panel">
+            <summary>History (${revisions.length} ${revisions.length === 1 ? 'revision' : 'revisions'})</summary>
+            ${revisions.length > 0 ? `
+                <ul class="revision-list">${revisionItems}</ul>
+            ` : '<p class="text-muted">No earlier versions yet. A revision is saved every time you update this note.</p>'}
+        </details>
+    `;
+}
+
+/**
+ * Compute and show the diff of a revision against the current content.
+ * Diffs are only computed once expanded, as each one can take a while.
+ * @param {string} noteId - The ID of the note being edited
+ * @param {HTMLElement} item - The revision's list item
+ */
+function renderRevisionDiff(noteId, item) {
+    const note = state.notes.find(n => n.id === noteId);
+    const revision = note?.revisions?.find(r => r.id === item.dataset.revisionId);
+    if (!revision) return;
+    
+    const ops = diffLines(revision.content, note.content);
+    const added = ops.filter(op => op.type === 'add').length;
+    const removed = ops.filter(op => op.type === 'remove').length;
+    
+    const stats = item.querySelector('.revision-stats');
+    stats.innerHTML = `
+        <span class="diff-added">+${added}</span>
+        <span class="diff-removed">−${removed}</span>
+    `;
+    stats.hidden = false;
+    item.querySelector('.revision-diff').innerHTML = createDiffView(ops);
+}
+
+/**
+ * Set up the diff toggles and revert buttons of the History panel
+ * @param {string} noteId - The ID of the note being edited
+ */
+function setupHistoryPanel(noteId) {
+    elements.mainContent.querySelector('.revision-list')?.addEventListener('click', async (e) => {
+        const item = e.target.closest('.revision-item');
+        if (!item) return;
+        
+        const toggleButton = e.target.closest('.toggle-diff');
+        if (toggleButton) {
+            const diff = item.querySelector('.revision-diff');
+            if (diff.hidden && !diff.hasChildNodes()) renderRevisionDiff(noteId, item);
+            diff.hidden = !diff.hidden;
+            toggleButton.setAttribute('aria-expanded', String(!diff.hidden));
+        }
+        
+        if (e.target.closest('.revert-revision') && confirmLeaveNoteForm() &&
+            await revertNote(noteId, item.dataset.revisionId)) {
+            showNoteForm(noteId);
+            elements.mainContent.querySelector('.history-panel').open = true;
+            showSuccess('Note reverted. The previous version was added to the history.');
+        }
+    });
+}
+
+// =============================================
+// Locked Notes
+// =============================================
+
+/**
+ * Check whether a note's content is locked with its own passphrase
+ * @param {Object} note - The note
+ * @returns {boolean} - Whether the note is locked
+ */
+function isNoteLocked(note) {
+    return Boolean(note?.locked);
+}
+
+/**
+ * Check the shape of a note lock, e.g. from an import file
+ * @param {*} lock - The lock: { salt, iterations, iv, data }
+ * @returns {boolean} - Whether the lock can be used
+ */
+function isValidNoteLock(lock) {
+    return Boolean(lock) && typeof lock === 'object' &&
+        ['salt', 'iv', 'data'].every(field => typeof lock[field] === 'string') &&
+        isValidKdfIterations(lock.iterations);
+}
+
+/**
+ * Get the decrypted content of a locked note that was unlocked in this view
+ * @param {Object} note - The locked note
+ * @returns {Object|null} - { key, iv, content, revisions }, or null if the note needs its passphrase
+ */
+function getUnlockedNote(note) {
+    const entry = unlockedNotes.get(note.id);
+    // Saved again since (e.g. in another tab): the new version needs the passphrase too
+    return entry && entry.iv === note.locked?.iv ? entry : null;
+}
+
+/**
+ * Get the content of a note to show, print or export as text
+ * @param {Object} note - The note
+ * @returns {string} - The content, or a placeholder while the note is locked
+ */
+function getNoteText(note) {
+    if (!isNoteLocked(note)) return note.content;
+    return getUnlockedNote(note)?.content ?? '🔒 This note is locked.';
+}
+
+/**
+ * Drop the decrypted content of locked notes, e.g. when leaving them
+ * @param {string} keepNoteId - A note to keep unlocked (the one being opened)
+ */
+function forgetUnlockedNotes(keepNoteId = null) {
+    [...unlockedNotes.keys()]
+        .filter(noteId => noteId !== keepNoteId)
+        .forEach(noteId => unlockedNotes.delete(noteId));
+}
+
+/**
+ * Encrypt the content and revisions of a locked note
+ * @param {CryptoKey} key - The note's passphrase key
+ * @param {Object} lock - The current lock, for its salt and iterations
+ * @param {Object} secret - { content, revisions }
+ * @returns {Promise<Object>} - The new lock
+ */
+async function sealNote(key, { salt, iterations }, secret) {
+    const bytes = new TextEncoder().encode(JSON.stringify(secret));
+    return { salt, iterations, ...(await encryptBytes(key, bytes)) };
+}
+
+/**
+ * Replace a note with a new version, bypassing the revision history.
+ * The previous version is put back if saving fails.
+ * @param {Object} updatedNote - The new version of the note
+ * @returns {Promise<boolean>} - Success status, once the note is saved
+ */
+async function replaceNote(updatedNote) {
+    const noteIndex = state.notes.findIndex(note => note.id === updatedNote.id);
+    if (noteIndex === -1) return false;
+    
+    const previous = captureSavedState();
+    state.notes[noteIndex] = updatedNote;
+    indexNote(updatedNote);
+    return saveOrRestore(previous);
+}
+
+/**
+ * Lock a note: its content and history are encrypted, only the title and metadata stay readable
+ * @param {string} noteId - The ID of the note
+ * @param {string} passphrase - The note's new passphrase
+ * @returns {Promise<boolean>} - Success status
+ */
+async function lockNote(noteId, passphrase) {
+    try {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await derivePassphraseKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+        
+        const note = state.notes.find(n => n.id === noteId);
+        if (!note || isNoteLocked(note)) return false;
+        
+        const secret = { content: note.content, revisions: note.revisions || [] };
+        const locked = await sealNote(key, { salt: bytesToBase64(salt), iterations: VAULT_KDF_ITERATIONS }, secret);
+        // Checklist items are readable from the content once unlocked
+        const { revisions, items, ...rest } = note;
+        
+        // The plain record is put back if saving fails, so don't claim it is encrypted
+        if (!(await replaceNote({ ...rest, content: '', locked, updatedAt: new Date().toISOString() }))) {
+            showError('The note was not locked because saving it failed. It is still stored unencrypted.');
+            return false;
+        }
+        unlockedNotes.set(noteId, { key, iv: locked.iv, ...secret });
+        saveDraft(noteId, null);
+        updateLiveMessage('Note locked');
+        return true;
+    } catch (error) {
+        console.error('Error locking note:', error);
+        showError('Failed to lock the note');
+        return false;
+    }
+}
+
+/**
+ * Decrypt a locked note for as long as it stays open
+ * @param {string} noteId - The ID of the note
+ * @param {string} passphrase - The note's passphrase
+ * @returns {Promise<boolean>} - Whether the passphrase was right
+ */
+async function unlockNote(noteId, passphrase) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!isNoteLocked(note)) return false;
+    
+    const { locked } = note;
+    const key = await derivePassphraseKey(passphrase, base64ToBytes(locked.salt), locked.iterations);
+    let secret;
+    try {
+        secret = JSON.parse(new TextDecoder().decode(await decryptBytes(key, locked)));
+    } catch (error) {
+        return false;
+    }
+    
+    unlockedNotes.set(noteId, { key, iv: locked.iv, content: secret.content, revisions: secret.revisions || [] });
+    return true;
+}
+
+/**
+ * Save an edit of an unlocked note, encrypting it again
+ * @param {string} noteId - The ID of the note
+ * @param {Object} updates - { title, content, category, tags } and any checklist changes.
+ *     Checklist items are left out: they stay encrypted, as the content.
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveLockedNote(noteId, { items, ...updates }) {
+    try {
+        const note = state.notes.find(n => n.id === noteId);
+        const entry = note && getUnlockedNote(note);
+        if (!entry) return false;
+        
+        // The history is encrypted with the content, so revisions are recorded here
+        const previous = { ...note, content: entry.content };
+        const revisions = hasRevisionChanges(previous, updates)
+            ? [createRevision(previous), ...entry.revisions].slice(0, MAX_REVISIONS)
+            : entry.revisions;
+        const secret = { content: updates.content, revisions };
+        const locked = await sealNote(entry.key, note.locked, secret);
+        
+        const current = state.notes.find(n => n.id === noteId) || note;
+        const success = await replaceNote({
+            ...current,
+            ...updates,
+            content: '',
+            locked,
+            updatedAt: new Date().toISOString()
+        });
+        if (success) {
+            unlockedNotes.set(noteId, { ...entry, iv: locked.iv, ...secret });
+            updateLiveMessage('Note updated successfully');
+        }
+        return success;
+    } catch (error) {
+        console.error('Error saving locked note:', error);
+        showError('Failed to update note');
+        return false;
+    }
+}
+
+/**
+ * Remove the lock of an unlocked note, storing its content readable again
+ * @param {string} noteId - The ID of the note
+ * @returns {Promise<boolean>} - Success status, once the note is saved
+ */
+async function removeNoteLock(noteId) {
+    const note = state.notes.find(n => n.id === noteId);
+    const entry = note && getUnlockedNote(note);
+    if (!entry) return false;
+    
+    const { locked, ...rest } = note;
+    const success = await replaceNote({
+        ...rest,
+        content: entry.content,
+        ...(isChecklist(note) ? { items: parseChecklistMarkdown(entry.content) } : {}),
+        ...(entry.revisions.length > 0 ? { revisions: entry.revisions } : {}),
+        updatedAt: new Date().toISOString()
+    });
+    if (success) {
+        unlockedNotes.delete(noteId);
+        updateLiveMessage('Note unlocked');
+    }
+    return success;
+}
+
+/**
+ * Ask for the passphrase of a locked note until it is right or the dialog is cancelled
+ * @param {string} noteId - The ID of the note
+ * @returns {Promise<boolean>} - Whether the note was unlocked
+ */
+async function requestNoteUnlock(noteId) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!note) return false;
+    if (!isEncryptionSupported()) {
+        showError('Locked notes need a secure connection (https)');
+        return false;
+    }
+    
+    let message = `Passphrase for "${note.title}"`;
+    while (true) {
+        const passphrase = await requestPassphrase('Locked Note', message);
+        if (passphrase === null) return false;
+        if (await unlockNote(noteId, passphrase)) return true;
+        
+        message = `Wrong passphrase. Try again: passphrase for "${note.title}"`;
+        updateLiveMessage('Wrong passphrase', 'assertive');
+    }
+}
+
+/**
+ * Show the dialog choosing the passphrase of a note to lock
+ * @param {string} noteId - The ID of the note
+ * @param {Function} onLocked - Called once the note is locked
+ */
+function showLockNoteDialog(noteId, onLocked) {
+    if (!isEncryptionSupported()) {
+        showError('Locked notes need a secure connection (https)');
+        return;
+    }
+    
+    const dialog = showOverlay(`
+        <form id="lockNoteForm" novalidate>
+            <h2>Lock Note</h2>
+            <p class="text-muted">The content and history of this note will be encrypted. Its title, category and tags stay visible.
+                <strong>If you forget the passphrase, the content can't be recovered.</strong></p>
+            <div class="form-group">
+                <label for="lockNew">Passphrase</label>
+                <input type="password" id="lockNew" class="form-control" autocomplete="new-password" required>
+            </div>
+            <div class="form-group">
+                <label for="lockConfirm">Passphrase again</label>
+                <input type="password" id="lockConfirm" class="form-control" autocomplete="new-password" required>
+            </div>
+            <p class="form-error" role="alert"></p>
+            <div class="form-actions">
+                <button type="submit" class="btn btn-primary">🔒 Lock Note</button>
+                <button type="button" class="btn btn-outline" id="cancelLockNoteBtn">Cancel</button>
+            </div>
+        </form>
+    `, { label: 'Lock note' });
+    
+    const form = dialog.querySelector('#lockNoteForm');
+    const errorEl = form.querySelector('.form-error');
+    form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const passphrase = form.querySelector('#lockNew').value;
+        
+        errorEl.textContent = validateNewPassphrase(passphrase, form.querySelector('#lockConfirm').value) || '';
+        if (errorEl.textContent) {
+            updateLiveMessage(errorEl.textContent, 'assertive');
+            return;
+        }
+        
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        if (await lockNote(noteId, passphrase)) {
+            closeOverlay();
+            onLocked();
+            showSuccess('Note locked');
+        }
+        button.disabled = false;
+    });
+    dialog.querySelector('#cancelLockNoteBtn').addEventListener('click', closeOverlay);
+    dialog.querySelector('#lockNew').focus();
+}
+
+/**
+ * Create the placeholder shown instead of a locked note's content
+ * @param {string} purpose - What unlocking is for, e.g. "read it"
+ * @returns {string} - HTML string for the placeholder
+ */
+function createLockedNotePlaceholder(purpose) {
+    return `
+        <div class="empty-state locked-note">
+            <div class="empty-state-icon" aria-hidden="true">🔒</div>
+            <h3>This note is locked</h3>
+            <p>Enter its passphrase to ${purpose}.</p>
+            <button type="button" class="btn btn-primary" id="unlockNoteBtn">Unlock</button>
+        </div>
+    `;
+}
+
+/**
+ * Set up the Unlock button of a locked note placeholder
+ * @param {string} noteId - The ID of the note
+ * @param {Function} onUnlocked - Called once the note is unlocked, to show it
+ */
+function setupUnlockButton(noteId, onUnlocked) {
+    document.getElementById('unlockNoteBtn')?.addEventListener('click', async () => {
+        if (await requestNoteUnlock(noteId)) {
+            onUnlocked();
+            updateLiveMessage('Note unlocked');
+        }
+    });
+}
+
+// =============================================
+// Reminders
+// =============================================
+
+/**
+ * Get when the reminder of a note is due
+ * @param {Object} note - The note
+ * @returns {number|null} - The time in ms, or null if the note has no pending reminder
+ */
+function getReminderTime(note) {
+    if (!note.dueAt || note.doneAt || note.reminderMinutes === null || note.reminderMinutes === undefined) return null;
+    if (note.snoozedUntil) return Date.parse(note.snoozedUntil);
+    return Date.parse(note.dueAt) - note.reminderMinutes * 60 * 1000;
+}
+
+/**
+ * Get the due state of a note
+ * @param {Object} note - The note
+ * @returns {string|null} - 'done', 'overdue', 'upcoming' (within UPCOMING_DAYS), 'later', or null without a due date
+ */
+function getDueStatus(note) {
+    if (!note.dueAt) return null;
+    if (note.doneAt) return 'done';
+    
+    const timeLeft = Date.parse(note.dueAt) - Date.now();
+    if (timeLeft <= 0) return 'overdue';
+    return timeLeft <= UPCOMING_DAYS * 24 * 60 * 60 * 1000 ? 'upcoming' : 'later';
+}
+
+/**
+ * Get the field updates for a note whose due date or reminder was edited
+ * @param {Object} note - The note before the edit
+ * @param {string|null} dueAt - The new due date
+ * @param {number|null} reminderMinutes - The new reminder, in minutes before the due date
+ * @returns {Object} - The updates; a new due date or reminder also drops the snooze and done state
+ */
+function getScheduleUpdates(note, dueAt, reminderMinutes) {
+    if ((note.dueAt || null) === dueAt && (note.reminderMinutes ?? null) === reminderMinutes) return {};
+    return { dueAt, reminderMinutes, snoozedUntil: null, doneAt: null };
+}
+
+/**
+ * Format a due date relative to now
+ * @param {string} dateString - The due date
+ * @returns {string} - e.g. "Due in 3h" or "Overdue by 2d"
+ */
+function formatDueDate(dateString) {
+    const diffInMinutes = Math.round((Date.parse(dateString) - Date.now()) / 60000);
+    const span = Math.abs(diffInMinutes);
+    
+    if (span < 1) return 'Due now';
+    if (diffInMinutes > UPCOMING_DAYS * 24 * 60) return `Due ${formatDateTime(dateString, 'short')}`;
+    
+    const amount = span < 60 ? `${span}m` : span < 1440 ? `${Math.round(span / 60)}h` : `${Math.round(span / 1440)}d`;
+    return diffInMinutes > 0 ? `Due in ${amount}` : `Overdue by ${amount}`;
+}
+
+/**
+ * Format a reminder option
+ * @param {number} minutes - Minutes before the due time
+ * @returns {string} - The label
+ */
+function formatReminderOffset(minutes) {
+    if (minutes === 0) return 'At the due time';
+    if (minutes < 60) return `${minutes} minutes before`;
+    if (minutes < 1440) return `${minutes / 60} ${minutes === 60 ? 'hour' : 'hours'} before`;
+    return `${minutes / 1440} ${minutes === 1440 ? 'day' : 'days'} before`;
+}
+
+/**
+ * Convert a date to the value of a datetime-local input (local time, to the minute)
+ * @param {string|null} dateString - The ISO date
+ * @returns {string} - The input value, empty without a date
+ */
+function toDateTimeLocalValue(dateString) {
+    if (!isValidDateString(dateString)) return '';
+    const date = new Date(dateString);
+    return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Describe where reminders will show, for the note form
+ * @returns {string} - The hint
+ */
+function getReminderHint() {
+    if (!('Notification' in window)) {
+        return 'Reminders show in the app while it is open. Missed reminders show the next time you open it.';
+    }
+    if (Notification.permission === 'denied') {
+        return 'Notifications are blocked for this site, so reminders only show in the app.';
+    }
+    return 'Reminders show as notifications while the app is open. Missed reminders show the next time you open it.';
+}
+
+/**
+ * Ask for permission to show notifications, once
+ */
+function requestNotificationPermission() {
+    if (!('Notification' in window) || Notification.permission !== 'default') return;
+    
+    Notification.requestPermission()
+        .then(permission => {
+            if (permission === 'denied') {
+                showInfo('Notifications are blocked, so reminders will only show in the app');
+            }
+        })
+        .catch(error => console.error('Error requesting notification permission:', error));
+}
+
+/**
+ * Load the reminders already shown, by note ID
+ * @returns {Object} - The reminder time (ISO) last shown for each note
+ */
+function loadFiredReminders() {
+    try {
+        const savedReminders = localStorage.getItem(REMINDERS_STORAGE_KEY);
+        return savedReminders ? JSON.parse(savedReminders) : {};
+    } catch (error) {
+        console.error('Error loading reminders:', error);
+        return {};
+    }
+}
+
+/**
+ * Save the reminders already shown
+ * @param {Object} fired - The reminder time (ISO) last shown for each note
+ */
+function saveFiredReminders(fired) {
+    try {
+        const value = JSON.stringify(fired);
+        if (localStorage.getItem(REMINDERS_STORAGE_KEY) !== value) {
+            localStorage.setItem(REMINDERS_STORAGE_KEY, value);
+        }
+    } catch (error) {
+        console.error('Error saving reminders:', error);
+    }
+}
+
+/**
+ * Show the reminders that are due and wait for the next one. Shown reminders are
+ * remembered in localStorage, so reminders missed while the app was closed show
+ * on the next start and no reminder shows twice.
+ */
+function scheduleReminders() {
+    clearTimeout(reminderTimer);
+    reminderTimer = null;
+    
+    const now = Date.now();
+    const fired = loadFiredReminders();
+    const stillDue = {};
+    let nextTime = Infinity;
+    
+    state.notes.forEach(note => {
+        const time = getReminderTime(note);
+        if (time === null || isNaN(time)) return;
+        
+        if (time > now) {
+            nextTime = Math.min(nextTime, time);
+            return;
+        }
+        
+        const key = new Date(time).toISOString();
+        stillDue[note.id] = key;
+        if (fired[note.id] !== key) {
+            fireReminder(note, now - time > MISSED_REMINDER_DELAY);
+        }
+    });
+    
+    // Reminders that were snoozed or moved can show again
+    saveFiredReminders(stillDue);
+    
+    if (nextTime !== Infinity) {
+        reminderTimer = setTimeout(scheduleReminders, Math.min(nextTime - now, MAX_TIMER_DELAY));
+    }
+}
+
+/**
+ * Show the reminder of a note in the app and as a notification
+ * @param {Object} note - The note
+ * @param {boolean} isMissed - Whether the reminder is shown late, e.g. because the app was closed
+ */
+function fireReminder(note, isMissed) {
+    const title = `${isMissed ? 'Missed reminder' : 'Reminder'}: ${note.title}`;
+    const body = `${getDueStatus(note) === 'overdue' ? 'Was due' : 'Due'} ${formatDateTime(note.dueAt, 'full')}`;
+    
+    showMessage(`⏰ ${title}. ${body}`, 'warning', {
+        duration: 0,
+        action: { label: `Snooze ${SNOOZE_MINUTES} min`, run: () => snoozeReminder(note.id) }
+    });
+    showReminderNotification(note, title, body);
+    updateLiveMessage(title, 'assertive');
+}
+
+/**
+ * Show a system notification for a reminder, if allowed
+ * @param {Object} note - The note
+ * @param {string} title - The notification title
+ * @param {string} body - The notification text
+ */
+function showReminderNotification(note, title, body) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    
+    // The same tag replaces the notification of another tab instead of adding one
+    const options = { body, tag: `reminder-${note.id}`, icon: 'icon.svg', data: { noteId: note.id } };
+    
+    // Notification buttons need the service worker (see notificationclick in sw.js)
+    if (navigator.serviceWorker?.controller) {
+        navigator.serviceWorker.ready
+            .then(registration => registration.showNotification(title, {
+                ...options,
+                requireInteraction: true,
+                actions: [
+                    { action: 'snooze', title: `Snooze ${SNOOZE_MINUTES} min` },
+                    { action: 'done', title: 'Mark done' }
+                ]
+            }))
+            .catch(error => console.error('Error showing notification:', error));
+        return;
+    }
+    
+    try {
+        const notification = new Notification(title, options);
+        notification.addEventListener('click', () => {
+            window.focus();
+            navigateTo('note', { noteId: note.id });
+            notification.close();
+        });
+    } catch (error) {
+        // Some mobile browsers only allow notifications from a service worker
+        console.error('Error showing notification:', error);
+    }
+}
+
+/**
+ * Run a button of a reminder notification
+ * @param {string} action - 'snooze', 'done' or 'open'
+ * @param {string} noteId - The ID of the note
+ */
+function handleReminderAction(action, noteId) {
+    if (!state.notes.some(note => note.id === noteId)) return;
+    
+    if (action === 'snooze') {
+        snoozeReminder(noteId);
+    } else if (action === 'done') {
+        markNoteDone(noteId, true);
+    } else {
+        navigateTo('note', { noteId });
+    }
+}
+
+/**
+ * Re-render the notes list or note detail after a reminder change
+ * @param {string} noteId - The ID of the changed note
+ */
+function refreshDueViews(noteId) {
+    if (['view', 'note'].includes(state.currentView)) {
+        refreshView([noteId]);
+    }
+}
+
+/**
+ * Show the reminder of a note again in SNOOZE_MINUTES
+ * @param {string} noteId - The ID of the note
+ */
+async function snoozeReminder(noteId) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!note?.dueAt) return;
+    
+    const snoozedUntil = new Date(Date.now() + SNOOZE_MINUTES * 60 * 1000).toISOString();
+    // Snoozing a note without a reminder gives it one
+    if (!(await updateNote(noteId, { snoozedUntil, reminderMinutes: note.reminderMinutes ?? 0 }))) return;
+    
+    refreshDueViews(noteId);
+    showInfo(`Reminder for "${note.title}" snoozed for ${SNOOZE_MINUTES} minutes`);
+}
+
+/**
+ * Mark a due note as done, or open it again
+ * @param {string} noteId - The ID of the note
+ * @param {boolean} isDone - Whether the note is done
+ */
+async function markNoteDone(noteId, isDone) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!note) return;
+    
+    const snapshots = getNoteSnapshots([noteId], ['doneAt', 'snoozedUntil']);
+    const doneAt = isDone ? new Date().toISOString() : null;
+    if (!(await updateNote(noteId, { doneAt, snoozedUntil: null }))) return;
+    
+    refreshDueViews(noteId);
+    showSuccess(isDone ? `"${note.title}" marked as done` : `"${note.title}" is due again`, {
+        action: { label: 'Undo', run: () => undoNoteChanges(snapshots) }
+    });
+}
+
+/**
+ * Create the due date badge of a note
+ * @param {Object} note - The note
+ * @returns {string} - HTML string for the badge, empty without a due date
+ */
+function createDueBadge(note) {
+    const status = getDueStatus(note);
+    if (!status) return '';
+    
+    const label = status === 'done' ? '✓ Done' : `⏰ ${formatDueDate(note.dueAt)}`;
+    return `
+        <span class="note-due ${status}" title="Due ${formatDateTime(note.dueAt, 'full')}">${label}</span>
+    `;
+}
+
+/**
+ * Create the Snooze and Done buttons of a due note
+ * @param {Object} note - The note
+ * @returns {string} - HTML string for the buttons, empty without a due date
+ */
+function createReminderActions(note) {
+    if (!note.dueAt) return '';
+    
+    const reminderTime = getReminderTime(note);
+    return `
+        ${reminderTime !== null && reminderTime <= Date.now() ? `
+            <button class="btn btn-sm btn-outline snooze-reminder" data-note-id="${note.id}">
+                💤 Snooze
+            </button>
+        ` : ''}
+        <button class="btn btn-sm btn-outline mark-done" data-note-id="${note.id}" data-done="${!note.doneAt}">
+            ${note.doneAt ? '↩️ Not Done' : '✓ Done'}
+        </button>
+    `;
+}
+
+/**
+ * Create the Overdue and Upcoming sections of the notes list
+ * @param {Array} notes - The notes shown in the list
+ * @returns {string} - HTML string for the sections, empty if no note is due soon
+ */
+function createDueSections(notes) {
+    const dueNotes = notes
+        .filter(note => ['overdue', 'upcoming'].includes(getDueStatus(note)))
+        .sort((a, b) => Date.parse(a.dueAt) - Date.parse(b.dueAt));
+    if (dueNotes.length === 0) return '';
+    
+    const section = (title, status) => {
+        const items = dueNotes.filter(note => getDueStatus(note) === status);
+        return items.length === 0 ? '' : `
+            <section class="due-section ${status}" aria-label="${title}">
+                <h3 class="section-title">${title} <span class="badge">${items.length}</span></h3>
+                <ul class="due-list">
+                    ${items.map(note => `
+                        <li class="due-item">
+                            <a class="note-link" href="?view=note&amp;id=${encodeURIComponent(note.id)}" data-note-id="${note.id}">
+                                ${escapeHtml(note.title)}
+                            </a>
+                            ${createDueBadge(note)}
+                            <div class="note-actions">${createReminderActions(note)}</div>
+                        </li>
+                    `).join('')}
+                </ul>
+            </section>
+        `;
+    };
+    
+    return `
+        <div class="due-sections">
+            ${section('Overdue', 'overdue')}
+            ${section('Upcoming', 'upcoming')}
+        </div>
+    `;
+}
+
+// =============================================
+// Checklists
+// =============================================
+
+/**
+ * Check whether a note is a checklist
+ * @param {Object} note - The note
+ * @returns {boolean} - Whether the note is a checklist
+ */
+function isChecklist(note) {
+    return note?.type === 'checklist';
+}
+
+/**
+ * Clean up checklist items, e.g. from an import file. Items nest one level deep:
+ * anything nested deeper is moved up to its top-level item.
+ * @param {Array} items - The items: { id, text, checked, children }
+ * @returns {Array} - The valid items
+ */
+function normalizeChecklistItems(items) {
+    const toItem = (item) => ({
+        // IDs end up in attribute selectors
+        id: typeof item.id === 'string' && /^[\w-]+$/.test(item.id) ? item.id : generateId(),
+        text: String(item.text ?? '').replace(/\s+/g, ' ').trim(),
+        checked: item.checked === true
+    });
+    const objects = (list) => (Array.isArray(list) ? list : []).filter(item => item && typeof item === 'object');
+    const flatten = (list) => objects(list).flatMap(item => [toItem(item), ...flatten(item.children)]);
+    
+    return objects(items)
+        .map(item => ({ ...toItem(item), children: flatten(item.children).filter(child => child.text) }))
+        .filter(item => item.text);
+}
+
+/**
+ * Flatten checklist items into rows with their nesting level
+ * @param {Array} items - The checklist items
+ * @returns {Array} - Rows of { id, text, checked, level }
+ */
+function flattenChecklistItems(items) {
+    return (items || []).flatMap(({ children, ...item }) => [
+        { ...item, level: 0 },
+        ...(children || []).map(child => ({ ...child, level: 1 }))
+    ]);
+}
+
+/**
+ * Nest rows into checklist items: rows at level 1 belong to the item above them
+ * @param {Array} rows - Rows of { id, text, checked, level }
+ * @returns {Array} - The checklist items, without empty ones
+ */
+function nestChecklistRows(rows) {
+    const items = [];
+    rows.forEach(({ level, ...row }) => {
+        const parent = items[items.length - 1];
+        if (level === 1 && parent) {
+            parent.children.push(row);
+        } else {
+            items.push({ ...row, children: [] });
+        }
+    });
+    return normalizeChecklistItems(items);
+}
+
+/**
+ * Write checklist items as a Markdown task list. This is the content of a checklist note,
+ * so search, history, exports and printing work as for any note.
+ * @param {Array} items - The checklist items
+ * @returns {string} - The Markdown
+ */
+function checklistToMarkdown(items) {
+    return flattenChecklistItems(items)
+        .map(row => `${row.level ? '  ' : ''}- [${row.checked ? 'x' : ' '}] ${row.text}`)
+        .join('\n');
+}
+
+/**
+ * Read checklist items from text: a Markdown (task) list, or one item per line
+ * @param {string} text - The text
+ * @returns {Array} - The checklist items
+ */
+function parseChecklistMarkdown(text) {
+    const rows = text.split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            const match = line.match(/^(\s*)(?:[-*+]|\d+[.)])\s+(?:\[([ xX])\](?:\s+|$))?(.*)$/);
+            if (!match) return { text: line, checked: false, level: 0 };
+            return {
+                text: match[3],
+                checked: Boolean(match[2]) && match[2] !== ' ',
+                level: getIndentWidth(match[1]) >= 2 ? 1 : 0
+            };
+        });
+    return nestChecklistRows(rows);
+}
+
+/**
+ * Count the checked items of a checklist, nested ones included
+ * @param {Array} items - The checklist items
+ * @returns {Object} - { done, total }
+ */
+function getChecklistProgress(items) {
+    const rows = flattenChecklistItems(items);
+    return { done: rows.filter(row => row.checked).length, total: rows.length };
+}
+
+/**
+ * Get the items of a checklist to show, following its options for completed items
+ * @param {Object} note - The checklist note
+ * @returns {Array} - The items, in order, without hidden ones
+ */
+function getVisibleChecklistItems(note) {
+    // A completed item stays open while some of its nested items are not
+    const isOpen = (item) => !item.checked || (item.children || []).some(child => !child.checked);
+    const arrange = (list) => {
+        const open = list.filter(isOpen);
+        if (note.hideCompleted) return open;
+        return note.completedLast ? [...open, ...list.filter(item => !isOpen(item))] : list;
+    };
+    return arrange(note.items || []).map(item => ({ ...item, children: arrange(item.children) }));
+}
+
+/**
+ * Save a change to the items or options of a checklist. Ticking items off
+ * is not worth a revision, so the version history is left alone.
+ * @param {string} noteId - The ID of the note
+ * @param {Function} change - Gets the note and returns the fields to update
+ * @returns {Promise<boolean>} - Success status, once the note is saved
+ */
+async function updateChecklist(noteId, change) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!isChecklist(note) || isNoteLocked(note)) return false;
+    
+    const updates = change(note);
+    if (updates.items) {
+        updates.content = checklistToMarkdown(updates.items);
+    }
+    return replaceNote({ ...note, ...updates, updatedAt: new Date().toISOString() });
+}
+
+/**
+ * Check or uncheck a checklist item. Checking an item checks its nested items too.
+ * @param {string} noteId - The ID of the note
+ * @param {string} itemId - The ID of the item
+ * @param {boolean} checked - Whether the item is done
+ * @returns {Promise<boolean>} - Success status
+ */
+function toggleChecklistItem(noteId, itemId, checked) {
+    return updateChecklist(noteId, note => ({
+        items: note.items.map(item => {
+            if (item.id === itemId) {
+                const children = checked ? item.children.map(child => ({ ...child, checked: true })) : item.children;
+                return { ...item, checked, children };
+            }
+            return { ...item, children: item.children.map(child => (child.id === itemId ? { ...child, checked } : child)) };
+        })
+    }));
+}
+
+/**
+ * Add an item at the end of a checklist
+ * @param {string} noteId - The ID of the note
+ * @param {string} text - The text of the item
+ * @returns {Promise<boolean>} - Success status
+ */
+async function addChecklistItem(noteId, text) {
+    const itemText = text.replace(/\s+/g, ' ').trim();
+    if (!itemText) return false;
+    
+    return updateChecklist(noteId, note => ({
+        items: [...note.items, { id: generateId(), text: itemText, checked: false, children: [] }]
+    }));
+}
+
+/**
+ * Change how a checklist shows its completed items
+ * @param {string} noteId - The ID of the note
+ * @param {string} option - 'hideCompleted' or 'completedLast'
+ * @param {boolean} value - Whether the option is on
+ * @returns {Promise<boolean>} - Success status
+ */
+async function setChecklistOption(noteId, option, value) {
+    if (!['hideCompleted', 'completedLast'].includes(option)) return false;
+    return updateChecklist(noteId, () => ({ [option]: value }));
+}
+
+/**
+ * Create the progress bar of a checklist
+ * @param {Array} items - The checklist items
+ * @returns {string} - HTML string for the progress bar
+ */
+function createChecklistProgress(items) {
+    const { done, total } = getChecklistProgress(items);
+    const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+    
+    return `
+        <div class="checklist-progress ${total > 0 && done === total ? 'complete' : ''}">
+            <div class="progress-track"
+                 role="progressbar"
+                 aria-label="Checklist progress"
+                 aria-valuemin="0"
+                 aria-valuemax="${total}"
+                 aria-valuenow="${done}"
+                 aria-valuetext="${done} of ${total} done">
+                <div class="progress-fill" style="width: ${percent}%"></div>
+            </div>
+            <small class="progress-label">${done}/${total} done</small>
+        </div>
+    `;
+}
+
+/**
+ * Create the checklist of the note detail, whose items can be checked off
+ * @param {Object} note - The checklist note
+ * @returns {string} - HTML string for the checklist panel
+ */
+function createChecklistPanel(note) {
+    const visibleItems = getVisibleChecklistItems(note);
+    const hiddenCount = getChecklistProgress(note.items).total - getChecklistProgress(visibleItems).total;
+    
+    const itemHTML = (item) => `
+        <li class="checklist-item ${item.checked ? 'checked' : ''}">
+            <label class="checklist-label">
+                <input type="checkbox" class="checklist-toggle" data-item-id="${item.id}" ${item.checked ? 'checked' : ''}>
+                <span>${renderMarkdownInline(item.text)}</span>
+            </label>
+            ${item.children?.length > 0 ? `
+                <ul class="checklist">${item.children.map(itemHTML).join('')}</ul>
+            ` : ''}
+        </li>
+    `;
+    
+    return `
+        <div class="checklist-panel" id="checklistPanel">
+            ${createChecklistProgress(note.items)}
+            <div class="checklist-options" role="group" aria-label="Completed items">
+                <label><input type="checkbox" class="checklist-option" data-option="hideCompleted" ${note.hideCompleted ? 'checked' : ''}> Hide completed</label>
+                <label><input type="checkbox" class="checklist-option" data-option="completedLast" ${note.completedLast ? 'checked' : ''}> Completed at the bottom</label>
+            </div>
+            <ul class="checklist">
+                ${visibleItems.map(itemHTML).join('')}
+            </ul>
+            ${hiddenCount > 0 ? `<p class="text-muted">${hiddenCount} completed ${hiddenCount === 1 ? 'item' : 'items'} hidden</p>` : ''}
+            <form class="checklist-add" id="addChecklistItemForm">
+                <input type="text" id="newChecklistItem" class="form-control" placeholder="Add an item..." aria-label="New item">
+                <button type="submit" class="btn btn-outline">Add</button>
+            </form>
+        </div>
+    `;
+}
+
+/**
+ * Set up the checklist of the note detail
+ * @param {string} noteId - The ID of the note
+ */
+function setupChecklistPanel(noteId) {
+    const panel = document.getElementById('checklistPanel');
+    if (!panel) return;
+    
+    panel.addEventListener('change', async (e) => {
+        const toggle = e.target.closest('.checklist-toggle');
+        const option = e.target.closest('.checklist-option');
+        
+        if (toggle) {
+            const label = toggle.closest('.checklist-label').textContent.trim();
+            const saved = await toggleChecklistItem(noteId, toggle.dataset.itemId, toggle.checked);
+            // Re-rendering also unticks the box again if saving failed
+            showNoteDetail(noteId);
+            // The item may be hidden or moved now
+            (document.querySelector(`.checklist-toggle[data-item-id="${toggle.dataset.itemId}"]`) ||
+                document.querySelector('.checklist-toggle'))?.focus();
+            if (saved) updateLiveMessage(`${label} ${toggle.checked ? 'checked' : 'unchecked'}`);
+        } else if (option) {
+            await setChecklistOption(noteId, option.dataset.option, option.checked);
+            showNoteDetail(noteId);
+            document.querySelector(`.checklist-option[data-option="${option.dataset.option}"]`)?.focus();
+        }
+    });
+    
+    panel.querySelector('#addChecklistItemForm').addEventListener('submit', async (e) => {
+        e.preventDefault();
+        const text = panel.querySelector('#newChecklistItem').value;
+        if (await addChecklistItem(noteId, text)) {
+            showNoteDetail(noteId);
+            document.getElementById('newChecklistItem')?.focus();
+            updateLiveMessage(`Item added: ${text.trim()}`);
+        }
+    });
+}
+
+/**
+ * Set up the checklist editor of the note form. Items can be added, removed,
+ * nested one level (Tab/Shift+Tab) and reordered by dragging or with Alt+Up/Down.
+ * @param {Array} initialItems - The items of the note
+ * @returns {Object} - { getItems, setItems } to switch the form between note types
+ */
+function setupChecklistEditor(initialItems) {
+    const editor = document.getElementById('checklistEditor');
+    const hiddenInput = document.getElementById('noteItems');
+    
+    let rows = [];
+    let draggedId = null;
+    
+    const createRow = (level) => ({ id: generateId(), text: '', checked: false, level });
+    
+    const render = (focusId = null) => {
+        if (rows.length === 0) rows.push(createRow(0));
+        // The first item has nothing to be nested under
+        rows[0].level = 0;
+        
+        editor.innerHTML = rows.map((row, index) => `
+            <li class="checklist-row ${row.level ? 'nested' : ''}" data-row-id="${row.id}">
+                <span class="drag-handle" draggable="true" title="Drag to reorder" aria-hidden="true">⠿</span>
+                <input type="checkbox" class="checklist-check" ${row.checked ? 'checked' : ''} aria-label="Item ${index + 1} done">
+                <input type="text"
+                       class="form-control checklist-text"
+                       value="${escapeHtml(row.text)}"
+                       placeholder="List item"
+                       aria-label="Item ${index + 1}${row.level ? ' (nested)' : ''}">
+                <button type="button" class="btn btn-sm btn-outline checklist-indent"
+                        ${index === 0 ? 'disabled' : ''}
+                        aria-label="${row.level ? 'Unnest' : 'Nest'} item ${index + 1}">${row.level ? '⇤' : '⇥'}</button>
+                <button type="button" class="btn btn-sm btn-outline checklist-remove" aria-label="Remove item ${index + 1}">✕</button>
+            </li>
+        `).join('');
+        hiddenInput.value = JSON.stringify(rows);
+        
+        const input = focusId && editor.querySelector(`[data-row-id="${focusId}"] .checklist-text`);
+        if (input) {
+            input.focus();
+            input.setSelectionRange(input.value.length, input.value.length);
+        }
+    };
+    
+    const commit = (focusId) => {
+        render(focusId);
+        scheduleDraftSave();
+    };
+    
+    const getRowIndex = (element) => rows.findIndex(row => row.id === element.closest('.checklist-row')?.dataset.rowId);
+    
+    // A top-level item moves together with its nested items
+    const getBlock = (index) => {
+        let end = index + 1;
+        if (rows[index].level === 0) {
+            while (rows[end]?.level === 1) end++;
+        }
+        return [index, end];
+    };
+    
+    const moveBlock = (rowId, targetId, after) => {
+        const [start, end] = getBlock(rows.findIndex(row => row.id === rowId));
+        const block = rows.slice(start, end);
+        if (block.some(row => row.id === targetId)) return;
+        
+        rows.splice(start, end - start);
+        let index = rows.findIndex(row => row.id === targetId) + (after ? 1 : 0);
+        if (block[0].level === 0) {
+            // Don't split the nested items of another item
+            while (rows[index]?.level === 1) index++;
+        }
+        rows.splice(index, 0, ...block);
+        commit(rowId);
+    };
+    
+    const moveRow = (index, offset) => {
+        const [start, end] = getBlock(index);
+        if (offset < 0 && start > 0) {
+            let target = start - 1;
+            if (rows[start].level === 0) {
+                while (target > 0 && rows[target].level === 1) target--;
+            }
+            moveBlock(rows[start].id, rows[target].id, false);
+        } else if (offset > 0 && end < rows.length) {
+            moveBlock(rows[start].id, rows[end].id, true);
+        }
+    };
+    
+    const setLevel = (index, level) => {
+        if (index === 0 || rows[index].level === level) return;
+        rows[index].level = level;
+        commit(rows[index].id);
+    };
+    
+    const removeRow = (index) => {
+        const [removed] = rows.splice(index, 1);
+        if (removed.level === 0) {
+            // Its nested items move up rather than under the item above
+            for (let i = index; rows[i]?.level === 1; i++) rows[i].level = 0;
+        }
+        commit(rows[Math.max(0, index - 1)]?.id);
+    };
+    
+    const isAfterMiddle = (e, rowElement) => {
+        const rect = rowElement.getBoundingClientRect();
+        return e.clientY > rect.top + rect.height / 2;
+    };
+    
+    const clearDropMarkers = () => {
+        editor.querySelectorAll('.drop-before, .drop-after, .dragging')
+            .forEach(element => element.classList.remove('drop-before', 'drop-after', 'dragging'));
+    };
+    
+    editor.addEventListener('input', (e) => {
+        if (!e.target.matches('.checklist-text')) return;
+        rows[getRowIndex(e.target)].text = e.target.value;
+        hiddenInput.value = JSON.stringify(rows);
+    });
+    
+    editor.addEventListener('change', (e) => {
+        if (!e.target.matches('.checklist-check')) return;
+        rows[getRowIndex(e.target)].checked = e.target.checked;
+        hiddenInput.value = JSON.stringify(rows);
+    });
+    
+    editor.addEventListener('click', (e) => {
+        const button = e.target.closest('.checklist-indent, .checklist-remove');
+        if (!button) return;
+        
+        const index = getRowIndex(button);
+        if (button.classList.contains('checklist-indent')) {
+            setLevel(index, rows[index].level ? 0 : 1);
+        } else {
+            removeRow(index);
+        }
+    });
+    
+    editor.addEventListener('keydown', (e) => {
+        if (!e.target.matches('.checklist-text')) return;
+        const index = getRowIndex(e.target);
+        
+        if (e.key === 'Enter') {
+            // Don't submit the form: add an item below, as the first nested item of a parent
+            e.preventDefault();
+            const row = createRow(rows[index + 1]?.level === 1 ? 1 : rows[index].level);
+            rows.splice(index + 1, 0, row);
+            commit(row.id);
+        } else if (e.key === 'Backspace' && !e.target.value && rows.length > 1) {
+            e.preventDefault();
+            removeRow(index);
+        } else if (e.key === 'Tab' && !e.altKey && !e.ctrlKey && !e.metaKey) {
+            // Tab only nests when it can, so it still moves focus otherwise
+            const level = e.shiftKey ? 0 : 1;
+            if (index > 0 && rows[index].level !== level) {
+                e.preventDefault();
+                setLevel(index, level);
+            }
+        } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            moveRow(index, e.key === 'ArrowUp' ? -1 : 1);
+        }
+    });
+    
+    editor.addEventListener('dragstart', (e) => {
+        const rowElement = e.target.closest?.('.checklist-row');
+        if (!rowElement || !e.target.classList.contains('drag-handle')) return;
+        
+        draggedId = rowElement.dataset.rowId;
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', rows[getRowIndex(rowElement)].text);
+        e.dataTransfer.setDragImage?.(rowElement, 0, 0);
+        rowElement.classList.add('dragging');
+    });
+    
+    editor.addEventListener('dragover', (e) => {
+        const rowElement = e.target.closest('.checklist-row');
+        if (!draggedId || !rowElement) return;
+        
+        e.preventDefault();
+        e.dataTransfer.dropEffect = 'move';
+        editor.querySelectorAll('.drop-before, .drop-after')
+            .forEach(element => element.classList.remove('drop-before', 'drop-after'));
+        rowElement.classList.add(isAfterMiddle(e, rowElement) ? 'drop-after' : 'drop-before');
+    });
+    
+    editor.addEventListener('drop', (e) => {
+        const rowElement = e.target.closest('.checklist-row');
+        if (!draggedId || !rowElement) return;
+        
+        e.preventDefault();
+        const rowId = draggedId;
+        draggedId = null;
+        clearDropMarkers();
+        moveBlock(rowId, rowElement.dataset.rowId, isAfterMiddle(e, rowElement));
+    });
+    
+    editor.addEventListener('dragend', () => {
+        draggedId = null;
+        clearDropMarkers();
+    });
+    
+    document.getElementById('addChecklistRowBtn').addEventListener('click', () => {
+        const row = createRow(0);
+        rows.push(row);
+        commit(row.id);
+    });
+    
+    const setItems = (items) => {
+        rows = flattenChecklistItems(items);
+        render();
+    };
+    setItems(initialItems);
+    
+    return {
+        getItems: () => nestChecklistRows(rows),
+        setItems
+    };
+}
+
+// =============================================
+// Trash
+// =============================================
+
+/**
+ * Load trashed notes through the storage adapter
+ */
+async function loadTrash() {
+    try {
+        state.trash = await loadCollection('trash');
+        return state.trash;
+    } catch (error) {
+        console.error('Error loading trash:', error);
+        showError('Failed to load trash');
+        return [];
+    }
+}
+
+/**
+ * Save trashed notes through the storage adapter
+ * @returns {Promise<boolean>} - Resolves once the trash is written: false if that failed
+ */
+function saveTrash() {
+    try {
+        const saved = persistCollection('trash');
+        updateTrashCount();
+        return saved;
+    } catch (error) {
+        console.error('Error saving trash:', error);
+        showError('Failed to save trash');
+        return Promise.resolve(false);
+    }
+}
+
+/**
+ * Show the number of trashed notes on the Trash navigation button
+ */
+function updateTrashCount() {
+    if (!elements.trashCount) return;
+    elements.trashCount.textContent = state.trash.length > 0 ? state.trash.length : '';
+}
+
+/**
+ * Restore trashed notes to the notes list. Nothing moves if saving fails.
+ * @param {Array<string>} noteIds - The IDs of the trashed notes to restore
+ * @returns {Promise<boolean>} - Success status
+ */
+async function restoreNotes(noteIds) {
+    try {
+        const restored = state.trash.filter(note => noteIds.includes(note.id));
+        if (restored.length === 0) return false;
+        
+        const previous = captureSavedState();
+        state.trash = state.trash.filter(note => !noteIds.includes(note.id));
+        restored.forEach(({ deletedAt, ...note }) => {
+            // Fall back to the default category if the note's category no longer exists
+            const restoredNote = { ...note, category: findCategory(note.category)?.name || DEFAULT_CATEGORY };
+            state.notes.unshift(restoredNote);
+            indexNote(restoredNote);
+        });
+        
+        const success = await saveOrRestore(previous);
+        if (success) {
+            updateLiveMessage(`${restored.length} ${restored.length === 1 ? 'note' : 'notes'} restored`);
+        }
+        return success;
+    } catch (error) {
+        console.error('Error restoring notes:', error);
+        showError('Failed to restore notes');
+        return false;
+    }
+}
+
+/**
+ * Permanently delete trashed notes
+ * @param {Array<string>} noteIds - The IDs of the trashed notes to delete
+ * @param {boolean} skipConfirm - Skip the confirmation (used by the automatic purge)
+ * @returns {Promise<boolean>} - Success status, once the trash is saved
+ */
+async function deleteNotesPermanently(noteIds, skipConfirm = false) {
+    try {
+        const count = state.trash.filter(note => noteIds.includes(note.id)).length;
+        if (count === 0) return false;
+        
+        if (!skipConfirm && !confirm(
+            `Permanently delete ${count} ${count === 1 ? 'note' : 'notes'}? This action cannot be undone.`
+        )) {
+            return false;
+        }
+        
+        const previous = captureSavedState();
+        state.trash = state.trash.filter(note => !noteIds.includes(note.id));
+        if (!(await saveOrRestore(previous))) return false;
+        updateLiveMessage(`${count} ${count === 1 ? 'note' : 'notes'} permanently deleted`);
+        return true;
+    } catch (error) {
+        console.error('Error deleting notes permanently:', error);
+        showError('Failed to delete notes');
+        return false;
+    }
+}
+
+/**
+ * Permanently delete trashed notes older than the retention period
+ * @returns {number} - The number of purged notes
+ */
+function purgeExpiredTrash() {
+    const retentionDays = state.settings.trashRetentionDays;
+    if (!retentionDays) return 0;
+    
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const expiredIds = state.trash
+        .filter(note => new Date(note.deletedAt).getTime() < cutoff)
+        .map(note => note.id);
+    
+    if (expiredIds.length > 0) {
+        deleteNotesPermanently(expiredIds, true);
+    }
+    return expiredIds.length;
+}
+
+/**
+ * Describe when a trashed note will be purged
+ * @param {Object} note - The trashed note
+ * @returns {string} - A short description
+ */
+function getPurgeDescription(note) {
+    const retentionDays = state.settings.trashRetentionDays;
+    if (!retentionDays) return 'Kept until deleted';
+    
+    const purgeAt = new Date(note.deletedAt).getTime() + retentionDays * 24 * 60 * 60 * 1000;
+    const daysLeft = Math.max(0, Math.ceil((purgeAt - Date.now()) / (24 * 60 * 60 * 1000)));
+    return daysLeft === 0 ? 'Deleted forever today' : `Deleted forever in ${daysLeft}d`;
+}
+
+/**
+ * Show the trash with restore and permanent delete options
+ */
+function showTrash() {
+    purgeExpiredTrash();
+    
+    const retentionOptions = TRASH_RETENTION_OPTIONS.map(days => `
+        <option value="${days}" ${state.settings.trashRetentionDays === days ? 'selected' : ''}>
+            ${days === 0 ? 'Never' : `After ${days} ${days === 1 ? 'day' : 'days'}`}
+        </option>
+    `).join('');
+    
+    const trashItems = state.trash.map(note => `
+        <li class="trash-item" data-note-id="${note.id}">
+            <input type="checkbox" 
+                   class="trash-select" 
+                   value="${note.id}"
+                   aria-label="Select ${escapeHtml(note.title)}">
+            <div class="trash-item-body">
+                <h3 class="trash-item-title">${escapeHtml(note.title)}</h3>
+                <p class="trash-item-snippet text-muted">${escapeHtml(getNoteText(note).slice(0, 140))}</p>
+                <small class="text-muted" title="${formatDateTime(note.deletedAt, 'full')}">
+                    Deleted ${formatDateTime(note.deletedAt)} &middot; ${getPurgeDescription(note)}
+                </small>
+            </div>
+            <div class="note-actions">
+                <button class="btn btn-sm btn-outline restore-note" 
+                        data-note-id="${note.id}"
+                        aria-label="Restore note">↩️</button>
+                <button class="btn btn-sm btn-outline purge-note" 
+                        data-note-id="${note.id}"
+                        aria-label="Delete note forever">🗑️</button>
+            </div>
+        </li>
+    `).join('');
+    
+    elements.mainContent.innerHTML = `
+        <div class="notes-container trash-container">
+            <div class="notes-header">
+                <h2>Trash</h2>
+                <div class="form-group trash-retention">
+                    <label for="trashRetention">Empty automatically</label>
+                    <select id="trashRetention" class="form-control">
+                        ${retentionOptions}
+                    </select>
+                </div>
+            </div>
+            
+            ${state.trash.length === 0 ? `
+                <div class="empty-state">
+                    <div class="empty-state-icon">🗑️</div>
+                    <h3>Trash is Empty</h3>
+                    <p>Deleted notes appear here until they are purged.</p>
+                </div>
+            ` : `
+                <div class="trash-toolbar">
+                    <label class="trash-select-all">
+                        <input type="checkbox" id="trashSelectAll"> Select all
+                    </label>
+                    <button class="btn btn-sm btn-primary" id="restoreSelectedBtn" disabled>Restore selected</button>
+                    <button class="btn btn-sm btn-danger" id="purgeSelectedBtn" disabled>Delete selected</button>
+                    <button class="btn btn-sm btn-outline" id="emptyTrashBtn">Empty trash</button>
+                </div>
+                <ul class="trash-list">
+                    ${trashItems}
+                </ul>
+            `}
+        </div>
+    `;
+    
+    const getSelectedIds = () =>
+        [...elements.mainContent.querySelectorAll('.trash-select:checked')].map(input => input.value);
+    
+    const updateToolbar = () => {
+        const selectedCount = getSelectedIds().length;
+        const selectAll = document.getElementById('trashSelectAll');
+        document.getElementById('restoreSelectedBtn').disabled = selectedCount === 0;
+        document.getElementById('purgeSelectedBtn').disabled = selectedCount === 0;
+        selectAll.checked = selectedCount === state.trash.length;
+        selectAll.indeterminate = selectedCount > 0 && selectedCount < state.trash.length;
+    };
+    
+    document.getElementById('trashRetention')?.addEventListener('change', (e) => {
+        state.settings.trashRetentionDays = parseInt(e.target.value, 10);
+        saveSettings();
+        showTrash();
+    });
+    
+    document.getElementById('trashSelectAll')?.addEventListener('change', (e) => {
+        elements.mainContent.querySelectorAll('.trash-select').forEach(input => {
+            input.checked = e.target.checked;
+        });
+        updateToolbar();
+    });
+    
+    elements.mainContent.querySelectorAll('.trash-select').forEach(input => {
+        input.addEventListener('change', updateToolbar);
+    });
+    
+    document.getElementById('restoreSelectedBtn')?.addEventListener('click', async () => {
+        const ids = getSelectedIds();
+        if (await restoreNotes(ids)) {
+            showTrash();
+            showSuccess(`Restored ${ids.length} ${ids.length === 1 ? 'note' : 'notes'}`);
+        }
+    });
+    
+    document.getElementById('purgeSelectedBtn')?.addEventListener('click', async () => {
+        if (await deleteNotesPermanently(getSelectedIds())) showTrash();
+    });
+    
+    document.getElementById('emptyTrashBtn')?.addEventListener('click', async () => {
+        if (await deleteNotesPermanently(state.trash.map(note => note.id))) {
+            showTrash();
+            showSuccess('Trash emptied');
+        }
+    });
+    
+    elements.mainContent.querySelector('.trash-list')?.addEventListener('click', async (e) => {
+        const restoreButton = e.target.closest('.restore-note');
+        const purgeButton = e.target.closest('.purge-note');
+        
+        if (restoreButton && await restoreNotes([restoreButton.dataset.noteId])) {
+            showTrash();
+            showSuccess('Note restored');
+        }
+        
+        if (purgeButton && await deleteNotesPermanently([purgeButton.dataset.noteId])) {
+            showTrash();
+        }
+    });
+    
+    updateLiveMessage(`Trash loaded with ${state.trash.length} notes`);
+}
+
+// =============================================
+// Category Management
+// =============================================
+
+/**
+ * Load categories from localStorage, falling back to the defaults
+ */
+function loadCategories() {
+    try {
+        const savedCategories = localStorage.getItem(CATEGORIES_STORAGE_KEY);
+        const parsed = savedCategories ? sanitizeCategories(JSON.parse(savedCategories)) : [];
+        state.categories = parsed.length > 0
+            ? parsed
+            : DEFAULT_CATEGORIES.map(cat => ({ id: generateId(), ...cat }));
+    } catch (error) {
+        console.error('Error loading categories:', error);
+        showError('Failed to load categories');
+        state.categories = DEFAULT_CATEGORIES.map(cat => ({ id: generateId(), ...cat }));
+    }
+    
+    // The default category and every category used by a note must exist
+    ensureCategory(DEFAULT_CATEGORY);
+    state.notes.forEach(note => ensureCategory(note.category));
+    
+    return state.categories;
+}
+
+/**
+ * Keep the well-formed stored categories, replacing colors that aren't hex colors.
+ * Colors end up in style attributes, so they are checked like the category form does.
+ * @param {*} categories - The parsed stored categories
+ * @returns {Array<Object>} - The usable categories
+ */
+function sanitizeCategories(categories) {
+    if (!Array.isArray(categories)) return [];
+    
+    return categories
+        .filter(cat => cat && typeof cat === 'object' && typeof cat.id === 'string' &&
+            typeof cat.name === 'string' && cat.name.trim())
+        .map(cat => ({
+            ...cat,
+            color: isValidHexColor(cat.color) ? cat.color : getGeneratedCategoryColor(cat.name)
+        }));
+}
+
+/**
+ * Save categories to localStorage
+ */
+function saveCategories() {
+    try {
+        localStorage.setItem(CATEGORIES_STORAGE_KEY, JSON.stringify(state.categories));
+        return true;
+    } catch (error) {
+        console.error('Error saving categories:', error);
+        showError('Failed to save categories');
+        return false;
+    }
+}
+
+/**
+ * Find a category by name (case-insensitive)
+ * @param {string} name - The category name
+ * @returns {Object|undefined} - The category, if it exists
+ */
+function findCategory(name) {
+    if (typeof name !== 'string') return undefined;
+    const key = name.trim().toLowerCase();
+    return state.categories.find(cat => cat.name.toLowerCase() === key);
+}
+
+/**
+ * Normalize a category name entered by the user or found in an import
+ * @param {*} name - The raw category name
+ * @returns {string} - The normalized name, or an empty string if unusable
+ */
+function normalizeCategoryName(name) {
+    if (typeof name !== 'string') return '';
+    return name.trim().replace(/\s+/g, ' ').slice(0, MAX_CATEGORY_NAME_LENGTH);
+}
+
+/**
+ * Make sure a category exists, creating it with a generated color if needed.
+ * Does not persist; callers save categories together with their other changes.
+ * @param {string} name - The category name
+ * @returns {string} - The name of the existing or created category
+ */
+function ensureCategory(name) {
+    const normalized = normalizeCategoryName(name) || DEFAULT_CATEGORY;
+    const existing = findCategory(normalized);
+    if (existing) return existing.name;
+    
+    state.categories.push({
+        id: generateId(),
+        name: normalized,
+        color: getCategoryColor(normalized)
+    });
+    return normalized;
+}
+
+/**
+ * Validate a category name for adding or renaming
+ * @param {string} name - The normalized category name
+ * @param {string} ignoreId - ID of the category being renamed, if any
+ * @returns {string|null} - An error message, or null if the name is valid
+ */
+function validateCategoryName(name, ignoreId = null) {
+    if (!name) return 'Please provide a category name';
+    if (name.toLowerCase() === 'all') return '"All" is reserved for the category filter';
+    
+    const existing = findCategory(name);
+    if (existing && existing.id !== ignoreId) return `A category named "${existing.name}" already exists`;
+    
+    return null;
+}
+
+/**
+ * Add a new category
+ * @param {string} name - The category name
+ * @param {string} color - The category color (hex)
+ * @returns {boolean} - Success status
+ */
+function addCategory(name, color) {
+    const normalized = normalizeCategoryName(name);
+    const error = validateCategoryName(normalized);
+    if (error) {
+        showError(error);
+        return false;
+    }
+    
+    state.categories.push({
+        id: generateId(),
+        name: normalized,
+        color: isValidHexColor(color) ? color : getCategoryColor(normalized)
+    });
+    
+    const success = saveCategories();
+    if (success) {
+        updateLiveMessage(`Category "${normalized}" added`);
+    }
+    return success;
+}
+
+/**
+ * Rename a category and every note that uses it
+ * @param {string} categoryId - The ID of the category to rename
+ * @param {string} newName - The new category name
+ * @returns {Promise<boolean>} - Success status
+ */
+async function renameCategory(categoryId, newName) {
+    const category = state.categories.find(cat => cat.id === categoryId);
+    if (!category) return false;
+    
+    if (category.name === DEFAULT_CATEGORY) {
+        showError('The default category cannot be renamed');
+        return false;
+    }
+    
+    const normalized = normalizeCategoryName(newName);
+    if (normalized === category.name) return true;
+    
+    const error = validateCategoryName(normalized, categoryId);
+    if (error) {
+        showError(error);
+        return false;
+    }
+    
+    const previous = captureSavedState();
+    const oldName = category.name;
+    category.name = normalized;
+    [...state.notes, ...state.trash].forEach(note => {
+        if (note.category === oldName) note.category = normalized;
+    });
+    
+    const previousFilter = state.currentCategory;
+    if (state.currentCategory === oldName.toLowerCase()) {
+        state.currentCategory = normalized.toLowerCase();
+    }
+    
+    const success = await saveOrRestore(previous);
+    if (success) {
+        updateLiveMessage(`Category "${oldName}" renamed to "${normalized}"`);
+    } else {
+        state.currentCategory = previousFilter;
+    }
+    return success;
+}
+
+/**
+ * Change the color of a category
+ * @param {string} categoryId - The ID of the category
+ * @param {string} color - The new color (hex)
+ * @returns {boolean} - Success status
+ */
+function recolorCategory(categoryId, color) {
+    const category = state.categories.find(cat => cat.id === categoryId);
+    if (!category || !isValidHexColor(color)) return false;
+    
+    category.color = color;
+    return saveCategories();
+}
+
+/**
+ * Move a category up or down in the list
+ * @param {string} categoryId - The ID of the category
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {boolean} - Success status
+ */
+function moveCategory(categoryId, offset) {
+    const index = state.categories.findIndex(cat => cat.id === categoryId);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= state.categories.length) return false;
+    
+    const [category] = state.categories.splice(index, 1);
+    state.categories.splice(target, 0, category);
+    
+    const success = saveCategories();
+    if (success) {
+        updateLiveMessage(`Category "${category.name}" moved to position ${target + 1}`);
+    }
+    return success;
+}
+
+/**
+ * Delete a category, moving its notes to the default category
+ * @param {string} categoryId - The ID of the category to delete
+ * @returns {Promise<boolean>} - Success status
+ */
+async function deleteCategory(categoryId) {
+    const category = state.categories.find(cat => cat.id === categoryId);
+    if (!category) return false;
+    
+    if (category.name === DEFAULT_CATEGORY) {
+        showError('The default category cannot be deleted');
+        return false;
+    }
+    
+    const affectedNotes = state.notes.filter(note => note.category === category.name);
+    const message = affectedNotes.length > 0
+        ? `Delete category "${category.name}"? Its ${affectedNotes.length} notes will be moved to "${DEFAULT_CATEGORY}".`
+        : `Delete category "${category.name}"?`;
+    if (!confirm(message)) return false;
+    
+    const previous = captureSavedState();
+    state.categories = state.categories.filter(cat => cat.id !== categoryId);
+    [...affectedNotes, ...state.trash.filter(note => note.category === category.name)].forEach(note => {
+        note.category = DEFAULT_CATEGORY;
+    });
+    
+    const previousFilter = state.currentCategory;
+    if (state.currentCategory === category.name.toLowerCase()) {
+        state.currentCategory = 'all';
+    }
+    
+    const success = await saveOrRestore(previous);
+    if (success) {
+        updateLiveMessage(`Category "${category.name}" deleted`);
+    } else {
+        state.currentCategory = previousFilter;
+    }
+    return success;
+}
+
+/**
+ * Show the category management screen
+ */
+function showCategoryManager() {
+    const categoryRows = state.categories.map((cat, index) => {
+        const isDefault = cat.name === DEFAULT_CATEGORY;
+        const noteCount = state.notes.filter(note => note.category === cat.name).length;
+        
+        return `
+            <li class="category-row" data-category-id="${escapeHtml(cat.id)}">
+                <input type="color" 
+                       class="category-color-input" 
+                       value="${escapeHtml(cat.color)}"
+                       aria-label="Color for ${escapeHtml(cat.name)}">
+                <input type="text" 
+                       class="form-control category-name-input" 
+                       value="${escapeHtml(cat.name)}"
+                       maxlength="${MAX_CATEGORY_NAME_LENGTH}"
+                       aria-label="Name for ${escapeHtml(cat.name)}"
+                       ${isDefault ? 'disabled title="The default category cannot be renamed"' : ''}>
+                <span class="category-count text-muted">
+                    ${noteCount} ${noteCount === 1 ? 'note' : 'notes'}${isDefault ? ' &middot; default' : ''}
+                </span>
+                <div class="category-row-actions">
+                    <button class="btn btn-sm btn-outline move-category" 
+                            data-offset="-1"
+                            aria-label="Move ${escapeHtml(cat.name)} up"
+                            ${index === 0 ? 'disabled' : ''}>↑</button>
+                    <button class="btn btn-sm btn-outline move-category" 
+                            data-offset="1"
+                            aria-label="Move ${escapeHtml(cat.name)} down"
+                            ${index === state.categories.length - 1 ? 'disabled' : ''}>↓</button>
+                    <button class="btn btn-sm btn-outline delete-category" 
+                            aria-label="Delete ${escapeHtml(cat.name)}"
+                            ${isDefault ? 'disabled' : ''}>🗑️</button>
+                </div>
+            </li>
+        `;
+    }).join('');
+    
+    elements.mainContent.innerHTML = `
+        <div class="form-container category-manager">
+            <h2 class="text-center">Manage Categories</h2>
+            
+            <form id="addCategoryForm" class="category-add-form" novalidate>
+                <input type="color" 
+                       id="newCategoryColor" 
+                       class="category-color-input" 
+                       value="${getCategoryColor(`category-${state.categories.length}`)}"
+                       aria-label="New category color">
+                <input type="text" 
+                       id="newCategoryName" 
+                       class="form-control" 
+                       placeholder="New category name"
+                       maxlength="${MAX_CATEGORY_NAME_LENGTH}"
+                       aria-label="New category name"
+                       required>
+                <button type="submit" class="btn btn-primary">Add</button>
+            </form>
+            
+            <ul class="category-list">
+                ${categoryRows}
+            </ul>
+            <small class="text-muted">
+                Notes in a deleted category are moved to "${escapeHtml(DEFAULT_CATEGORY)}".
+            </small>
+            
+            <div class="form-actions">
+                <button type="button" id="backToNotesBtn" class="btn btn-outline">Back to Notes</button>
+            </div>
+        </div>
+    `;
+    
+    document.getElementById('addCategoryForm')?.addEventListener('submit', (e) => {
+        e.preventDefault();
+        const name = document.getElementById('newCategoryName').value;
+        const color = document.getElementById('newCategoryColor').value;
+        if (addCategory(name, color)) {
+            showCategoryManager();
+            showSuccess('Category added');
+        }
+    });
+    
+    document.getElementById('backToNotesBtn')?.addEventListener('click', () => navigateTo('view'));
+    
+    const list = elements.mainContent.querySelector('.category-list');
+    
+    list?.addEventListener('click', async (e) => {
+        const row = e.target.closest('.category-row');
+        if (!row) return;
+        const categoryId = row.dataset.categoryId;
+        
+        if (e.target.closest('.move-category')) {
+            const offset = parseInt(e.target.closest('.move-category').dataset.offset, 10);
+            if (moveCategory(categoryId, offset)) showCategoryManager();
+        }
+        
+        if (e.target.closest('.delete-category')) {
+            if (await deleteCategory(categoryId)) {
+                showCategoryManager();
+                showSuccess('Category deleted');
+            }
+        }
+    });
+    
+    list?.addEventListener('change', async (e) => {
+        const row = e.target.closest('.category-row');
+        if (!row) return;
+        const categoryId = row.dataset.categoryId;
+        
+        if (e.target.classList.contains('category-name-input')) {
+            const renamed = await renameCategory(categoryId, e.target.value);
+            // Re-render on failure too, so the input shows the current name again
+            showCategoryManager();
+            if (renamed) showSuccess('Category renamed');
+        }
+        
+        if (e.target.classList.contains('category-color-input')) {
+            recolorCategory(categoryId, e.target.value);
+        }
+    });
+    
+    updateLiveMessage('Category manager loaded');
+}
+
+// =============================================
+// Tags
+// =============================================
+
+/**
+ * Normalize a tag: lowercase, no leading "#", whitespace replaced by dashes
+ * @param {*} tag - The raw tag
+ * @returns {string} - The normalized tag, or an empty string if unusable
+ */
+function normalizeTag(tag) {
+    if (typeof tag !== 'string') return '';
+    return tag
+        .trim()
+        .replace(/^#+/, '')
+        .replace(/[\s,]+/g, '-')
+        .toLowerCase()
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Normalize a list of tags, dropping empty entries and duplicates
+ * @param {Array} tags - The raw tags
+ * @returns {Array<string>} - The normalized tags
+ */
+function normalizeTags(tags) {
+    if (!Array.isArray(tags)) return [];
+    return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * Get every tag in use with the number of notes carrying it
+ * @returns {Array<Object>} - { tag, count } sorted by count, then name
+ */
+function getAllTags() {
+    const counts = new Map();
+    state.notes.forEach(note => {
+        (note.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    
+    return [...counts.entries()]
+        .map(([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+}
+
+/**
+ * Toggle a tag in the tag filter
+ * @param {string} tag - The tag to toggle
+ */
+function toggleTagFilter(tag) {
+    state.currentTags = state.currentTags.includes(tag)
+        ? state.currentTags.filter(t => t !== tag)
+        : [...state.currentTags, tag];
+    showNotesList({ pushHistory: true });
+    updateLiveMessage(`Filtering by ${state.currentTags.length} tags`);
+}
+
+/**
+ * Render the removable tag chips of the note form
+ * @param {Array<string>} tags - The tags on the note
+ * @returns {string} - HTML string for the chips
+ */
+function createTagInputChips(tags) {
+    return tags.map(tag => `
+        <span class="tag-chip">
+            #${escapeHtml(tag)}
+            <button type="button" 
+                    class="tag-remove" 
+                    data-tag="${escapeHtml(tag)}"
+                    aria-label="Remove tag ${escapeHtml(tag)}">&times;</button>
+        </span>
+    `).join('');
+}
+
+/**
+ * Set up the tag input of the note form: chips, autocomplete and removal
+ * @param {Array<string>} initialTags - The tags the note already has
+ */
+function setupTagInput(initialTags) {
+    const tagInput = document.getElementById('noteTagInput');
+    const chips = document.getElementById('noteTagChips');
+    const hiddenInput = document.getElementById('noteTags');
+    const suggestions = document.getElementById('tagSuggestions');
+    if (!tagInput || !chips || !hiddenInput) return;
+    
+    let tags = normalizeTags(initialTags);
+    
+    const render = () => {
+        chips.innerHTML = createTagInputChips(tags);
+        hiddenInput.value = tags.join(',');
+        // Only suggest existing tags that are not on the note yet
+        suggestions.innerHTML = getAllTags()
+            .filter(({ tag }) => !tags.includes(tag))
+            .map(({ tag }) => `<option value="${escapeHtml(tag)}"></option>`)
+            .join('');
+    };
+    
+    const addTags = (value) => {
+        tags = normalizeTags([...tags, ...value.split(',')]);
+        tagInput.value = '';
+        render();
+    };
+    
+    tagInput.addEventListener('keydown', (e) => {
+        if ((e.key === 'Enter' || e.key === ',') && tagInput.value.trim()) {
+            e.preventDefault();
+            addTags(tagInput.value);
+        } else if (e.key === 'Enter') {
+            // Don't submit the form from an empty tag input
+            e.preventDefault();
+        } else if (e.key === 'Backspace' && !tagInput.value && tags.length > 0) {
+            tags = tags.slice(0, -1);
+            render();
+        }
+    });
+    
+    // Picking a suggestion from the datalist fires "input" with the full value
+    tagInput.addEventListener('input', (e) => {
+        if (e.inputType === 'insertReplacementText') {
+            addTags(tagInput.value);
+        }
+    });
+    
+    tagInput.addEventListener('blur', () => {
+        if (tagInput.value.trim()) addTags(tagInput.value);
+    });
+    
+    chips.addEventListener('click', (e) => {
+        const removeButton = e.target.closest('.tag-remove');
+        if (!removeButton) return;
+        tags = tags.filter(tag => tag !== removeButton.dataset.tag);
+        render();
+        tagInput.focus();
+    });
+    
+    render();
+}
+
+// =============================================
+// UI Rendering
+// =============================================
+
+/**
+ * Show the welcome screen
+ */
+function showWelcomeScreen() {
+    elements.mainContent.innerHTML = `
+        <div class="welcome-message">
+            <h2>Welcome to Notes App</h2>
+            <p>Your personal space for all your notes and ideas.</p>
+            <div class="welcome-illustration">
+                <div class="note-paper"></div>
+                <div class="pencil" aria-hidden="true">✏️</div>
+            </div>
+            <div class="mt-4">
+                <button class="btn btn-primary" id="getStartedBtn">Get Started</button>
+            </div>
+        </div>
+    `;
+    
+    // Add event listener to the Get Started button
+    document.getElementById('getStartedBtn')?.addEventListener('click', () => navigateTo('create'));
+    updateLiveMessage('Welcome to Notes App');
+}
+
+/**
+ * Show the note form (for both create and edit)
+ * @param {string} noteId - Optional note ID for editing
+ * @param {Object} options - { restoreDraft } to fill the form from the saved draft
+ */
+function showNoteForm(noteId = null, options = {}) {
+    let formTitle = 'Create New Note';
+    let isEditing = false;
+    let note = {
+        title: '',
+        content: '',
+        category: DEFAULT_CATEGORY,
+        tags: [],
+        dueAt: null,
+        reminderMinutes: null,
+        type: 'note'
+    };
+    
+    // If editing, load the existing note
+    let isLocked = false;
+    if (noteId) {
+        const existingNote = state.notes.find(n => n.id === noteId);
+        if (existingNote) {
+            note = { ...existingNote };
+            formTitle = 'Edit Note';
+            isEditing = true;
+            isLocked = isNoteLocked(existingNote);
+        }
+    }
+    
+    // A locked note is edited decrypted, once its passphrase was entered
+    if (isLocked) {
+        const unlocked = getUnlockedNote(note);
+        if (!unlocked) {
+            elements.mainContent.innerHTML = `
+                <div class="form-container">
+                    <h2 class="text-center">🔒 ${escapeHtml(note.title)}</h2>
+                    ${createLockedNotePlaceholder('edit it')}
+                </div>
+            `;
+            setupUnlockButton(noteId, () => showNoteForm(noteId, options));
+            updateLiveMessage('This note is locked');
+            return;
+        }
+        note.content = unlocked.content;
+    }
+    if (isEditing) {
+        state.editingNoteId = noteId;
+    }
+    
+    // Unsaved changes are measured against the note as it is saved
+    state.formBaseline = {
+        title: note.title,
+        type: note.type || 'note',
+        content: isChecklist(note) ? checklistToMarkdown(getFormChecklistItems(note)) : note.content,
+        category: note.category,
+        tags: note.tags || [],
+        dueAt: note.dueAt || null,
+        reminderMinutes: note.reminderMinutes ?? null,
+        updatedAt: note.updatedAt
+    };
+    
+    const draft = loadDrafts()[isEditing ? noteId : NEW_NOTE_DRAFT_KEY];
+    if (options.restoreDraft && draft) {
+        note = { ...note, title: draft.title, content: draft.content, category: draft.category, tags: draft.tags };
+        if ('dueAt' in draft) {
+            note = { ...note, dueAt: draft.dueAt, reminderMinutes: draft.reminderMinutes };
+        }
+        if ('type' in draft) {
+            note = { ...note, type: draft.type, items: draft.items };
+        }
+    } else if (options.prefill && !isEditing) {
+        note = { ...note, ...options.prefill };
+    }
+    
+    // Generate reminder options, in minutes before the due time
+    const reminderOptions = [
+        `<option value="">No reminder</option>`,
+        ...REMINDER_OPTIONS.map(minutes => `
+            <option value="${minutes}" ${note.reminderMinutes === minutes ? 'selected' : ''}>${formatReminderOffset(minutes)}</option>
+        `)
+    ].join('');
+    
+    // Generate category options
+    const categoryOptions = state.categories.map(cat => 
+        `<option value="${escapeHtml(cat.name)}" ${note.category === cat.name ? 'selected' : ''}>${escapeHtml(cat.name)}</option>`
+    ).join('');
+    
+    elements.mainContent.innerHTML = `
+        <div class="form-container">
+            <h2 class="text-center">${formTitle}</h2>
+            <form id="noteForm" novalidate>
+                <input type="hidden" id="noteId" value="${noteId || ''}">
+                
+                <div class="form-group">
+                    <label for="noteTitle">Title</label>
+                    <input type="text" 
+                           id="noteTitle" 
+                           class="form-control" 
+                           value="${escapeHtml(note.title)}" 
+                           required
+                           maxlength="${MAX_TITLE_LENGTH}"
+                           aria-describedby="titleHelp">
+                    <small id="titleHelp" class="form-text text-muted">Maximum ${MAX_TITLE_LENGTH} characters</small>
+                    <div class="invalid-feedback">Please provide a title for your note</div>
+                </div>
+                
+                <div class="form-group">
+                    <span class="form-label" id="noteTypeLabel">Type</span>
+                    <div class="note-type-toggle" role="radiogroup" aria-labelledby="noteTypeLabel">
+                        <label><input type="radio" name="noteType" value="note" ${isChecklist(note) ? '' : 'checked'}> 📝 Note</label>
+                        <label><input type="radio" name="noteType" value="checklist" ${isChecklist(note) ? 'checked' : ''}> ☑️ Checklist</label>
+                    </div>
+                </div>
+                
+                <div class="form-group" id="checklistGroup" ${isChecklist(note) ? '' : 'hidden'}>
+                    <span class="form-label" id="checklistLabel">Items</span>
+                    <ul id="checklistEditor" class="checklist-editor" aria-labelledby="checklistLabel" aria-describedby="checklistHelp"></ul>
+                    <button type="button" id="addChecklistRowBtn" class="btn btn-sm btn-outline">+ Add item</button>
+                    <input type="hidden" id="noteItems" value="">
+                    <small id="checklistHelp" class="form-text text-muted">
+                        Enter adds an item, Tab and Shift+Tab nest it. Drag ⠿ or press Alt+↑/↓ to reorder.
+                    </small>
+                </div>
+                
+                <div class="form-group" id="noteContentGroup" ${isChecklist(note) ? 'hidden' : ''}>
+                    <label for="noteContent">Content</label>
+                    <textarea id="noteContent" 
+                              class="form-control" 
+                              rows="8" 
+                              ${isChecklist(note) ? '' : 'required'}
+                              aria-describedby="contentHelp">${escapeHtml(note.content)}</textarea>
+                    <small id="contentHelp" class="form-text text-muted">
+                        Markdown is supported${isLocked ? '. 🔒 This note is locked: its content is saved encrypted, without drafts.' : ''}
+                    </small>
+                    <div class="invalid-feedback">Please provide content for your note</div>
+                </div>
+                
+                <div class="form-group">
+                    <label for="noteCategory">Category</label>
+                    <select id="noteCategory" class="form-control">
+                        ${categoryOptions}
+                    </select>
+                </div>
+                
+                <div class="form-group">
+                    <label for="noteTagInput">Tags</label>
+                    <div class="tag-input form-control">
+                        <span id="noteTagChips" class="tag-chips"></span>
+                        <input type="text" 
+                               id="noteTagInput" 
+                               list="tagSuggestions"
+                               placeholder="Add a tag..."
+                               maxlength="${MAX_TAG_LENGTH}"
+                               autocomplete="off"
+                               aria-describedby="tagsHelp">
+                    </div>
+                    <datalist id="tagSuggestions"></datalist>
+                    <input type="hidden" id="noteTags" value="">
+                    <small id="tagsHelp" class="form-text text-muted">Press Enter or comma to add a tag</small>
+                </div>
+                
+                <div class="form-row">
+                    <div class="form-group">
+                        <label for="noteDue">Due</label>
+                        <input type="datetime-local"
+                               id="noteDue"
+                               class="form-control"
+                               value="${toDateTimeLocalValue(note.dueAt)}">
+                    </div>
+                    <div class="form-group">
+                        <label for="noteReminder">Reminder</label>
+                        <select id="noteReminder" class="form-control" aria-describedby="reminderHelp" ${note.dueAt ? '' : 'disabled'}>
+                            ${reminderOptions}
+                        </select>
+                    </div>
+                </div>
+                <small id="reminderHelp" class="form-text text-muted">${getReminderHint()}</small>
+                
+                <div class="form-actions">
+                    <span id="draftStatus" class="draft-status text-muted" aria-live="polite"></span>
+                    <button type="submit" class="btn btn-primary">
+                        ${noteId ? 'Update' : 'Create'} Note
+                    </button>
+                    <button type="button" id="backToMenu" class="btn btn-outline">
+                        Cancel
+                    </button>
+                </div>
+            </form>
+            ${isEditing && !isLocked ? createHistoryPanel(note) : ''}
+        </div>
+    `;
+    
+    // Set up form submission
+    const form = document.getElementById('noteForm');
+    form.addEventListener('submit', handleNoteSubmit);
+    
+    // Set up back to menu button
+    document.getElementById('backToMenu')?.addEventListener('click', () => navigateTo('view'));
+    
+    // Set up the tag chips and autocomplete
+    setupTagInput(note.tags || []);
+    
+    // Switching types keeps what was written: lines become items and back
+    const checklistEditor = setupChecklistEditor(isChecklist(note) ? getFormChecklistItems(note) : []);
+    form.querySelectorAll('input[name="noteType"]').forEach(radio => {
+        radio.addEventListener('change', () => {
+            const contentInput = document.getElementById('noteContent');
+            const isList = radio.value === 'checklist';
+            if (isList) {
+                checklistEditor.setItems(parseChecklistMarkdown(contentInput.value));
+            } else {
+                contentInput.value = checklistToMarkdown(checklistEditor.getItems());
+            }
+            document.getElementById('checklistGroup').hidden = !isList;
+            document.getElementById('noteContentGroup').hidden = isList;
+            contentInput.required = !isList;
+        });
+    });
+    
+    // A reminder needs a due date
+    document.getElementById('noteDue').addEventListener('input', (e) => {
+        document.getElementById('noteReminder').disabled = !e.target.value;
+    });
+    
+    // Set up the History panel of an existing note
+    if (isEditing && !isLocked) {
+        setupHistoryPanel(noteId);
+    }
+    
+    // Autosave drafts while typing; tag chips update the hidden input without events
+    form.addEventListener('input', scheduleDraftSave);
+    form.addEventListener('change', scheduleDraftSave);
+    form.addEventListener('click', (e) => {
+        if (e.target.closest('.tag-remove')) scheduleDraftSave();
+    });
+    form.addEventListener('keydown', (e) => {
+        if (e.target.id === 'noteTagInput' && ['Enter', ',', 'Backspace'].includes(e.key)) {
+            setTimeout(scheduleDraftSave);
+        }
+    });
+    
+    if (options.restoreDraft) {
+        setDraftStatus('Draft restored, not saved yet');
+    } else if (options.prefill && !isEditing) {
+        setDraftStatus('Shared content, not saved yet');
+    } else if (draft && !isSameNoteValues(draft, state.formBaseline)) {
+        showDraftRecoveryBanner(isEditing ? noteId : null, draft, note);
+    }
+    
+    // Initialize form validation
+    setupFormValidation(form);
+    
+    updateLiveMessage(`${formTitle} form loaded`);
+}
+
+/**
+ * Get the items of a checklist to edit. A locked checklist only has its (decrypted) content.
+ * @param {Object} note - The checklist note, as shown in the form
+ * @returns {Array} - The checklist items
+ */
+function getFormChecklistItems(note) {
+    return Array.isArray(note.items) ? note.items : parseChecklistMarkdown(note.content);
+}
+
+/**
+ * Show the list of notes with search and filter options
+ * @param {Object} options - { pushHistory } to record the list state as a new history entry
+ */
+function showNotesList(options = {}) {
+    const filteredNotes = filterNotes(
+        state.notes,
+        state.currentSearchTerm,
+        state.currentCategory,
+        state.currentTags,
+        state.tagMatchMode
+    );
+    const hasNotes = state.notes.length > 0;
+    const query = resolveSearchQuery(state.currentSearchTerm);
+    const highlightTerms = getHighlightTerms(query);
+    
+    // Only notes that are shown can stay selected
+    state.selectedNoteIds = state.selectedNoteIds.filter(id => filteredNotes.some(note => note.id === id));
+    
+    // Result count, plus any parts of the query that were ignored
+    const isFiltered = query.groups.length > 0 || state.currentCategory !== 'all' || state.currentTags.length > 0;
+    const noteCountLabel = (count) => `${count} ${count === 1 ? 'note' : 'notes'}`;
+    const resultSummary = hasNotes ? `
+        <p class="search-summary text-muted" role="status">
+            ${isFiltered
+                ? `${noteCountLabel(filteredNotes.length)} of ${state.notes.length} match`
+                : noteCountLabel(state.notes.length)}
+            ${query.errors.map(error => `<span class="search-error">Ignored ${escapeHtml(error)}</span>`).join('')}
+        </p>
+    ` : '';
+    
+    // Generate category filter buttons
+    const categoryFilters = [
+        { id: 'all', label: 'All', count: state.notes.length },
+        ...state.categories.map(cat => ({
+            id: cat.name.toLowerCase(),
+            label: cat.name,
+            count: state.notes.filter(n => n.category === cat.name).length
+        }))
+    ].filter(cat => cat.count > 0 || cat.id === 'all');
+    
+    const categoryFilterButtons = categoryFilters.map(cat => `
+        <button class="category-filter ${state.currentCategory === cat.id ? 'active' : ''}" 
+                data-category="${escapeHtml(cat.id)}">
+            ${escapeHtml(cat.label)} <span class="badge">${cat.count}</span>
+        </button>
+    `).join('');
+    
+    // Generate tag filter chips, dropping selected tags that no note carries anymore
+    const allTags = getAllTags();
+    state.currentTags = state.currentTags.filter(tag => allTags.some(t => t.tag === tag));
+    const tagFilterButtons = allTags.map(({ tag, count }) => `
+        <button class="tag-filter ${state.currentTags.includes(tag) ? 'active' : ''}" 
+                data-tag="${escapeHtml(tag)}"
+                aria-pressed="${state.currentTags.includes(tag)}">
+            #${escapeHtml(tag)} <span class="badge">${count}</span>
+        </button>
+    `).join('');
+    
+    const tagFilterBar = allTags.length > 0 ? `
+        <div class="tag-filters" role="group" aria-label="Filter by tags">
+            ${tagFilterButtons}
+            <div class="tag-match-mode" role="group" aria-label="Tag match mode">
+                <button class="tag-mode-btn ${state.tagMatchMode === 'any' ? 'active' : ''}" 
+                        data-tag-mode="any"
+                        title="Show notes with at least one selected tag">Any (OR)</button>
+                <button class="tag-mode-btn ${state.tagMatchMode === 'all' ? 'active' : ''}" 
+                        data-tag-mode="all"
+                        title="Show notes with every selected tag">All (AND)</button>
+            </div>
+        </div>
+    ` : '';
+    
+    // Generate note cards, sorted and grouped as chosen
+    const groups = groupNotes(sortNotes(filteredNotes, state.sortOrder, query), state.groupBy);
+    const notesHTML = groups.map(group => `
+        <div class="${group.className}">
+            <h3 class="section-title">
+                ${escapeHtml(group.title)} <span class="badge">${group.notes.length}</span>
+            </h3>
+            <div class="notes-grid">
+                ${group.notes.map(note => createNoteCard(note, highlightTerms)).join('')}
+            </div>
+        </div>
+    `).join('');
+    
+    const sortOptions = Object.entries(SORT_ORDERS).map(([value, label]) => `
+        <option value="${value}" ${state.sortOrder === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+    const groupOptions = Object.entries(GROUP_MODES).map(([value, label]) => `
+        <option value="${value}" ${state.groupBy === value ? 'selected' : ''}>${label}</option>
+    `).join('');
+    
+    const noNotesHTML = !hasNotes ? `
+        <div class="empty-state">
+            <div class="empty-state-icon">📝</div>
+            <h3>No Notes Yet</h3>
+            <p>Get started by creating your first note!</p>
+            <button class="btn btn-primary mt-3" id="createFirstNoteBtn">Create Note</button>
+        </div>
+    ` : (filteredNotes.length === 0 ? `
+        <div class="empty-state">
+            <div class="empty-state-icon">🔍</div>
+            <h3>No Notes Found</h3>
+            <p>Try adjusting your search or filter criteria.</p>
+            <button class="btn btn-outline mt-3" id="clearSearchBtn">Clear Search</button>
+        </div>
+    ` : '');
+    
+    elements.mainContent.innerHTML = `
+        <div class="notes-container">
+            <div class="notes-header">
+                <h2>My Notes</h2>
+                <div class="notes-actions">
+                    <div class="search-container">
+                        <input type="search" 
+                               id="searchNotes" 
+                               class="search-input" 
+                               placeholder="Search notes..." 
+                               value="${escapeHtml(state.currentSearchTerm)}"
+                               aria-label="Search notes">
+                    </div>
+                    <label class="list-option">
+                        Sort
+                        <select id="sortNotes" class="form-control sort-select">${sortOptions}</select>
+                    </label>
+                    <label class="list-option">
+                        Group
+                        <select id="groupNotes" class="form-control sort-select">${groupOptions}</select>
+                    </label>
+                    ${hasNotes ? `
+                        <button class="btn btn-outline" id="printListBtn" title="Print the notes in this list">🖨️ Print</button>
+                        <button class="btn btn-outline" id="toggleSelectModeBtn" aria-pressed="${state.selectionMode}">
+                            ${state.selectionMode ? 'Done' : '☑️ Select'}
+                        </button>
+                    ` : ''}
+                    <button class="btn btn-primary" id="createNewNoteBtn">
+                        <span class="btn-icon">+</span> New Note
+                    </button>
+                </div>
+            </div>
+            
+            ${hasNotes ? `
+                <div class="category-filters">
+                    ${categoryFilterButtons}
+                </div>
+                ${tagFilterBar}
+            ` : ''}
+            
+            ${resultSummary}
+            ${state.selectionMode && filteredNotes.length > 0 ? createBulkToolbar(filteredNotes.length) : ''}
+            
+            ${noNotesHTML || createDueSections(filteredNotes) + notesHTML}
+        </div>
+    `;
+    
+    // Set up event listeners
+    document.getElementById('createNewNoteBtn')?.addEventListener('click', () => navigateTo('create'));
+    document.getElementById('createFirstNoteBtn')?.addEventListener('click', () => navigateTo('create'));
+    document.getElementById('clearSearchBtn')?.addEventListener('click', clearSearch);
+    document.getElementById('toggleSelectModeBtn')?.addEventListener('click', () => setSelectionMode(!state.selectionMode));
+    document.getElementById('printListBtn')?.addEventListener('click', () => {
+        printNotes(getListedNotes(), isFiltered ? 'Notes (filtered)' : 'All Notes');
+    });
+    setupBulkToolbar(filteredNotes);
+    
+    // Set up category filter buttons
+    document.querySelectorAll('.category-filter').forEach(button => {
+        button.addEventListener('click', () => {
+            const category = button.dataset.category;
+            state.currentCategory = category === 'all' ? 'all' : category;
+            showNotesList({ pushHistory: true });
+        });
+    });
+    
+    // Set up tag filter buttons
+    document.querySelectorAll('.tag-filter').forEach(button => {
+        button.addEventListener('click', () => toggleTagFilter(button.dataset.tag));
+    });
+    
+    document.querySelectorAll('.tag-mode-btn').forEach(button => {
+        button.addEventListener('click', () => {
+            state.tagMatchMode = button.dataset.tagMode;
+            showNotesList({ pushHistory: true });
+        });
+    });
+    
+    document.getElementById('sortNotes')?.addEventListener('change', (e) => setListOptions({ sortOrder: e.target.value }));
+    document.getElementById('groupNotes')?.addEventListener('change', (e) => setListOptions({ groupBy: e.target.value }));
+    
+    if (state.currentView === 'view') {
+        updateListUrl(options.pushHistory);
+    }
+    
+    updateLiveMessage('Notes list loaded');
+}
+
+/**
+ * Create HTML for a single note card
+ * @param {Object} note - The note object
+ * @param {string[]} highlightTerms - Search terms to highlight in the title and content
+ * @returns {string} - HTML string for the note card
+ */
+function createNoteCard(note, highlightTerms = []) {
+    if (!note) return '';
+    
+    const formattedDate = formatDateTime(note.updatedAt || note.createdAt);
+    const isPinned = note.isPinned ? 'pinned' : '';
+    const isSelected = state.selectionMode && state.selectedNoteIds.includes(note.id);
+    
+    return `
+        <div class="note-card ${isPinned} ${isSelected ? 'selected' : ''} ${isNoteLocked(note) ? 'locked' : ''}" id="note-${note.id}">
+            <div class="note-header">
+                ${state.selectionMode ? `
+                    <input type="checkbox" 
+                           class="note-select" 
+                           value="${note.id}"
+                           ${isSelected ? 'checked' : ''}
+                           aria-label="Select ${escapeHtml(note.title)}">
+                ` : ''}
+                <h3 class="note-title">
+                    <a class="note-link" href="?view=note&amp;id=${encodeURIComponent(note.id)}" data-note-id="${note.id}">
+                        ${highlightHtml(escapeHtml(note.title), highlightTerms)}
+                    </a>
+                    ${isNoteLocked(note) ? '<span class="note-lock-icon" title="Locked" aria-label="Locked">🔒</span>' : ''}
+                </h3>
+                <button class="pin-button" 
+                        aria-label="${note.isPinned ? 'Unpin note' : 'Pin note'}"
+                        data-note-id="${note.id}">
+                    ${note.isPinned ? '📌' : '📍'}
+                </button>
+            </div>
+            
+            ${isNoteLocked(note) ? '' : isChecklist(note) ? `
+                <div class="note-content markdown-body">
+                    ${createChecklistProgress(note.items)}
+                    ${highlightHtml(formatNoteContent(checklistToMarkdown(getVisibleChecklistItems(note))), highlightTerms)}
+                </div>
+            ` : `
+                <div class="note-content markdown-body">
+                    ${highlightHtml(formatNoteContent(note.content), highlightTerms)}
+                </div>
+            `}
+            
+            <div class="note-footer">
+                <div class="note-meta">
+                    <span class="note-date" title="${formatDateTime(note.createdAt, 'full')}">
+                        ${formattedDate}
+                    </span>
+                    ${createDueBadge(note)}
+                    ${note.category ? `
+                        <span class="note-category" 
+                              style="background-color: ${getCategoryColor(note.category)}">
+                            ${escapeHtml(note.category)}
+                        </span>
+                    ` : ''}
+                    ${note.tags?.length > 0 ? `
+                        <div class="note-tags">
+                            ${note.tags.map(tag => `
+                                <button class="tag-chip ${state.currentTags.includes(tag) ? 'active' : ''}" 
+                                        data-tag="${escapeHtml(tag)}"
+                                        aria-label="Filter by tag ${escapeHtml(tag)}">#${escapeHtml(tag)}</button>
+                            `).join('')}
+                        </div>
+                    ` : ''}
+                </div>
+                
+                <div class="note-actions">
+                    <button class="btn btn-sm btn-outline edit-note" 
+                            data-note-id="${note.id}"
+                            aria-label="Edit note">
+                        ✏️
+                    </button>
+                    <button class="btn btn-sm btn-outline delete-note" 
+                            data-note-id="${note.id}"
+                            aria-label="Delete note">
+                        🗑️
+                    </button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+/**
+ * Show a single note, read-only, with links to its neighbours in the notes list
+ * @param {string} noteId - The ID of the note to show
+ */
+function showNoteDetail(noteId) {
+    const note = state.notes.find(n => n.id === noteId);
+    
+    if (!note) {
+        elements.mainContent.innerHTML = `
+            <div class="empty-state">
+                <div class="empty-state-icon">🔍</div>
+                <h3>Note Not Found</h3>
+                <p>This note doesn't exist anymore. It may have been deleted.</p>
+                <button class="btn btn-outline mt-3" id="backToListBtn">Back to Notes</button>
+            </div>
+        `;
+        document.getElementById('backToListBtn').addEventListener('click', () => navigateTo('view'));
+        updateLiveMessage('Note not found');
+        return;
+    }
+    
+    // Step through the list as it is currently filtered and sorted, or all notes if this one is filtered out
+    let listedNotes = getListedNotes();
+    if (!listedNotes.some(n => n.id === noteId)) {
+        listedNotes = sortNotes(state.notes, state.sortOrder);
+    }
+    const position = listedNotes.findIndex(n => n.id === noteId);
+    const previousNote = listedNotes[position - 1];
+    const nextNote = listedNotes[position + 1];
+    
+    const isLocked = isNoteLocked(note);
+    const unlocked = isLocked ? getUnlockedNote(note) : null;
+    
+    elements.mainContent.innerHTML = `
+        <article class="note-detail ${note.isPinned ? 'pinned' : ''}" aria-labelledby="noteDetailTitle" tabindex="-1">
+            <nav class="note-detail-nav" aria-label="Note navigation">
+                <button class="btn btn-sm btn-outline" id="backToListBtn">← All Notes</button>
+                <span class="text-muted">${position + 1} of ${listedNotes.length}</span>
+                <button class="btn btn-sm btn-outline" id="previousNoteBtn" 
+                        ${previousNote ? `title="${escapeHtml(previousNote.title)}"` : 'disabled'}>‹ Previous</button>
+                <button class="btn btn-sm btn-outline" id="nextNoteBtn" 
+                        ${nextNote ? `title="${escapeHtml(nextNote.title)}"` : 'disabled'}>Next ›</button>
+            </nav>
+            
+            <div class="note-header">
+                <h2 class="note-title" id="noteDetailTitle">${isLocked ? '🔒 ' : ''}${escapeHtml(note.title)}</h2>
+                <button class="pin-button" 
+                        aria-label="${note.isPinned ? 'Unpin note' : 'Pin note'}"
+                        data-note-id="${note.id}">
+                    ${note.isPinned ? '📌' : '📍'}
+                </button>
+            </div>
+            
+            <div class="note-meta">
+                <span class="note-category" style="background-color: ${getCategoryColor(note.category)}">
+                    ${escapeHtml(note.category)}
+                </span>
+                ${(note.tags || []).map(tag => `<span class="tag-chip">#${escapeHtml(tag)}</span>`).join('')}
+                ${createDueBadge(note)}
+                <small class="text-muted">
+                    Created ${formatDateTime(note.createdAt, 'full')}
+                    ${note.updatedAt && note.updatedAt !== note.createdAt ? ` &middot; Updated ${formatDateTime(note.updatedAt, 'full')}` : ''}
+                </small>
+            </div>
+            
+            ${isLocked && !unlocked ? createLockedNotePlaceholder('read it') : isChecklist(note) && !isLocked ? createChecklistPanel(note) : `
+                <div class="note-detail-content markdown-body">
+                    ${formatNoteContent(getNoteText(note))}
+                </div>
+            `}
+            
+            <div class="form-actions">
+                <button class="btn btn-danger" id="deleteNoteDetailBtn">🗑️ Delete</button>
+                ${createReminderActions(note)}
+                ${!isLocked ? `
+                    <button class="btn btn-outline" id="lockNoteBtn">🔒 Lock</button>
+                ` : unlocked ? `
+                    <button class="btn btn-outline" id="removeLockBtn">🔓 Remove Lock</button>
+                ` : ''}
+                <button class="btn btn-outline" id="printNoteBtn" ${isLocked && !unlocked ? 'disabled' : ''}>🖨️ Print</button>
+                <button class="btn btn-primary edit-note" data-note-id="${note.id}">✏️ Edit</button>
+            </div>
+        </article>
+    `;
+    
+    state.currentParams = { noteId };
+    document.getElementById('backToListBtn').addEventListener('click', () => navigateTo('view'));
+    document.getElementById('previousNoteBtn').addEventListener('click', () => navigateTo('note', { noteId: previousNote.id }));
+    document.getElementById('nextNoteBtn').addEventListener('click', () => navigateTo('note', { noteId: nextNote.id }));
+    document.getElementById('printNoteBtn').addEventListener('click', () => printNotes([note], note.title));
+    document.getElementById('deleteNoteDetailBtn').addEventListener('click', () => deleteNoteAndShowList(noteId));
+    document.getElementById('lockNoteBtn')?.addEventListener('click', () => {
+        showLockNoteDialog(noteId, () => showNoteDetail(noteId));
+    });
+    document.getElementById('removeLockBtn')?.addEventListener('click', async () => {
+        if (!confirm('Remove the lock? The content of this note will be stored unencrypted.')) return;
+        if (await removeNoteLock(noteId)) {
+            showNoteDetail(noteId);
+            showSuccess('Lock removed');
+        }
+    });
+    setupUnlockButton(noteId, () => showNoteDetail(noteId));
+    setupChecklistPanel(noteId);
+    
+    // Focus the note when the focus was lost with the previous view, so its shortcuts apply
+    if (!document.activeElement || document.activeElement === document.body) {
+        elements.mainContent.querySelector('.note-detail').focus();
+    }
+    
+    updateLiveMessage(`Showing note ${note.title}${isLocked && !unlocked ? ' (locked)' : ''}`);
+}
+
+/**
+ * Move the open note to the trash and return to the notes list
+ * @param {string} noteId - The ID of the note to delete
+ */
+async function deleteNoteAndShowList(noteId) {
+    if (await moveNotesToTrash([noteId])) {
+        navigateTo('view');
+        showSuccess('Note moved to trash', {
+            action: { label: 'Undo', run: () => undoMoveToTrash([noteId]) }
+        });
+    }
+}
+
+// =============================================
+// Bulk Selection
+// =============================================
+
+/**
+ * Turn the multi-select mode of the notes list on or off
+ * @param {boolean} isOn - Whether selection mode should be on
+ */
+function setSelectionMode(isOn) {
+    state.selectionMode = isOn;
+    state.selectedNoteIds = [];
+    state.lastSelectedNoteId = null;
+    showNotesList();
+    updateLiveMessage(isOn ? 'Selection mode on' : 'Selection mode off');
+}
+
+/**
+ * Handle a click on a note card's selection checkbox
+ * @param {HTMLInputElement} checkbox - The clicked checkbox (already toggled)
+ * @param {boolean} isRange - Whether Shift was held to select a range
+ */
+function handleNoteSelect(checkbox, isRange) {
+    const noteId = checkbox.value;
+    let noteIds = [noteId];
+    
+    // Shift+click applies the new state to every card between the last clicked one and this one
+    if (isRange && state.lastSelectedNoteId) {
+        const visibleIds = [...elements.mainContent.querySelectorAll('.note-select')].map(input => input.value);
+        const from = visibleIds.indexOf(state.lastSelectedNoteId);
+        const to = visibleIds.indexOf(noteId);
+        if (from !== -1 && to !== -1) {
+            noteIds = visibleIds.slice(Math.min(from, to), Math.max(from, to) + 1);
+        }
+    }
+    
+    setNotesSelected(noteIds, checkbox.checked);
+    state.lastSelectedNoteId = noteId;
+}
+
+/**
+ * Select or deselect notes and update their cards and the batch toolbar
+ * @param {Array<string>} noteIds - The IDs of the notes
+ * @param {boolean} isSelected - Whether the notes should be selected
+ */
+function setNotesSelected(noteIds, isSelected) {
+    const selected = new Set(state.selectedNoteIds);
+    noteIds.forEach(id => (isSelected ? selected.add(id) : selected.delete(id)));
+    state.selectedNoteIds = [...selected];
+    
+    noteIds.forEach(id => {
+        const card = document.getElementById(`note-${id}`);
+        const checkbox = card?.querySelector('.note-select');
+        if (!checkbox) return;
+        checkbox.checked = isSelected;
+        card.classList.toggle('selected', isSelected);
+    });
+    
+    updateBulkToolbar();
+}
+
+/**
+ * Update the selection count and the enabled state of the batch actions
+ */
+function updateBulkToolbar() {
+    const toolbar = elements.mainContent.querySelector('.bulk-toolbar');
+    if (!toolbar) return;
+    
+    const selectedCount = state.selectedNoteIds.length;
+    const visibleCount = elements.mainContent.querySelectorAll('.note-select').length;
+    const selectAll = document.getElementById('bulkSelectAll');
+    
+    selectAll.checked = visibleCount > 0 && selectedCount === visibleCount;
+    selectAll.indeterminate = selectedCount > 0 && selectedCount < visibleCount;
+    document.getElementById('bulkSelectedCount').textContent = `${selectedCount} selected`;
+    toolbar.querySelectorAll('.bulk-action').forEach(control => {
+        control.disabled = selectedCount === 0;
+    });
+}
+
+/**
+ * Create the batch actions toolbar of the notes list
+ * @param {number} visibleCount - The number of notes matching the current filters
+ * @returns {string} - HTML string for the toolbar
+ */
+function createBulkToolbar(visibleCount) {
+    const categoryOptions = state.categories.map(cat =>
+        `<option value="${escapeHtml(cat.name)}">${escapeHtml(cat.name)}</option>`
+    ).join('');
+    
+    return `
+        <div class="bulk-toolbar" role="toolbar" aria-label="Batch actions">
+            <label class="bulk-select-all">
+                <input type="checkbox" id="bulkSelectAll"> Select all ${visibleCount} shown
+            </label>
+            <span id="bulkSelectedCount" class="text-muted" aria-live="polite"></span>
+            <button class="btn btn-sm btn-outline bulk-action" data-bulk-action="pin">📌 Pin</button>
+            <button class="btn btn-sm btn-outline bulk-action" data-bulk-action="unpin">📍 Unpin</button>
+            <select id="bulkCategory" class="form-control sort-select bulk-action" aria-label="Move selected notes to category">
+                <option value="">Move to category…</option>
+                ${categoryOptions}
+            </select>
+            <button class="btn btn-sm btn-outline bulk-action" data-bulk-action="export">📤 Export</button>
+            <button class="btn btn-sm btn-outline bulk-action" data-bulk-action="print">🖨️ Print</button>
+            <button class="btn btn-sm btn-danger bulk-action" data-bulk-action="delete">🗑️ Delete</button>
+        </div>
+    `;
+}
+
+/**
+ * Set up the batch actions toolbar after the notes list is rendered
+ * @param {Array} visibleNotes - The notes matching the current filters
+ */
+function setupBulkToolbar(visibleNotes) {
+    const toolbar = elements.mainContent.querySelector('.bulk-toolbar');
+    if (!toolbar) return;
+    
+    document.getElementById('bulkSelectAll').addEventListener('change', (e) => {
+        setNotesSelected(visibleNotes.map(note => note.id), e.target.checked);
+    });
+    
+    document.getElementById('bulkCategory').addEventListener('change', (e) => {
+        if (e.target.value) runBulkAction('category', e.target.value);
+    });
+    
+    toolbar.querySelectorAll('button.bulk-action').forEach(button => {
+        button.addEventListener('click', () => runBulkAction(button.dataset.bulkAction));
+    });
+    
+    updateBulkToolbar();
+}
+
+/**
+ * Apply a batch action to the selected notes
+ * @param {string} action - 'pin', 'unpin', 'category', 'export', 'print' or 'delete'
+ * @param {string} value - The category for the 'category' action
+ */
+async function runBulkAction(action, value) {
+    const noteIds = state.selectedNoteIds.filter(id => state.notes.some(note => note.id === id));
+    if (noteIds.length === 0) return;
+    
+    const countLabel = `${noteIds.length} ${noteIds.length === 1 ? 'note' : 'notes'}`;
+    
+    switch (action) {
+        case 'pin':
+        case 'unpin': {
+            const snapshots = getNoteSnapshots(noteIds, ['isPinned']);
+            if (await updateNotes(noteIds, { isPinned: action === 'pin' })) {
+                showNotesList();
+                showSuccess(`${action === 'pin' ? 'Pinned' : 'Unpinned'} ${countLabel}`, {
+                    action: { label: 'Undo', run: () => undoNoteChanges(snapshots) }
+                });
+            }
+            break;
+        }
+        case 'category': {
+            const snapshots = getNoteSnapshots(noteIds, ['category']);
+            if (await updateNotes(noteIds, { category: value })) {
+                showNotesList();
+                showSuccess(`Moved ${countLabel} to ${value}`, {
+                    action: { label: 'Undo', run: () => undoNoteChanges(snapshots) }
+                });
+            }
+            break;
+        }
+        case 'export':
+            showExportDialog({
+                notes: state.notes.filter(note => noteIds.includes(note.id)),
+                description: `The ${countLabel} you selected`
+            });
+            break;
+        case 'print':
+            printNotes(getListedNotes().filter(note => noteIds.includes(note.id)), 'Selected Notes');
+            break;
+        case 'delete':
+            if (await moveNotesToTrash(noteIds)) {
+                state.selectedNoteIds = [];
+                showNotesList();
+                showSuccess(`Moved ${countLabel} to trash`, {
+                    action: { label: 'Undo', run: () => undoMoveToTrash(noteIds) }
+                });
+            }
+            break;
+    }
+}
+
+// =============================================
+// Sorting and Grouping
+// =============================================
+
+/**
+ * Return a value if it is one of the keys of an option map
+ * @param {string} value - The value to check
+ * @param {Object} options - The option map (value to label)
+ * @returns {string|null} - The value, or null if it is not an option
+ */
+function getValidOption(value, options) {
+    return Object.prototype.hasOwnProperty.call(options, value) ? value : null;
+}
+
+/**
+ * Change how the notes list is sorted or grouped and remember the choice
+ * @param {Object} options - { sortOrder, groupBy }
+ */
+function setListOptions({ sortOrder = state.sortOrder, groupBy = state.groupBy }) {
+    state.sortOrder = getValidOption(sortOrder, SORT_ORDERS) || state.sortOrder;
+    state.groupBy = getValidOption(groupBy, GROUP_MODES) || state.groupBy;
+    state.settings.sortOrder = state.sortOrder;
+    state.settings.groupBy = state.groupBy;
+    saveSettings();
+    showNotesList({ pushHistory: true });
+    updateLiveMessage(`Sorted by ${SORT_ORDERS[state.sortOrder]}, grouped by ${GROUP_MODES[state.groupBy]}`);
+}
+
+/**
+ * Get the notes of the list as they are shown: filtered, sorted and in group order
+ * @returns {Array} - The listed notes
+ */
+function getListedNotes() {
+    const filteredNotes = filterNotes(
+        state.notes,
+        state.currentSearchTerm,
+        state.currentCategory,
+        state.currentTags,
+        state.tagMatchMode
+    );
+    const query = resolveSearchQuery(state.currentSearchTerm);
+    
+    return groupNotes(sortNotes(filteredNotes, state.sortOrder, query), state.groupBy)
+        .flatMap(group => group.notes);
+}
+
+/**
+ * Sort notes; ties keep their current order
+ * @param {Array} notes - The notes to sort
+ * @param {string} sortOrder - One of the keys of SORT_ORDERS
+ * @param {Object} query - The resolved search query, used for relevance
+ * @returns {Array} - A sorted copy of the notes
+ */
+function sortNotes(notes, sortOrder, query) {
+    const byDate = (field) => (a, b) => String(b[field] || b.createdAt).localeCompare(String(a[field] || a.createdAt));
+    const byTitle = (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base', numeric: true });
+    let compare;
+    
+    switch (sortOrder) {
+        case 'updated':
+            compare = byDate('updatedAt');
+            break;
+        case 'due': {
+            // Soonest due first; done and undated notes after them, newest first
+            const dueTime = (note) => note.dueAt && !note.doneAt ? Date.parse(note.dueAt) : Infinity;
+            compare = (a, b) => (dueTime(a) - dueTime(b)) || byDate('createdAt')(a, b);
+            break;
+        }
+        case 'title':
+            compare = byTitle;
+            break;
+        case 'category': {
+            // Categories in the order set in the category manager
+            const order = new Map(state.categories.map((cat, index) => [cat.name, index]));
+            const rank = (note) => order.get(note.category) ?? state.categories.length;
+            compare = (a, b) => rank(a) - rank(b) || byTitle(a, b);
+            break;
+        }
+        case 'length':
+            compare = (a, b) => b.content.length - a.content.length;
+            break;
+        case 'relevance':
+            if (query?.groups.length > 0) {
+                const relevance = new Map(notes.map(note => [note.id, getNoteRelevance(note, query)]));
+                compare = (a, b) => relevance.get(b.id) - relevance.get(a.id);
+                break;
+            }
+            // Without a search there is nothing to rank: fall back to newest first
+            compare = byDate('createdAt');
+            break;
+        case 'created':
+        default:
+            compare = byDate('createdAt');
+    }
+    
+    return [...notes].sort(compare);
+}
+
+/**
+ * Split sorted notes into the sections of the notes list
+ * @param {Array} notes - The sorted notes
+ * @param {string} groupBy - One of the keys of GROUP_MODES
+ * @returns {Array} - Groups of { title, className, notes }, empty groups left out
+ */
+function groupNotes(notes, groupBy) {
+    switch (groupBy) {
+        case 'pinned': {
+            const pinnedNotes = notes.filter(note => note.isPinned);
+            return [
+                { title: '📌 Pinned Notes', className: 'pinned-section', notes: pinnedNotes },
+                {
+                    title: pinnedNotes.length > 0 ? 'Other Notes' : 'All Notes',
+                    className: 'other-notes-section',
+                    notes: notes.filter(note => !note.isPinned)
+                }
+            ].filter(group => group.notes.length > 0);
+        }
+        case 'category': {
+            const names = [...state.categories.map(cat => cat.name), ...notes.map(note => note.category)];
+            return [...new Set(names)]
+                .map(name => ({
+                    title: name,
+                    className: 'category-section',
+                    notes: notes.filter(note => note.category === name)
+                }))
+                .filter(group => group.notes.length > 0);
+        }
+        case 'month': {
+            const groups = new Map();
+            notes.forEach(note => {
+                const date = new Date(note.createdAt);
+                const key = isNaN(date.getTime()) ? '' : `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+                if (!groups.has(key)) {
+                    groups.set(key, {
+                        title: key ? date.toLocaleDateString('en-US', { year: 'numeric', month: 'long' }) : 'Unknown date',
+                        className: 'month-section',
+                        notes: []
+                    });
+                }
+                groups.get(key).notes.push(note);
+            });
+            // Newest month first
+            return [...groups.entries()]
+                .sort(([a], [b]) => b.localeCompare(a))
+                .map(([, group]) => group);
+        }
+        case 'none':
+        default:
+            return notes.length > 0 ? [{ title: 'All Notes', className: 'other-notes-section', notes }] : [];
+    }
+}
+
+// =============================================
+// Event Handlers
+// =============================================
+
+/**
+ * Handle note form submission. The draft is kept until the note is saved.
+ * @param {Event} e - The form submit event
+ */
+async function handleNoteSubmit(e) {
+    e.preventDefault();
+    
+    const form = e.target;
+    const noteId = form.querySelector('#noteId').value;
+    const { title, content, category, tags, dueAt, reminderMinutes, type, items } = readNoteForm(form);
+    
+    // Client-side validation
+    if (!title || !content) {
+        showError('Please fill in all required fields');
+        return;
+    }
+    
+    if (reminderMinutes !== null) {
+        requestNotificationPermission();
+    }
+    
+    const existingNote = noteId && state.notes.find(note => note.id === noteId);
+    const schedule = existingNote ? getScheduleUpdates(existingNote, dueAt, reminderMinutes) : {};
+    const checklist = type === 'checklist' ? { type, items } : { type: undefined, items: undefined };
+    
+    if (isNoteLocked(existingNote)) {
+        submitLockedNote(form, noteId, { title, content, category, tags, ...checklist, ...schedule });
+    } else if (existingNote) {
+        // Update existing note
+        const snapshots = getNoteSnapshots([noteId], ['title', 'content', 'category', 'tags', 'type', 'items', ...Object.keys(schedule)]);
+        const success = await saveSubmittedNote(form, () =>
+            updateNote(noteId, { title, content, category, tags, ...checklist, ...schedule }));
+        if (success) {
+            discardSubmittedDraft(form);
+            navigateTo('view');
+            showSuccess('Note updated successfully!', {
+                action: { label: 'Undo', run: () => undoNoteChanges(snapshots) }
+            });
+        }
+    } else {
+        // Create new note (also when the edited note was deleted in another tab)
+        const success = await saveSubmittedNote(form, () =>
+            createNote({ title, content, category, tags, dueAt, reminderMinutes, ...checklist }));
+        if (success) {
+            discardSubmittedDraft(form);
+            navigateTo('view');
+            showSuccess('Note created successfully!');
+        }
+    }
+}
+
+/**
+ * Run the save of a submitted note form, with its submit button disabled meanwhile
+ * @param {HTMLElement} form - The submitted note form
+ * @param {Function} save - Saves the note and resolves to the success status
+ * @returns {Promise<boolean>} - Success status
+ */
+async function saveSubmittedNote(form, save) {
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    const success = await save();
+    button.disabled = false;
+    return success;
+}
+
+/**
+ * Save the note form of a locked note, encrypting it again
+ * @param {HTMLElement} form - The submitted note form
+ * @param {string} noteId - The ID of the note
+ * @param {Object} updates - { title, content, category, tags }, the note type and any due date changes
+ */
+async function submitLockedNote(form, noteId, updates) {
+    const button = form.querySelector('button[type="submit"]');
+    button.disabled = true;
+    const success = await saveLockedNote(noteId, updates);
+    button.disabled = false;
+    
+    if (success) {
+        discardSubmittedDraft(form);
+        navigateTo('view');
+        showSuccess('Note updated successfully!');
+    } else if (!getUnlockedNote(state.notes.find(note => note.id === noteId) || { id: noteId })) {
+        showError('This note was changed in another tab. Unlock it again to edit it.');
+    }
+}
+
+/**
+ * Drop the draft of a form whose note was just saved
+ * @param {HTMLElement} form - The submitted note form
+ */
+function discardSubmittedDraft(form) {
+    clearTimeout(draftTimer);
+    draftTimer = null;
+    saveDraft(getDraftKey(form), null);
+    state.formBaseline = null;
+}
+
+/**
+ * Handle search input
+ * @param {Event} e - The input event, or the keydown event of Enter
+ */
+function handleSearch(e) {
+    // Keep the case: "OR" is an operator, "or" is a word
+    const searchTerm = e.target.value.trim();
+    
+    if (state.currentView === 'view') {
+        state.currentSearchTerm = searchTerm;
+        showNotesList();
+        return;
+    }
+    
+    // Searching from another screen opens the notes list. If the user chose to
+    // keep editing, further keystrokes don't ask again; Enter does.
+    if (searchLeaveDeclined) return;
+    const previousTerm = state.currentSearchTerm;
+    state.currentSearchTerm = searchTerm;
+    navigateTo('view');
+    searchLeaveDeclined = state.currentView !== 'view';
+    // Staying on the form keeps the list filtered as it was
+    if (searchLeaveDeclined) state.currentSearchTerm = previousTerm;
+}
+
+/**
+ * Clear the current search
+ */
+function clearSearch() {
+    state.currentSearchTerm = '';
+    state.currentCategory = 'all';
+    state.currentTags = [];
+    elements.searchInput.value = '';
+    showNotesList({ pushHistory: true });
+}
+
+/**
+ * Handle export notes
+ */
+function handleExportNotes() {
+    if (confirmLeaveNoteForm()) showExportDialog();
+}
+
+// =============================================
+// Export
+// =============================================
+
+/**
+ * Show the export dialog
+ * @param {Object} options - { notes, description } to export a fixed set of notes (e.g. a selection)
+ */
+function showExportDialog(options = {}) {
+    const previous = { screen: state.currentView, params: state.currentParams };
+    const listedNotes = getListedNotes();
+    state.currentView = 'export';
+    
+    const formatOptions = Object.entries(EXPORT_FORMATS).map(([id, format], i) => `
+        <label class="import-mode">
+            <input type="radio" name="exportFormat" value="${id}" ${i === 0 ? 'checked' : ''}>
+            <span class="import-mode-label">${format.label}</span>
+            <small class="text-muted">${format.help}</small>
+        </label>
+    `).join('');
+    
+    const scopeOptions = options.notes ? `
+        <p>${escapeHtml(options.description)}</p>
+    ` : `
+        <label class="import-mode">
+            <input type="radio" name="exportScope" value="all" checked>
+            <span class="import-mode-label">All notes (${state.notes.length})</span>
+        </label>
+        <label class="import-mode">
+            <input type="radio" name="exportScope" value="listed" ${listedNotes.length === 0 ? 'disabled' : ''}>
+            <span class="import-mode-label">Only the current list (${listedNotes.length})</span>
+            <small class="text-muted">The notes matching the current search and filters</small>
+        </label>
+    `;
+    
+    elements.mainContent.innerHTML = `
+        <div class="form-container export-dialog">
+            <h2 class="text-center">Export Notes</h2>
+            
+            <fieldset class="form-group import-modes">
+                <legend>Format</legend>
+                ${formatOptions}
+            </fieldset>
+            
+            <fieldset class="form-group import-modes">
+                <legend>Notes</legend>
+                ${scopeOptions}
+                <p id="exportLockedHint" class="text-muted" hidden></p>
+            </fieldset>
+            
+            <fieldset class="form-group import-modes">
+                <legend>Encryption</legend>
+                <label class="import-mode">
+                    <input type="checkbox" id="encryptExport" 
+                           ${isEncryptionSupported() ? (isVaultEnabled() ? 'checked' : '') : 'disabled'}>
+                    <span class="import-mode-label">Encrypt the file with a passphrase</span>
+                    <small class="text-muted">
+                        ${isEncryptionSupported() 
+                            ? 'Only Notes App can open the file, with the passphrase' 
+                            : 'Needs a secure connection (https)'}
+                    </small>
+                </label>
+                <div id="exportPassphraseFields" ${isVaultEnabled() && isEncryptionSupported() ? '' : 'hidden'}>
+                    <div class="form-group">
+                        <label for="exportPassphrase">Passphrase for the file</label>
+                        <input type="password" id="exportPassphrase" class="form-control" autocomplete="new-password">
+                    </div>
+                    <div class="form-group">
+                        <label for="exportPassphraseConfirm">Passphrase again</label>
+                        <input type="password" id="exportPassphraseConfirm" class="form-control" autocomplete="new-password">
+                    </div>
+                    <p id="exportError" class="form-error" role="alert"></p>
+                </div>
+            </fieldset>
+            
+            <div class="form-actions">
+                <button type="button" id="confirmExportBtn" class="btn btn-primary">Export</button>
+                <button type="button" id="cancelExportBtn" class="btn btn-outline">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    const returnToPrevious = () => navigateTo(previous.screen, previous.params, { history: 'none' });
+    
+    const encryptCheckbox = document.getElementById('encryptExport');
+    encryptCheckbox.addEventListener('change', () => {
+        document.getElementById('exportPassphraseFields').hidden = !encryptCheckbox.checked;
+    });
+    
+    const getSelection = () => {
+        const format = document.querySelector('input[name="exportFormat"]:checked')?.value;
+        const scope = document.querySelector('input[name="exportScope"]:checked')?.value;
+        const notes = options.notes || (scope === 'listed' ? listedNotes : state.notes);
+        return { format, notes, skipped: notes.length - getExportableNotes(notes, format).length };
+    };
+    
+    // Say up front which locked notes the chosen format leaves out
+    const updateLockedHint = () => {
+        const { skipped } = getSelection();
+        const hint = document.getElementById('exportLockedHint');
+        hint.hidden = skipped === 0;
+        hint.textContent = `${skipped} locked ${skipped === 1 ? 'note is' : 'notes are'} left out of this format. ` +
+            'Export as JSON to keep them, still encrypted.';
+    };
+    elements.mainContent.querySelector('.export-dialog').addEventListener('change', updateLockedHint);
+    updateLockedHint();
+    
+    const confirmBtn = document.getElementById('confirmExportBtn');
+    confirmBtn.addEventListener('click', async () => {
+        const { format, notes, skipped } = getSelection();
+        
+        let passphrase = null;
+        if (encryptCheckbox.checked) {
+            passphrase = document.getElementById('exportPassphrase').value;
+            const problem = validateNewPassphrase(passphrase, document.getElementById('exportPassphraseConfirm').value);
+            document.getElementById('exportError').textContent = problem || '';
+            if (problem) {
+                updateLiveMessage(problem, 'assertive');
+                return;
+            }
+        }
+        
+        confirmBtn.disabled = true;
+        const exported = await exportNotes(notes, format, { passphrase });
+        confirmBtn.disabled = false;
+        if (exported) {
+            returnToPrevious();
+            const count = notes.length - skipped;
+            showSuccess(`Exported ${count} ${count === 1 ? 'note' : 'notes'} as ${EXPORT_FORMATS[format].label}${passphrase ? ', encrypted' : ''}` +
+                (skipped > 0 ? ` (${skipped} locked left out)` : ''));
+        }
+    });
+    document.getElementById('cancelExportBtn').addEventListener('click', returnToPrevious);
+    
+    updateLiveMessage('Export dialog opened');
+}
+
+/**
+ * Get the notes an export format can hold. Only JSON keeps the encrypted content
+ * of locked notes: the other formats leave out the ones that aren't unlocked,
+ * rather than exporting the locked placeholder as their content.
+ * @param {Array} notes - The notes to export
+ * @param {string} format - One of the keys of EXPORT_FORMATS
+ * @returns {Array} - The notes to write into the file
+ */
+function getExportableNotes(notes, format) {
+    if (format === 'json') return notes;
+    return notes.filter(note => !isNoteLocked(note) || getUnlockedNote(note));
+}
+
+/**
+ * Download notes in one of the export formats
+ * @param {Array} notes - The notes to export
+ * @param {string} format - One of the keys of EXPORT_FORMATS
+ * @param {Object} options - { passphrase } to encrypt the file
+ * @returns {Promise<boolean>} - Success status
+ */
+async function exportNotes(notes, format, options = {}) {
+    try {
+        const exportable = getExportableNotes(notes, format);
+        if (exportable.length === 0) {
+            showInfo(notes.length === 0 ? 'No notes to export' : 'Locked notes can only be exported as JSON');
+            return false;
+        }
+        
+        let file = buildExportFile(exportable, format);
+        if (options.passphrase) {
+            file = await encryptExportFile(file, options.passphrase);
+        }
+        downloadFile(file.content, file.fileName, file.type);
+        return true;
+    } catch (error) {
+        console.error('Export error:', error);
+        showError('Failed to export notes');
+        return false;
+    }
+}
+
+/**
+ * Build the file of an export
+ * @param {Array} notes - The notes to export
+ * @param {string} format - One of the keys of EXPORT_FORMATS
+ * @returns {Object} - { content, fileName, type }
+ */
+function buildExportFile(notes, format) {
+    const fileName = `notes-export-${new Date().toISOString().replace(/[:.]/g, '-')}`;
+    
+    switch (format) {
+        case 'markdown-zip':
+            return { content: createZip(buildMarkdownFiles(notes)), fileName: `${fileName}.zip`, type: 'application/zip' };
+        case 'markdown':
+            return { content: buildMarkdownDocument(notes), fileName: `${fileName}.md`, type: 'text/markdown' };
+        case 'text':
+            return { content: buildPlainTextDocument(notes), fileName: `${fileName}.txt`, type: 'text/plain' };
+        case 'json':
+        default:
+            return { content: JSON.stringify(buildJsonExport(notes), null, 2), fileName: `${fileName}.json`, type: 'application/json' };
+    }
+}
+
+/**
+ * Encrypt an export file with a passphrase (PBKDF2 and AES-GCM, like the vault)
+ * @param {Object} file - { content, fileName, type } from buildExportFile
+ * @param {string} passphrase - The passphrase for the file
+ * @returns {Promise<Object>} - The encrypted file, a JSON envelope around the original
+ */
+async function encryptExportFile(file, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const key = await derivePassphraseKey(passphrase, salt, VAULT_KDF_ITERATIONS);
+    const bytes = typeof file.content === 'string' ? new TextEncoder().encode(file.content) : file.content;
+    
+    const envelope = {
+        type: ENCRYPTED_EXPORT_TYPE,
+        version: 1,
+        fileName: file.fileName,
+        mimeType: file.type,
+        salt: bytesToBase64(salt),
+        iterations: VAULT_KDF_ITERATIONS,
+        ...(await encryptBytes(key, bytes))
+    };
+    
+    return {
+        content: JSON.stringify(envelope, null, 2),
+        fileName: `${file.fileName.replace(/\.[^.]+$/, '')}.encrypted.json`,
+        type: 'application/json'
+    };
+}
+
+/**
+ * Build the JSON export of notes (the format read back by the importer)
+ * @param {Array} notes - The notes to export
+ * @returns {Object} - The export data
+ */
+function buildJsonExport(notes) {
+    return {
+        exportedAt: new Date().toISOString(),
+        totalNotes: notes.length,
+        notes: notes.map(note => ({
+            title: note.title,
+            content: note.content,
+            category: note.category,
+            tags: note.tags || [],
+            isPinned: note.isPinned,
+            ...(note.locked ? { locked: note.locked } : {}),
+            ...(note.dueAt ? { dueAt: note.dueAt, reminderMinutes: note.reminderMinutes ?? null } : {}),
+            ...(note.doneAt ? { doneAt: note.doneAt } : {}),
+            ...(isChecklist(note) ? {
+                type: note.type,
+                ...(note.items ? { items: note.items } : {}),
+                hideCompleted: Boolean(note.hideCompleted),
+                completedLast: Boolean(note.completedLast)
+            } : {}),
+            createdAt: note.createdAt,
+            updatedAt: note.updatedAt
+        }))
+    };
+}
+
+/**
+ * Build one Markdown file per note, each starting with YAML front matter
+ * @param {Array} notes - The notes to export
+ * @returns {Array} - Files of { name, content }
+ */
+function buildMarkdownFiles(notes) {
+    const usedNames = new Set();
+    
+    return notes.map(note => {
+        // Unique file names from the titles: "my-note.md", "my-note-2.md", ...
+        const baseName = getFileSlug(note.title) || 'untitled';
+        let name = `${baseName}.md`;
+        for (let i = 2; usedNames.has(name.toLowerCase()); i++) {
+            name = `${baseName}-${i}.md`;
+        }
+        usedNames.add(name.toLowerCase());
+        
+        return { name, content: `${buildFrontMatter(note)}\n${getNoteText(note)}\n` };
+    });
+}
+
+/**
+ * Build the YAML front matter of a note
+ * @param {Object} note - The note
+ * @returns {string} - The front matter, including the --- fences
+ */
+function buildFrontMatter(note) {
+    // JSON strings are valid YAML double-quoted scalars
+    const lines = [
+        `title: ${JSON.stringify(note.title)}`,
+        `category: ${JSON.stringify(note.category)}`,
+        `tags: [${(note.tags || []).map(tag => JSON.stringify(tag)).join(', ')}]`,
+        `pinned: ${Boolean(note.isPinned)}`,
+        note.dueAt ? `due: ${note.dueAt}` : '',
+        isChecklist(note) ? 'type: checklist' : '',
+        `createdAt: ${note.createdAt}`,
+        `updatedAt: ${note.updatedAt || note.createdAt}`
+    ].filter(Boolean);
+    
+    return `---\n${lines.join('\n')}\n---\n`;
+}
+
+/**
+ * Build a single Markdown document with every note as a section
+ * @param {Array} notes - The notes to export
+ * @returns {string} - The Markdown document
+ */
+function buildMarkdownDocument(notes) {
+    const sections = notes.map(note => {
+        const meta = [
+            note.category,
+            ...(note.tags || []).map(tag => `#${tag}`),
+            `updated ${formatDateTime(note.updatedAt || note.createdAt, 'full')}`
+        ];
+        // Keep the note's own headings below the note title
+        const content = getNoteText(note).replace(/^( {0,3})(#{1,5})(?=\s|$)/gm, '$1#$2');
+        
+        return `## ${note.isPinned ? '📌 ' : ''}${note.title}\n\n_${meta.join(' · ')}_\n\n${content}\n`;
+    });
+    
+    return `# Notes\n\n_Exported ${formatDateTime(new Date().toISOString(), 'full')}_\n\n${sections.join('\n---\n\n')}`;
+}
+
+/**
+ * Build a plain-text document with every note, without Markdown syntax
+ * @param {Array} notes - The notes to export
+ * @returns {string} - The text document
+ */
+function buildPlainTextDocument(notes) {
+    return notes.map(note => {
+        const meta = [
+            `Category: ${note.category}`,
+            note.tags?.length > 0 ? `Tags: ${note.tags.join(', ')}` : '',
+            `Created: ${formatDateTime(note.createdAt, 'full')}`,
+            `Updated: ${formatDateTime(note.updatedAt || note.createdAt, 'full')}`
+        ].filter(Boolean);
+        
+        return `${note.title}\n${'='.repeat(Math.min(note.title.length, 72))}\n${meta.join('\n')}\n\n${markdownToPlainText(getNoteText(note))}\n`;
+    }).join('\n\n');
+}
+
+/**
+ * Remove Markdown syntax from note content, keeping its line structure
+ * @param {string} markdown - The Markdown source
+ * @returns {string} - The plain text
+ */
+function markdownToPlainText(markdown) {
+    let inCodeBlock = false;
+    
+    return markdown.split('\n').map(line => {
+        if (matchCodeFence(line)) {
+            inCodeBlock = !inCodeBlock;
+            return null;
+        }
+        if (inCodeBlock) return line;
+        if (/^ {0,3}([-*_])( *\1){2,} *$/.test(line)) return '';
+        if (/^ {0,3}\|?[\s:|-]*-[\s:|-]*$/.test(line) && line.includes('|')) return null;
+        
+        const text = line
+            .replace(/^ {0,3}#{1,6}\s+(.*?)(\s+#+)?\s*$/, '$1')
+            .replace(/^( *>)+ ?/, '')
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/\[([^\]]+)\]\(([^)\s]+)[^)]*\)/g, (match, label, url) => (label === url ? url : `${label} (${url})`))
+            .replace(/(`+)(.+?)\1/g, '$2')
+            .replace(/(\*\*|__|~~|\*|_)(?=\S)(.+?)(?<=\S)\1/g, '$2')
+            .replace(/\\([\\`*_{}[\]()#+\-.!|~>])/g, '$1');
+        return text;
+    }).filter(line => line !== null).join('\n');
+}
+
+/**
+ * Turn a title into a safe file name (without extension)
+ * @param {string} title - The title
+ * @returns {string} - The file name
+ */
+function getFileSlug(title) {
+    return title
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, '-')
+        .replace(/^-+|-+$/g, '')
+        .slice(0, 60);
+}
+
+/**
+ * Create an uncompressed ZIP archive
+ * @param {Array} files - Files of { name, content } with string content
+ * @returns {Uint8Array} - The ZIP file
+ */
+function createZip(files) {
+    const encoder = new TextEncoder();
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+    
+    // MS-DOS date and time of the entries
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+    
+    files.forEach(file => {
+        const name = encoder.encode(file.name);
+        const data = encoder.encode(file.content);
+        const crc = getCrc32(data);
+        
+        // Local file header: stored (no compression), UTF-8 file name
+        const header = new DataView(new ArrayBuffer(30));
+        header.setUint32(0, 0x04034b50, true);
+        header.setUint16(4, 20, true);
+        header.setUint16(6, 0x0800, true);
+        header.setUint16(8, 0, true);
+        header.setUint16(10, dosTime, true);
+        header.setUint16(12, dosDate, true);
+        header.setUint32(14, crc, true);
+        header.setUint32(18, data.length, true);
+        header.setUint32(22, data.length, true);
+        header.setUint16(26, name.length, true);
+        header.setUint16(28, 0, true);
+        localParts.push(new Uint8Array(header.buffer), name, data);
+        
+        // Central directory entry pointing back at the local header
+        const entry = new DataView(new ArrayBuffer(46));
+        entry.setUint32(0, 0x02014b50, true);
+        entry.setUint16(4, 20, true);
+        entry.setUint16(6, 20, true);
+        entry.setUint16(8, 0x0800, true);
+        entry.setUint16(10, 0, true);
+        entry.setUint16(12, dosTime, true);
+        entry.setUint16(14, dosDate, true);
+        entry.setUint32(16, crc, true);
+        entry.setUint32(20, data.length, true);
+        entry.setUint32(24, data.length, true);
+        entry.setUint16(28, name.length, true);
+        entry.setUint32(42, offset, true);
+        centralParts.push(new Uint8Array(entry.buffer), name);
+        
+        offset += 30 + name.length + data.length;
+    });
+    
+    const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+    
+    const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+    const zip = new Uint8Array(offset + centralSize + 22);
+    let position = 0;
+    parts.forEach(part => {
+        zip.set(part, position);
+        position += part.length;
+    });
+    return zip;
+}
+
+/**
+ * Compute the CRC-32 checksum used by ZIP files
+ * @param {Uint8Array} data - The data
+ * @returns {number} - The unsigned checksum
+ */
+function getCrc32(data) {
+    if (!crc32Table) {
+        crc32Table = Array.from({ length: 256 }, (_, n) => {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            return c >>> 0;
+        });
+    }
+    
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+        crc = crc32Table[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// =============================================
+// Printing
+// =============================================
+
+/**
+ * Print notes as a clean document, one note per page
+ * @param {Array} notes - The notes to print
+ * @param {string} title - The title of the printed document
+ */
+function printNotes(notes, title) {
+    if (notes.length === 0) {
+        showInfo('No notes to print');
+        return;
+    }
+    
+    elements.printArea.innerHTML = `
+        <header class="print-cover">
+            <h1>${escapeHtml(title)}</h1>
+            <p>${notes.length} ${notes.length === 1 ? 'note' : 'notes'} &middot; Printed ${formatDateTime(new Date().toISOString(), 'full')}</p>
+        </header>
+        ${notes.map(createPrintNote).join('')}
+    `;
+    
+    // The print stylesheet swaps the app for the print area while this class is set
+    document.body.classList.add('printing');
+    window.addEventListener('afterprint', clearPrintArea, { once: true });
+    window.print();
+    updateLiveMessage(`Printing ${notes.length} notes`);
+}
+
+/**
+ * Create the printed version of a note
+ * @param {Object} note - The note to print
+ * @returns {string} - HTML string for the printed note
+ */
+function createPrintNote(note) {
+    const tags = (note.tags || []).map(tag => `#${escapeHtml(tag)}`).join(' ');
+    
+    return `
+        <article class="print-note">
+            <header class="print-note-header">
+                <h2>${note.isPinned ? '📌 ' : ''}${escapeHtml(note.title)}</h2>
+                <dl class="print-note-meta">
+                    <dt>Category</dt><dd>${escapeHtml(note.category)}</dd>
+                    ${tags ? `<dt>Tags</dt><dd>${tags}</dd>` : ''}
+                    ${note.dueAt ? `<dt>Due</dt><dd>${formatDateTime(note.dueAt, 'full')}${note.doneAt ? ' (done)' : ''}</dd>` : ''}
+                    <dt>Created</dt><dd>${formatDateTime(note.createdAt, 'full')}</dd>
+                    <dt>Updated</dt><dd>${formatDateTime(note.updatedAt || note.createdAt, 'full')}</dd>
+                </dl>
+            </header>
+            <div class="markdown-body">
+                ${formatNoteContent(getNoteText(note))}
+            </div>
+        </article>
+    `;
+}
+
+/**
+ * Remove the printed notes once the print dialog is closed
+ */
+function clearPrintArea() {
+    document.body.classList.remove('printing');
+    elements.printArea.innerHTML = '';
+}
+
+// =============================================
+// Import
+// =============================================
+
+/**
+ * Handle the file chosen in the import file picker
+ * @param {Event} e - The change event of the file input
+ */
+async function handleImportFile(e) {
+    const files = [...(e.target.files || [])];
+    // Reset the input so choosing the same file again still fires "change"
+    e.target.value = '';
+    if (files.length === 0) return;
+    
+    const entries = [];
+    const sources = [];
+    const formats = new Set();
+    const fileErrors = [];
+    
+    for (const file of files) {
+        try {
+            let fileName = file.name;
+            let text = await file.text();
+            
+            const envelope = parseEncryptedExport(text);
+            if (envelope) {
+                const decrypted = await decryptExportFile(envelope, file.name);
+                if (!decrypted) throw new Error('the file is encrypted and no passphrase was entered');
+                
+                // Archives can't be imported, but this is the only way to open them
+                if (/\.zip$/i.test(decrypted.fileName)) {
+                    downloadFile(decrypted.bytes, decrypted.fileName, decrypted.type);
+                    showInfo(`Decrypted "${decrypted.fileName}" and downloaded it. ZIP archives can't be imported.`);
+                    continue;
+                }
+                fileName = decrypted.fileName;
+                text = new TextDecoder().decode(decrypted.bytes);
+            }
+            
+            const parsed = parseImportFile(fileName, text, file.lastModified);
+            formats.add(parsed.format);
+            entries.push(...parsed.entries);
+            sources.push(...parsed.entries.map(() => file.name));
+        } catch (error) {
+            console.error('Import error:', error);
+            fileErrors.push({ fileName: file.name, message: error.message });
+        }
+    }
+    
+    if (entries.length === 0 && fileErrors.length > 0) {
+        showError(fileErrors.map(({ fileName, message }) => `Failed to import "${fileName}": ${message}`).join('. '));
+        return;
+    }
+    
+    // Nothing is written until the report has been reviewed (see commitImport)
+    state.pendingImport = {
+        fileName: files.length === 1 ? files[0].name : `${files.length} files`,
+        formats: [...formats],
+        fileErrors,
+        report: buildImportReport(entries, sources)
+    };
+    showImportPreview();
+}
+
+/**
+ * Parse a JSON backup produced by the export
+ * @param {string} text - The raw file contents
+ * @returns {Array} - The raw note entries found in the file
+ */
+function parseExportFile(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('the file is not valid JSON');
+    }
+    
+    if (!data || typeof data !== 'object' || !Array.isArray(data.notes)) {
+        throw new Error('the file is not a notes export (missing "notes" array)');
+    }
+    
+    return data.notes;
+}
+
+/**
+ * Read the envelope of an export encrypted by encryptExportFile
+ * @param {string} text - The file contents
+ * @returns {Object|null} - The envelope, or null if the file isn't an encrypted export
+ */
+function parseEncryptedExport(text) {
+    if (!text.includes(ENCRYPTED_EXPORT_TYPE)) return null;
+    
+    try {
+        const data = JSON.parse(text);
+        return data?.type === ENCRYPTED_EXPORT_TYPE ? data : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Decrypt an encrypted export, asking for its passphrase until it is right
+ * @param {Object} envelope - The envelope from parseEncryptedExport
+ * @param {string} fileName - The name of the encrypted file
+ * @returns {Promise<Object|null>} - { fileName, type, bytes } of the original file, or null if cancelled
+ */
+async function decryptExportFile(envelope, fileName) {
+    if (!isEncryptionSupported()) throw new Error('encrypted files need a secure connection (https)');
+    if (!isValidKdfIterations(envelope.iterations)) throw new Error('the file uses unsupported encryption settings');
+    
+    let message = `Passphrase for "${fileName}"`;
+    while (true) {
+        const passphrase = await requestPassphrase('Encrypted File', message);
+        if (passphrase === null) return null;
+        
+        const key = await derivePassphraseKey(passphrase, base64ToBytes(envelope.salt), envelope.iterations);
+        try {
+            return { fileName: envelope.fileName, type: envelope.mimeType, bytes: await decryptBytes(key, envelope) };
+        } catch (error) {
+            message = `Wrong passphrase. Try again: passphrase for "${fileName}"`;
+            updateLiveMessage('Wrong passphrase', 'assertive');
+        }
+    }
+}
+
+/**
+ * Read the notes of an import file, detecting its format
+ * @param {string} fileName - The name of the file
+ * @param {string} text - The raw file contents
+ * @param {number} lastModified - The file's modification time, used for undated notes
+ * @returns {Object} - { format, entries } with the raw note entries found in the file
+ */
+function parseImportFile(fileName, text, lastModified) {
+    const extension = fileName.includes('.') ? fileName.split('.').pop().toLowerCase() : '';
+    
+    if (extension === 'enex' || /^\s*(<\?xml[^>]*>\s*)?(<!DOCTYPE[^>]*>\s*)?<en-export/i.test(text)) {
+        return { format: 'Evernote', entries: parseEnexFile(text) };
+    }
+    
+    if (MARKDOWN_IMPORT_EXTENSIONS.includes(extension)) {
+        const format = extension === 'txt' ? 'Text' : 'Markdown';
+        return { format, entries: [parseMarkdownFile(fileName, text, lastModified)] };
+    }
+    
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        throw new Error('the file is not valid JSON');
+    }
+    
+    // Google Keep Takeout has one JSON file per note
+    if (isKeepNote(data) || (Array.isArray(data) && data.length > 0 && data.every(isKeepNote))) {
+        const keepNotes = Array.isArray(data) ? data : [data];
+        return { format: 'Google Keep', entries: keepNotes.filter(note => !note.isTrashed).map(parseKeepNote) };
+    }
+    
+    return { format: 'Notes App', entries: parseExportFile(text) };
+}
+
+/**
+ * Read a Markdown or text file as a note. Front matter (title, category,
+ * tags, pinned, createdAt, updatedAt) is used when present; otherwise the
+ * title comes from a leading "# Heading" or the file name.
+ * @param {string} fileName - The name of the file
+ * @param {string} text - The raw file contents
+ * @param {number} lastModified - The file's modification time
+ * @returns {Object} - The raw note entry
+ */
+function parseMarkdownFile(fileName, text, lastModified) {
+    const { data, body } = parseFrontMatter(text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n'));
+    const field = (...names) => names.map(name => data[name.toLowerCase()]).find(value => value !== undefined && value !== null);
+    
+    let title = field('title');
+    let content = body.trim();
+    
+    if (!title) {
+        const heading = content.match(/^#\s+(.+?)\s*#*\s*(\n|$)/);
+        if (heading && content.slice(heading[0].length).trim()) {
+            title = heading[1];
+            content = content.slice(heading[0].length).trim();
+        } else {
+            title = fileName.replace(/\.[^.]+$/, '');
+        }
+    }
+    
+    const fileDate = lastModified ? new Date(lastModified).toISOString() : undefined;
+    const tags = field('tags', 'keywords');
+    const pinned = field('pinned', 'isPinned');
+    
+    return {
+        title: String(title).trim().slice(0, MAX_TITLE_LENGTH),
+        content,
+        category: field('category', 'categories') ?? undefined,
+        tags: typeof tags === 'string' ? tags.split(',') : tags,
+        isPinned: typeof pinned === 'boolean' ? pinned : undefined,
+        dueAt: field('due', 'dueAt') ?? undefined,
+        type: field('type') === 'checklist' ? 'checklist' : undefined,
+        createdAt: String(field('createdAt', 'created', 'date') ?? fileDate ?? '') || undefined,
+        updatedAt: String(field('updatedAt', 'updated', 'modified', 'lastmod') ?? fileDate ?? '') || undefined
+    };
+}
+
+/**
+ * Split YAML front matter from a Markdown document. Only the simple subset
+ * written by the Markdown export is understood: "key: value" pairs with
+ * strings, booleans, [inline, lists] and "- item" lists.
+ * @param {string} text - The document
+ * @returns {Object} - { data, body } with lowercased keys
+ */
+function parseFrontMatter(text) {
+    const match = text.match(/^---[ \t]*\n([\s\S]*?)\n(---|\.\.\.)[ \t]*(\n|$)/);
+    if (!match) return { data: {}, body: text };
+    
+    const data = {};
+    let listKey = null;
+    
+    match[1].split('\n').forEach(line => {
+        const item = line.match(/^\s+-\s+(.*)$/);
+        if (item && listKey) {
+            data[listKey].push(parseYamlScalar(item[1]));
+            return;
+        }
+        
+        const pair = line.match(/^([\w-]+)\s*:\s*(.*)$/);
+        if (!pair) return;
+        
+        const key = pair[1].toLowerCase();
+        if (pair[2].trim() === '') {
+            data[key] = [];
+            listKey = key;
+        } else {
+            data[key] = parseYamlScalar(pair[2]);
+            listKey = null;
+        }
+    });
+    
+    return { data, body: text.slice(match[0].length) };
+}
+
+/**
+ * Parse a YAML scalar or inline list from front matter
+ * @param {string} value - The raw value
+ * @returns {*} - The string, boolean, null or array
+ */
+function parseYamlScalar(value) {
+    let trimmed = value.trim();
+    
+    // Comments only end unquoted values
+    if (!/^["'[]/.test(trimmed)) {
+        trimmed = trimmed.replace(/\s+#.*$/, '');
+    }
+    
+    if (/^".*"$/.test(trimmed)) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (error) {
+            return trimmed.slice(1, -1);
+        }
+    }
+    if (/^'.*'$/.test(trimmed)) return trimmed.slice(1, -1).replace(/''/g, "'");
+    if (/^\[.*\]$/.test(trimmed)) {
+        return (trimmed.slice(1, -1).match(/"(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^,]+/g) || [])
+            .map(parseYamlScalar)
+            .filter(item => item !== null);
+    }
+    if (/^(true|false)$/i.test(trimmed)) return trimmed.toLowerCase() === 'true';
+    if (['', '~', 'null'].includes(trimmed)) return null;
+    return trimmed;
+}
+
+/**
+ * Check whether parsed JSON looks like a Google Keep Takeout note
+ * @param {*} data - The parsed JSON
+ * @returns {boolean} - Whether it is a Keep note
+ */
+function isKeepNote(data) {
+    return Boolean(data) && typeof data === 'object' && !Array.isArray(data) &&
+        ('textContent' in data || 'listContent' in data) && 'userEditedTimestampUsec' in data;
+}
+
+/**
+ * Convert a Google Keep Takeout note to a raw note entry
+ * @param {Object} keepNote - The Keep note
+ * @returns {Object} - The raw note entry
+ */
+function parseKeepNote(keepNote) {
+    const content = Array.isArray(keepNote.listContent)
+        ? keepNote.listContent.map(item => `- [${item.isChecked ? 'x' : ' '}] ${item.text || ''}`).join('\n')
+        : keepNote.textContent || '';
+    const toDate = (usec) => (Number(usec) > 0 ? new Date(Number(usec) / 1000).toISOString() : undefined);
+    const labels = (keepNote.labels || []).map(label => label.name);
+    
+    return {
+        // Keep notes often have no title: use the start of the text instead
+        title: (keepNote.title || content.split('\n')[0].replace(/^- \[[ x]\] /, '') || 'Untitled').trim().slice(0, MAX_TITLE_LENGTH),
+        content,
+        type: Array.isArray(keepNote.listContent) ? 'checklist' : undefined,
+        tags: keepNote.isArchived ? [...labels, 'archived'] : labels,
+        isPinned: keepNote.isPinned === true,
+        createdAt: toDate(keepNote.createdTimestampUsec) || toDate(keepNote.userEditedTimestampUsec),
+        updatedAt: toDate(keepNote.userEditedTimestampUsec)
+    };
+}
+
+/**
+ * Read the notes of an Evernote .enex export
+ * @param {string} text - The XML contents
+ * @returns {Array} - The raw note entries
+ */
+function parseEnexFile(text) {
+    const doc = new DOMParser().parseFromString(text, 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length > 0 || doc.documentElement.nodeName !== 'en-export') {
+        throw new Error('the file is not a valid Evernote export');
+    }
+    
+    return [...doc.documentElement.children]
+        .filter(element => element.nodeName === 'note')
+        .map(note => {
+            const children = [...note.children];
+            const child = (name) => children.find(element => element.nodeName === name)?.textContent.trim() || '';
+            
+            return {
+                title: child('title'),
+                content: enmlToMarkdown(child('content')),
+                tags: children.filter(element => element.nodeName === 'tag').map(tag => tag.textContent),
+                createdAt: parseEnexDate(child('created')),
+                updatedAt: parseEnexDate(child('updated')) || parseEnexDate(child('created'))
+            };
+        });
+}
+
+/**
+ * Convert an Evernote timestamp (e.g. 20260131T093000Z) to ISO format
+ * @param {string} value - The Evernote timestamp
+ * @returns {string|undefined} - The ISO date, or undefined if missing or malformed
+ */
+function parseEnexDate(value) {
+    const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+    return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}Z` : undefined;
+}
+
+/**
+ * Convert Evernote note markup (ENML) to Markdown
+ * @param {string} enml - The ENML document
+ * @returns {string} - The Markdown content
+ */
+function enmlToMarkdown(enml) {
+    const doc = new DOMParser().parseFromString(enml, 'text/html');
+    const root = doc.querySelector('en-note') || doc.body;
+    
+    return htmlToMarkdown(root)
+        .replace(/[ \t]+$/gm, '')
+        .replace(/^ (?=\S)/gm, '')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Convert an HTML node and its children to Markdown
+ * @param {Node} node - The node to convert
+ * @param {number} listDepth - How deeply nested in lists the node is
+ * @returns {string} - The Markdown
+ */
+function htmlToMarkdown(node, listDepth = 0) {
+    if (node.nodeType === Node.TEXT_NODE) return node.textContent.replace(/\s+/g, ' ');
+    if (node.nodeType !== Node.ELEMENT_NODE) return '';
+    
+    const inner = () => [...node.childNodes].map(child => htmlToMarkdown(child, listDepth)).join('');
+    const wrap = (marker) => {
+        const text = inner();
+        return text.trim() ? `${marker}${text.trim()}${marker}` : text;
+    };
+    const tagName = node.nodeName.toLowerCase();
+    
+    switch (tagName) {
+        case 'br':
+            return '\n';
+        case 'h1': case 'h2': case 'h3': case 'h4': case 'h5': case 'h6':
+            return `\n\n${'#'.repeat(Number(tagName[1]))} ${inner().trim()}\n\n`;
+        case 'p':
+        case 'div':
+            return `\n${inner()}\n`;
+        case 'strong':
+        case 'b':
+            return wrap('**');
+        case 'em':
+        case 'i':
+            return wrap('_');
+        case 's':
+        case 'strike':
+        case 'del':
+            return wrap('~~');
+        case 'code':
+            return wrap('`');
+        case 'a': {
+            const href = node.getAttribute('href');
+            return href ? `[${inner().trim() || href}](${href})` : inner();
+        }
+        case 'en-todo':
+            return `- [${node.getAttribute('checked') === 'true' ? 'x' : ' '}] ${inner()}`;
+        case 'ul':
+        case 'ol': {
+            const items = [...node.children].filter(child => child.nodeName.toLowerCase() === 'li');
+            const lines = items.map((item, i) => {
+                const marker = tagName === 'ol' ? `${i + 1}.` : '-';
+                const text = [...item.childNodes].map(child => htmlToMarkdown(child, listDepth + 1)).join('').trim();
+                return `${'  '.repeat(listDepth)}${marker} ${text}`;
+            });
+            return `\n${lines.join('\n')}\n`;
+        }
+        case 'pre':
+            return `\n\`\`\`\n${node.textContent.replace(/\n$/, '')}\n\`\`\`\n`;
+        case 'hr':
+            return '\n---\n';
+        case 'img':
+            return node.getAttribute('alt') || '';
+        case 'en-media':
+        case 'en-crypt':
+            // Attachments and encrypted blocks are not imported
+            return '';
+        default:
+            return inner();
+    }
+}
+
+/**
+ * Classify import entries as new, duplicate or invalid
+ * @param {Array} entries - The raw note entries to import
+ * @param {Array<string>} sources - The file each entry came from
+ * @returns {Object} - The report with classified items and counts
+ */
+function buildImportReport(entries, sources = []) {
+    const existingKeys = new Set(state.notes.map(getNoteDuplicateKey));
+    const seenKeys = new Set();
+    const counts = { new: 0, duplicate: 0, invalid: 0 };
+    
+    const items = entries.map((entry, index) => {
+        const { isValid, errors, noteData } = validateNoteData(entry);
+        let status = 'invalid';
+        
+        if (isValid) {
+            const key = getNoteDuplicateKey(noteData);
+            status = existingKeys.has(key) || seenKeys.has(key) ? 'duplicate' : 'new';
+            seenKeys.add(key);
+        }
+        
+        counts[status]++;
+        return { index, status, errors, noteData, source: sources[index] };
+    });
+    
+    return { items, counts, total: entries.length };
+}
+
+/**
+ * Show the preview of a pending import with the import mode choices
+ */
+function showImportPreview() {
+    const { fileName, report, formats = [], fileErrors = [] } = state.pendingImport;
+    state.currentView = 'import';
+    const { counts } = report;
+    
+    const modeOptions = [
+        { id: 'merge', label: 'Merge', help: 'Add new notes and update the tags, category, pin and dates of existing ones' },
+        { id: 'skip-duplicates', label: 'Skip duplicates', help: 'Add only notes that do not exist yet' },
+        { id: 'replace-all', label: 'Replace all', help: 'Delete all current notes and keep only the imported ones' }
+    ].map((mode, i) => `
+        <label class="import-mode">
+            <input type="radio" name="importMode" value="${mode.id}" ${i === 1 ? 'checked' : ''}>
+            <span class="import-mode-label">${mode.label}</span>
+            <small class="text-muted">${mode.help}</small>
+        </label>
+    `).join('');
+    
+    const itemRows = report.items.map(item => `
+        <li class="import-item import-item-${item.status}">
+            <span class="status-badge status-${item.status}">${item.status}</span>
+            <span class="import-item-title">
+                ${item.noteData?.title ? escapeHtml(item.noteData.title) : `<em>Entry #${item.index + 1}</em>`}
+            </span>
+            ${item.source && item.source !== fileName ? `
+                <small class="text-muted">${escapeHtml(item.source)}</small>
+            ` : ''}
+            ${item.errors.length > 0 ? `
+                <small class="import-item-errors">${escapeHtml(item.errors.join('; '))}</small>
+            ` : ''}
+        </li>
+    `).join('');
+    
+    const fileErrorRows = fileErrors.map(({ fileName: name, message }) => `
+        <li class="import-item import-item-invalid">
+            <span class="status-badge status-invalid">skipped</span>
+            <span class="import-item-title">${escapeHtml(name)}</span>
+            <small class="import-item-errors">${escapeHtml(message)}</small>
+        </li>
+    `).join('');
+    
+    elements.mainContent.innerHTML = `
+        <div class="form-container import-preview">
+            <h2 class="text-center">Import Notes</h2>
+            <p class="text-muted text-center">
+                ${escapeHtml(fileName)} &middot; ${report.total} entries
+                ${formats.length > 0 ? `&middot; ${escapeHtml(formats.join(', '))}` : ''}
+            </p>
+            
+            <div class="import-summary">
+                <div class="import-stat status-new"><strong>${counts.new}</strong> new</div>
+                <div class="import-stat status-duplicate"><strong>${counts.duplicate}</strong> duplicate</div>
+                <div class="import-stat status-invalid"><strong>${counts.invalid}</strong> invalid</div>
+            </div>
+            
+            ${report.items.length + fileErrors.length > 0 ? `<ul class="import-list">${fileErrorRows}${itemRows}</ul>` : ''}
+            
+            <fieldset class="form-group import-modes">
+                <legend>How should these notes be imported?</legend>
+                ${modeOptions}
+            </fieldset>
+            
+            <div class="form-actions">
+                <button type="button" id="confirmImportBtn" class="btn btn-primary"
+                        ${counts.new + counts.duplicate === 0 ? 'disabled' : ''}>
+                    Import
+                </button>
+                <button type="button" id="cancelImportBtn" class="btn btn-outline">Cancel</button>
+            </div>
+        </div>
+    `;
+    
+    document.getElementById('confirmImportBtn')?.addEventListener('click', () => {
+        const mode = document.querySelector('input[name="importMode"]:checked')?.value;
+        commitImport(mode);
+    });
+    document.getElementById('cancelImportBtn')?.addEventListener('click', () => {
+        state.pendingImport = null;
+        navigateTo('view');
+    });
+    
+    updateLiveMessage(`Import preview: ${counts.new} new, ${counts.duplicate} duplicate, ${counts.invalid} invalid`);
+}
+
+/**
+ * Write the pending import into the notes collection
+ * @param {string} mode - One of IMPORT_MODES
+ * @returns {Promise<boolean>} - Success status
+ */
+async function commitImport(mode) {
+    if (!state.pendingImport || !IMPORT_MODES.includes(mode)) return false;
+    
+    const { items } = state.pendingImport.report;
+    const accepted = items.filter(item =>
+        item.status === 'new' || (item.status === 'duplicate' && mode !== 'skip-duplicates')
+    );
+    
+    if (mode === 'replace-all' && state.notes.length > 0 &&
+        !confirm(`Replace all ${state.notes.length} existing notes with ${accepted.length} imported notes?`)) {
+        return false;
+    }
+    
+    const previous = captureSavedState();
+    const importedNotes = [];
+    // Merging updates the note with the same title and content instead of adding a copy
+    const notesByKey = new Map(mode === 'merge' ? state.notes.map(note => [getNoteDuplicateKey(note), note]) : []);
+    const mergedNotes = new Map();
+    
+    accepted.forEach(item => {
+        const note = buildNote({
+            ...item.noteData,
+            category: ensureCategory(item.noteData.category)
+        });
+        const key = getNoteDuplicateKey(note);
+        const existing = notesByKey.get(key);
+        
+        if (existing) {
+            const merged = mergeImportedNote(existing, note);
+            notesByKey.set(key, merged);
+            mergedNotes.set(existing.id, merged);
+        } else {
+            importedNotes.push(note);
+            if (mode === 'merge') notesByKey.set(key, note);
+        }
+    });
+    
+    const withMerges = notes => notes.map(note => mergedNotes.get(note.id) || note);
+    const updatedCount = state.notes.filter(note => (mergedNotes.get(note.id) || note) !== note).length;
+    state.notes = mode === 'replace-all' ? importedNotes : [...withMerges(importedNotes), ...withMerges(state.notes)];
+    
+    rebuildSearchIndex();
+    if (!(await saveOrRestore(previous))) return false;
+    
+    state.pendingImport = null;
+    showSuccess(`Imported ${importedNotes.length} notes successfully` +
+        (updatedCount > 0 ? `, updated ${updatedCount} existing ${updatedCount === 1 ? 'note' : 'notes'}` : ''));
+    navigateTo('view');
+    return true;
+}
+
+/**
+ * Merge an imported note into the existing note with the same title and content:
+ * the import brings its category, pin, due date and completion, and adds its tags
+ * @param {Object} existing - The existing note
+ * @param {Object} imported - The imported note, from buildNote
+ * @returns {Object} - The updated note, or the existing note if nothing changed
+ */
+function mergeImportedNote(existing, imported) {
+    const candidates = {
+        category: imported.category,
+        tags: normalizeTags([...(existing.tags || []), ...imported.tags]),
+        isPinned: existing.isPinned || imported.isPinned,
+        ...(imported.dueAt ? { dueAt: imported.dueAt, reminderMinutes: imported.reminderMinutes } : {}),
+        ...(imported.doneAt ? { doneAt: imported.doneAt } : {})
+    };
+    
+    const updates = Object.fromEntries(Object.entries(candidates).filter(([field, value]) =>
+        JSON.stringify(value) !== JSON.stringify(existing[field] ?? null)
+    ));
+    return Object.keys(updates).length > 0 ? applyNoteUpdates(existing, updates) : existing;
+}
+
+// =============================================
+// Helper Functions
+// =============================================
+
+/**
+ * Validate raw note data, e.g. an entry from an import file
+ * @param {Object} data - The raw note data
+ * @returns {Object} - { isValid, errors, noteData } with noteData normalized for buildNote
+ */
+function validateNoteData(data) {
+    const errors = [];
+    
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { isValid: false, errors: ['Entry is not an object'], noteData: null };
+    }
+    
+    const title = typeof data.title === 'string' ? data.title.trim() : '';
+    const hasLock = data.locked !== undefined;
+    const isChecklistData = data.type === 'checklist';
+    if (data.items !== undefined && !Array.isArray(data.items)) {
+        errors.push('"items" must be a list');
+    }
+    
+    // Checklists without items (e.g. from Markdown) are read from their content
+    let content = typeof data.content === 'string' ? data.content.trim() : '';
+    let items;
+    if (isChecklistData && !hasLock) {
+        items = Array.isArray(data.items) ? normalizeChecklistItems(data.items) : parseChecklistMarkdown(content);
+        content = checklistToMarkdown(items);
+    }
+    
+    if (!title) errors.push('Missing title');
+    if (title.length > MAX_TITLE_LENGTH) errors.push(`Title exceeds ${MAX_TITLE_LENGTH} characters`);
+    if (hasLock && !isValidNoteLock(data.locked)) errors.push('Invalid "locked" data');
+    if (!content && !hasLock) errors.push('Missing content');
+    if (data.tags !== undefined && !Array.isArray(data.tags)) {
+        errors.push('"tags" must be a list');
+    }
+    if (data.isPinned !== undefined && typeof data.isPinned !== 'boolean') {
+        errors.push('"isPinned" must be true or false');
+    }
+    
+    ['createdAt', 'updatedAt', 'dueAt', 'doneAt'].forEach(field => {
+        if (data[field] !== undefined && data[field] !== null && !isValidDateString(data[field])) {
+            errors.push(`Invalid "${field}" date`);
+        }
+    });
+    const hasReminder = data.reminderMinutes !== undefined && data.reminderMinutes !== null;
+    if (hasReminder && !(Number.isInteger(data.reminderMinutes) && data.reminderMinutes >= 0)) {
+        errors.push('"reminderMinutes" must be a whole number of minutes');
+    }
+    
+    const noteData = {
+        title,
+        content,
+        category: normalizeCategoryName(data.category) || DEFAULT_CATEGORY,
+        tags: normalizeTags(data.tags),
+        isPinned: data.isPinned === true,
+        locked: hasLock ? data.locked : undefined,
+        dueAt: isValidDateString(data.dueAt) ? new Date(data.dueAt).toISOString() : undefined,
+        reminderMinutes: hasReminder ? data.reminderMinutes : null,
+        doneAt: isValidDateString(data.doneAt) ? new Date(data.doneAt).toISOString() : undefined,
+        type: isChecklistData ? 'checklist' : undefined,
+        items,
+        hideCompleted: data.hideCompleted === true,
+        completedLast: data.completedLast === true,
+        createdAt: isValidDateString(data.createdAt) ? new Date(data.createdAt).toISOString() : undefined,
+        updatedAt: isValidDateString(data.updatedAt) ? new Date(data.updatedAt).toISOString() : undefined
+    };
+    
+    return { isValid: errors.length === 0, errors, noteData };
+}
+
+/**
+ * Get the key used to detect duplicate notes (same title and content)
+ * @param {Object} note - The note or note data
+ * @returns {string} - The duplicate detection key
+ */
+function getNoteDuplicateKey(note) {
+    // Locked notes compare by their encrypted content
+    return `${note.title.trim().toLowerCase()}\u0000${note.locked?.data ?? note.content.trim()}`;
+}
+
+/**
+ * Filter notes by search term, category and tags. Locked notes only match on their title and
+ * metadata: their stored content is empty.
+ * @param {Array} notes - The notes to filter
+ * @param {string} searchTerm - The search query (see parseSearchQuery)
+ * @param {string} category - The category to filter by
+ * @param {Array<string>} tags - The tags to filter by
+ * @param {string} tagMode - 'any' (OR) or 'all' (AND) for combining the tags
+ * @returns {Array} - The filtered notes
+ */
+function filterNotes(notes, searchTerm, category, tags = [], tagMode = 'any') {
+    const query = resolveSearchQuery(searchTerm);
+    
+    return notes.filter(note => {
+        const noteTags = note.tags || [];
+        
+        const matchesSearch = matchesSearchQuery(note, query);
+        
+        const matchesCategory = category === 'all' || 
+            note.category?.toLowerCase() === category.toLowerCase();
+        
+        const matchesTags = tags.length === 0 || (tagMode === 'all'
+            ? tags.every(tag => noteTags.includes(tag))
+            : tags.some(tag => noteTags.includes(tag)));
+        
+        return matchesSearch && matchesCategory && matchesTags;
+    });
+}
+
+/**
+ * Format a date string into a readable format
+ * @param {string} dateString - The date string to format
+ * @param {string} format - The format to use (relative, short, time, full)
+ * @returns {string} - The formatted date string
+ */
+function formatDateTime(dateString, format = 'relative') {
+    if (!dateString) return 'N/A';
+    
+    const date = new Date(dateString);
+    if (isNaN(date.getTime())) return 'Invalid date';
+    
+    const now = new Date();
+    const diffInSeconds = Math.floor((now - date) / 1000);
+    
+    // Relative time (e.g., "2 hours ago")
+    if (format === 'relative') {
+        if (diffInSeconds < 60) return 'Just now';
+        if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
+        if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
+        if (diffInSeconds < 604800) return `${Math.floor(diffInSeconds / 86400)}d ago`;
+    }
+    
+    // Short format (e.g., "Jan 1, 2023")
+    if (format === 'short') {
+        return date.toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+    
+    // Time format (e.g., "12:00 PM")
+    if (format === 'time') {
+        return date.toLocaleTimeString('en-US', {
+            hour: 'numeric',
+            minute: '2-digit'
+        });
+    }
+    
+    // Full format (e.g., "January 1, 2023, 12:00 PM")
+    return date.toLocaleString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+/**
+ * Format note content for display
+ * @param {string} content - The note content
+ * @returns {string} - The formatted HTML
+ */
+function formatNoteContent(content) {
+    if (!content) return '';
+    
+    return renderMarkdown(content);
+}
+
+/**
+ * Get a color for a category
+ * @param {string} category - The category name
+ * @returns {string} - The color in hex or hsl format
+ */
+function getCategoryColor(category) {
+    const userCategory = findCategory(category);
+    return userCategory ? userCategory.color : getGeneratedCategoryColor(category);
+}
+
+/**
+ * Pick a consistent color for a category name from a fixed palette
+ * @param {string} category - The category name
+ * @returns {string} - The color in hex format
+ */
+function getGeneratedCategoryColor(category) {
+    const colors = [
+        '#e3f2fd', '#e8f5e9', '#fff3e0', '#f3e5f5',
+        '#e0f7fa', '#fce4ec', '#f1f8e9', '#fffde7'
+    ];
+    
+    // Simple hash function to get a consistent color for each category
+    let hash = 0;
+    for (let i = 0; i < category.length; i++) {
+        hash = category.charCodeAt(i) + ((hash << 5) - hash);
+    }
+    
+    const index = Math.abs(hash) % colors.length;
+    return colors[index];
+}
+
+/**
+ * Set up form validation
+ * @param {HTMLElement} form - The form element
+ */
+function setupFormValidation(form) {
+    // Add validation classes on blur
+    const inputs = form.querySelectorAll('input[required], textarea[required]');
+    inputs.forEach(input => {
+        input.addEventListener('blur', () => {
+            validateInput(input);
+        });
+    });
+    
+    // Validate on submit
+    form.addEventListener('submit', (e) => {
+        let isValid = true;
+        inputs.forEach(input => {
+            if (!validateInput(input)) {
+                isValid = false;
+            }
+        });
+        
+        if (!isValid) {
+            e.preventDefault();
+            showError('Please fill in all required fields');
+        }
+    });
+}
+
+/**
+ * Validate a single form input
+ * @param {HTMLElement} input - The input element to validate
+ * @returns {boolean} - Whether the input is valid
+ */
+function validateInput(input) {
+    if (input.required && !input.value.trim()) {
+        input.classList.add('is-invalid');
+        return false;
+    }
+    
+    // Additional validation can be added here (e.g., min/max length, pattern, etc.)
+    
+    input.classList.remove('is-invalid');
+    return true;
+}
+
+// =============================================
+// Search Query
+// =============================================
+
+/*
+ * Search query syntax (case-insensitive):
+ *
+ *   word                 Title, content or tags contain the word
+ *   "exact phrase"       Title, content or tags contain the phrase
+ *   -word, -"phrase"     Exclude notes that match
+ *   title:word           Scope to one field: title, content, category, tag
+ *   pinned:true          Only pinned (or pinned:false, unpinned) notes
+ *   updated:>2026-01-01  Compare a date: created or updated, with >, >=, <,
+ *                        <= or nothing for "on"; YYYY, YYYY-MM or YYYY-MM-DD;
+ *                        ranges as updated:2026-01..2026-03
+ *   a b OR c             Terms are ANDed; OR separates alternatives
+ */
+
+/**
+ * Parse a search query into OR-groups of ANDed terms
+ * @param {string} query - The query typed by the user
+ * @returns {Object} - { groups, errors } where each group is an array of terms
+ */
+function parseSearchQuery(query) {
+    const groups = [[]];
+    const errors = [];
+    const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    
+    while ((match = tokenPattern.exec(query || '')) !== null) {
+        const [raw, minus, fieldName, phrase, word] = match;
+        const field = fieldName?.toLowerCase();
+        const negated = minus === '-';
+        
+        // "OR" on its own starts a new alternative
+        if (raw === 'OR') {
+            if (groups[groups.length - 1].length > 0) groups.push([]);
+            continue;
+        }
+        
+        // Unknown prefixes (e.g. "http:") are plain text
+        if (field && !SEARCH_FIELDS.includes(field)) {
+            const value = raw.slice(minus.length).replace(/"/g, '').toLowerCase();
+            groups[groups.length - 1].push({ field: null, value, negated });
+            continue;
+        }
+        
+        const value = (phrase ?? word).toLowerCase();
+        if (!value) continue;
+        
+        const term = parseSearchTerm(field || null, value, negated);
+        if (term.error) {
+            errors.push(term.error);
+        } else {
+            term.isPhrase = phrase !== undefined;
+            groups[groups.length - 1].push(term);
+        }
+    }
+    
+    return { groups: groups.filter(group => group.length > 0), errors };
+}
+
+/**
+ * Build a single search term, checking field-specific values
+ * @param {string|null} field - The field the term is scoped to
+ * @param {string} value - The lowercased value
+ * @param {boolean} negated - Whether matching notes are excluded
+ * @returns {Object} - The term, or { error } for an invalid value
+ */
+function parseSearchTerm(field, value, negated) {
+    if (field === 'pinned') {
+        if (!['true', 'false', 'yes', 'no'].includes(value)) {
+            return { error: `pinned: expects true or false, not "${value}"` };
+        }
+        return { field, value: value === 'true' || value === 'yes', negated };
+    }
+    
+    if (field === 'created' || field === 'updated') {
+        const datePattern = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+        const range = value.split('..');
+        if (range.length === 2 && range.every(part => datePattern.test(part))) {
+            return { field, from: range[0], to: range[1], negated };
+        }
+        
+        const [, operator, date] = value.match(/^(>=|<=|>|<|=)?(.*)$/);
+        if (!datePattern.test(date)) {
+            return { error: `${field}: expects a date like 2026-01-31, not "${value}"` };
+        }
+        return { field, operator: operator || '=', value: date, negated };
+    }
+    
+    return { field, value: field === 'tag' ? normalizeTag(value) : value, negated };
+}
+
+/**
+ * Check whether a note matches a parsed search query
+ * @param {Object} note - The note to check
+ * @param {Object} query - The result of parseSearchQuery
+ * @returns {boolean} - Whether the note matches
+ */
+function matchesSearchQuery(note, query) {
+    if (query.groups.length === 0) return true;
+    
+    return query.groups.some(group => group.every(term =>
+        matchesSearchTerm(note, term) !== term.negated
+    ));
+}
+
+/**
+ * Check whether a note matches a single (non-negated) search term
+ * @param {Object} note - The note to check
+ * @param {Object} term - The search term
+ * @returns {boolean} - Whether the note matches
+ */
+function matchesSearchTerm(note, term) {
+    const noteTags = note.tags || [];
+    
+    switch (term.field) {
+        case 'title':
+            return note.title.toLowerCase().includes(term.value);
+        case 'content':
+            return note.content.toLowerCase().includes(term.value);
+        case 'category':
+            return (note.category || '').toLowerCase().includes(term.value);
+        case 'tag':
+            return noteTags.some(tag => tag.includes(term.value));
+        case 'pinned':
+            return Boolean(note.isPinned) === term.value;
+        case 'created':
+        case 'updated':
+            return matchesDateTerm(note[term.field === 'created' ? 'createdAt' : 'updatedAt'], term);
+        default:
+            if (term.matches) return term.matches.has(note.id);
+            return note.title.toLowerCase().includes(term.value) ||
+                note.content.toLowerCase().includes(term.value) ||
+                noteTags.some(tag => tag.includes(term.value.replace(/^#/, '')));
+    }
+}
+
+/**
+ * Compare a note date with a date term, at the precision the term was given in
+ * @param {string} dateString - The note's ISO date
+ * @param {Object} term - The date term
+ * @returns {boolean} - Whether the date matches
+ */
+function matchesDateTerm(dateString, term) {
+    if (!isValidDateString(dateString)) return false;
+    
+    // Local calendar date, cut to the precision of the query (YYYY, YYYY-MM or YYYY-MM-DD)
+    const date = new Date(dateString);
+    const day = [
+        date.getFullYear(),
+        String(date.getMonth() + 1).padStart(2, '0'),
+        String(date.getDate()).padStart(2, '0')
+    ].join('-');
+    const at = (value) => day.slice(0, value.length);
+    
+    if (term.from) {
+        return at(term.from) >= term.from && at(term.to) <= term.to;
+    }
+    
+    switch (term.operator) {
+        case '>': return at(term.value) > term.value;
+        case '>=': return at(term.value) >= term.value;
+        case '<': return at(term.value) < term.value;
+        case '<=': return at(term.value) <= term.value;
+        default: return at(term.value) === term.value;
+    }
+}
+
+/**
+ * Get the words and phrases of a query worth highlighting in note text.
+ * Words resolved through the index highlight the indexed words they matched.
+ * @param {Object} query - The result of parseSearchQuery or resolveSearchQuery
+ * @returns {string[]} - The lowercased terms, longest first
+ */
+function getHighlightTerms(query) {
+    const terms = query.groups.flat()
+        .filter(term => !term.negated && [null, 'title', 'content'].includes(term.field))
+        .flatMap(term => term.matchedTokens || [term.value]);
+    
+    return [...new Set(terms)].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Wrap matches of the highlight terms in <mark>, touching only the text of an HTML string
+ * @param {string} html - Escaped text or rendered HTML
+ * @param {string[]} terms - The terms to highlight
+ * @returns {string} - The highlighted HTML
+ */
+function highlightHtml(html, terms) {
+    if (!terms || terms.length === 0) return html;
+    
+    // Match the escaped form of each term; entities are consumed whole so they never split
+    const alternatives = terms.map(term => escapeHtml(term).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = new RegExp(`(${alternatives.join('|')})|(&#?\\w+;)`, 'gi');
+    
+    return html.split(/(<[^>]*>)/).map(part => {
+        if (part.startsWith('<')) return part;
+        return part.replace(pattern, (match, term) => term ? `<mark class="search-highlight">${match}</mark>` : match);
+    }).join('');
+}
+
+// =============================================
+// Search Index
+// =============================================
+
+/*
+ * Plain search words are looked up in an inverted index instead of scanning
+ * every note. searchIndex.postings maps each token to the notes containing
+ * it, with per-field counts ({ title, content, tags }) used for ranking, and
+ * searchIndex.noteTokens remembers each note's tokens so it can be updated
+ * in place. A word matches a token exactly, as a prefix, or within
+ * getMaxTypos(word) edits.
+ */
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text - The text to tokenize
+ * @returns {Array<string>} - The tokens
+ */
+function tokenizeText(text) {
+    return (text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+/**
+ * Add a note to the search index, replacing any previous entry
+ * @param {Object} note - The note to index
+ */
+function indexNote(note) {
+    unindexNote(note.id);
+    
+    const counts = new Map();
+    const count = (tokens, field) => tokens.forEach(token => {
+        if (!counts.has(token)) counts.set(token, { title: 0, content: 0, tags: 0 });
+        counts.get(token)[field]++;
+    });
+    count(tokenizeText(note.title), 'title');
+    count(tokenizeText(note.content), 'content');
+    count(tokenizeText((note.tags || []).join(' ')), 'tags');
+    
+    counts.forEach((fieldCounts, token) => {
+        if (!searchIndex.postings.has(token)) searchIndex.postings.set(token, new Map());
+        searchIndex.postings.get(token).set(note.id, fieldCounts);
+    });
+    searchIndex.noteTokens.set(note.id, [...counts.keys()]);
+    searchIndex.version++;
+}
+
+/**
+ * Remove a note from the search index
+ * @param {string} noteId - The ID of the note
+ */
+function unindexNote(noteId) {
+    const tokens = searchIndex.noteTokens.get(noteId);
+    if (!tokens) return;
+    
+    tokens.forEach(token => {
+        const postings = searchIndex.postings.get(token);
+        postings.delete(noteId);
+        if (postings.size === 0) searchIndex.postings.delete(token);
+    });
+    searchIndex.noteTokens.delete(noteId);
+    searchIndex.version++;
+}
+
+/**
+ * Rebuild the search index from all notes
+ */
+function rebuildSearchIndex() {
+    searchIndex.postings.clear();
+    searchIndex.noteTokens.clear();
+    state.notes.forEach(indexNote);
+    searchIndex.version++;
+}
+
+/**
+ * Get the number of typos tolerated for a search word
+ * @param {string} word - The search word
+ * @returns {number} - The maximum edit distance
+ */
+function getMaxTypos(word) {
+    if (word.length >= 8) return 2;
+    if (word.length >= 4) return 1;
+    return 0;
+}
+
+/**
+ * Compute the edit distance between two words (insertions, deletions,
+ * substitutions and swaps of neighbouring letters), giving up early
+ * @param {string} a - The first word
+ * @param {string} b - The second word
+ * @param {number} max - The largest distance of interest
+ * @returns {number} - The distance, or max + 1 if it is larger than max
+ */
+function getEditDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            if (previousRow && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            nextRow.push(distance);
+            rowMin = Math.min(rowMin, distance);
+        }
+        
+        if (rowMin > max) return max + 1;
+        previousRow = row;
+        row = nextRow;
+    }
+    
+    return Math.min(row[b.length], max + 1);
+}
+
+/**
+ * Find the notes matching a single search word through the index
+ * @param {string} word - The lowercased search word
+ * @returns {Object} - { scores: Map of note ID to relevance, tokens: the indexed words that matched }
+ */
+function lookupSearchWord(word) {
+    const scores = new Map();
+    const tokens = [];
+    const maxTypos = getMaxTypos(word);
+    
+    searchIndex.postings.forEach((postings, token) => {
+        let weight = 0;
+        if (token === word) {
+            weight = 1;
+        } else if (word.length >= 2 && token.startsWith(word)) {
+            weight = SEARCH_MATCH_WEIGHTS.prefix;
+        } else if (maxTypos > 0) {
+            const distance = getEditDistance(word, token, maxTypos);
+            if (distance <= maxTypos) weight = SEARCH_MATCH_WEIGHTS.typo / distance;
+        }
+        if (weight === 0) return;
+        
+        tokens.push(token);
+        postings.forEach((counts, noteId) => {
+            const fieldScore = counts.title * SEARCH_FIELD_WEIGHTS.title +
+                counts.tags * SEARCH_FIELD_WEIGHTS.tags +
+                Math.log2(1 + counts.content) * SEARCH_FIELD_WEIGHTS.content;
+            scores.set(noteId, Math.max(scores.get(noteId) || 0, weight * fieldScore));
+        });
+    });
+    
+    return { scores, tokens };
+}
+
+/**
+ * Parse a search query and resolve its plain words through the index.
+ * The result is cached until the query or the index changes.
+ * @param {string} queryText - The query typed by the user
+ * @returns {Object} - The parsed query (see parseSearchQuery)
+ */
+function resolveSearchQuery(queryText) {
+    const cache = searchIndex.cache;
+    if (cache && cache.text === queryText && cache.version === searchIndex.version) {
+        return cache.query;
+    }
+    
+    const query = parseSearchQuery(queryText);
+    query.groups.flat().forEach(term => {
+        // Phrases, scoped terms and words with punctuation (e.g. "#tag", "&") keep substring matching
+        if (term.field !== null || term.isPhrase) return;
+        const tokens = tokenizeText(term.value);
+        if (tokens.length === 1 && tokens[0] === term.value) {
+            const { scores, tokens: matchedTokens } = lookupSearchWord(term.value);
+            term.matches = scores;
+            term.matchedTokens = matchedTokens;
+        }
+    });
+    
+    searchIndex.cache = { text: queryText, version: searchIndex.version, query };
+    return query;
+}
+
+/**
+ * Score how well a note matches a search query, favouring recent notes
+ * @param {Object} note - The note to score
+ * @param {Object} query - The resolved query
+ * @returns {number} - The relevance score (0 without positive search terms)
+ */
+function getNoteRelevance(note, query) {
+    let score = 0;
+    
+    query.groups.flat().forEach(term => {
+        if (term.negated) return;
+        
+        if (term.matches) {
+            score += term.matches.get(note.id) || 0;
+        } else if (typeof term.value === 'string' && [null, 'title', 'content'].includes(term.field)) {
+            if (note.title.toLowerCase().includes(term.value)) score += SEARCH_FIELD_WEIGHTS.title;
+            if (note.content.toLowerCase().includes(term.value)) score += SEARCH_FIELD_WEIGHTS.content;
+        }
+    });
+    
+    const ageInDays = (Date.now() - new Date(note.updatedAt || note.createdAt).getTime()) / 86400000;
+    const recencyBoost = 1 + SEARCH_RECENCY_BOOST * Math.exp(-Math.max(ageInDays, 0) / SEARCH_RECENCY_DAYS);
+    
+    return score * recencyBoost;
+}
+
+// =============================================
+// Markdown Rendering
+// =============================================
+
+// Block-level patterns (CommonMark with GFM tables and task lists)
+const MD_FENCE = /^( {0,3})(`{3,}|~{3,})(.*)$/;
+const MD_ATX_HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const MD_SETEXT_UNDERLINE = /^ {0,3}(=+|-+)[ \t]*$/;
+const MD_THEMATIC_BREAK = /^ {0,3}(?:(?:\*[ \t]*){3,}|(?:-[ \t]*){3,}|(?:_[ \t]*){3,})$/;
+const MD_BLOCKQUOTE = /^ {0,3}> ?/;
+const MD_LIST_ITEM = /^( {0,3})([-+*]|(\d{1,9})([.)]))( +|$)(.*)$/;
+const MD_TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const MD_TASK_MARKER = /^\[([ xX])\](?:[ \t]+|$)/;
+
+// Inline patterns
+const MD_ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+const MD_AUTOLINK = /^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/i;
+const MD_EMAIL_AUTOLINK = /^<([a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*)>/i;
+const MD_BARE_URL = /^https?:\/\/[^\s<]+/;
+const MD_PLAIN_TEXT = /[^\\`![<*_~\nh]+/y;
+
+// URL schemes that may appear in rendered links and images
+const SAFE_LINK_SCHEMES = ['http', 'https', 'mailto', 'tel'];
+const SAFE_IMAGE_SCHEMES = ['http', 'https'];
+
+/**
+ * Render Markdown source to safe HTML.
+ * Raw HTML in the source is never passed through: every piece of text is
+ * escaped with escapeHtml and only the renderer's own tags are emitted.
+ * @param {string} source - The Markdown source
+ * @returns {string} - The rendered HTML
+ */
+function renderMarkdown(source) {
+    if (!source) return '';
+    
+    const lines = source
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ')
+        .split('\n');
+    
+    return renderMarkdownBlocks(lines);
+}
+
+/**
+ * Render a sequence of lines as block-level Markdown
+ * @param {Array<string>} lines - The lines to render
+ * @param {boolean} tight - Whether paragraphs belong to a tight list item (no <p> wrapper)
+ * @returns {string} - The rendered HTML
+ */
+function renderMarkdownBlocks(lines, tight = false) {
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+        
+        if (isBlankLine(line)) {
+            i++;
+            continue;
+        }
+        
+        // Fenced code block
+        if ((match = matchCodeFence(line))) {
+            const { indent, fence, info } = match;
+            const body = [];
+            i++;
+            while (i < lines.length && !isClosingCodeFence(lines[i], fence)) {
+                body.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+                i++;
+            }
+            i++; // Skip the closing fence
+            
+            const language = info.split(/\s+/)[0];
+            const languageClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+            const code = body.length > 0 ? `${body.join('\n')}\n` : '';
+            html.push(`<pre><code${languageClass}>${escapeHtml(code)}</code></pre>`);
+            continue;
+        }
+        
+        // ATX heading
+        if ((match = line.match(MD_ATX_HEADING))) {
+            const level = match[1].length;
+            html.push(`<h${level}>${renderMarkdownInline((match[2] || '').trim())}</h${level}>`);
+            i++;
+            continue;
+        }
+        
+        // Thematic break
+        if (MD_THEMATIC_BREAK.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+        
+        // Blockquote (with lazy continuation lines)
+        if (MD_BLOCKQUOTE.test(line)) {
+            const quoted = [];
+            while (i < lines.length && !isBlankLine(lines[i]) &&
+                   (MD_BLOCKQUOTE.test(lines[i]) || !isMarkdownBlockStart(lines, i))) {
+                quoted.push(lines[i].replace(MD_BLOCKQUOTE, ''));
+                i++;
+            }
+            html.push(`<blockquote>\n${renderMarkdownBlocks(quoted)}\n</blockquote>`);
+            continue;
+        }
+        
+        // List
+        if (matchListItem(line)) {
+            const list = parseMarkdownList(lines, i);
+            html.push(list.html);
+            i = list.next;
+            continue;
+        }
+        
+        // Indented code block
+        if (/^ {4}/.test(line)) {
+            const body = [];
+            while (i < lines.length && (/^ {4}/.test(lines[i]) || isBlankLine(lines[i]))) {
+                body.push(lines[i].slice(4));
+                i++;
+            }
+            while (body.length > 0 && isBlankLine(body[body.length - 1])) body.pop();
+            html.push(`<pre><code>${escapeHtml(`${body.join('\n')}\n`)}</code></pre>`);
+            continue;
+        }
+        
+        // GFM table
+        if (isTableStart(lines, i)) {
+            const table = parseMarkdownTable(lines, i);
+            html.push(table.html);
+            i = table.next;
+            continue;
+        }
+        
+        // Paragraph, possibly turned into a setext heading
+        const paragraph = [line.trim()];
+        i++;
+        let setextLevel = 0;
+        while (i < lines.length && !isBlankLine(lines[i])) {
+            const underline = lines[i].match(MD_SETEXT_UNDERLINE);
+            if (underline) {
+                setextLevel = underline[1][0] === '=' ? 1 : 2;
+                i++;
+                break;
+            }
+            if (isMarkdownBlockStart(lines, i)) break;
+            paragraph.push(lines[i].trim());
+            i++;
+        }
+        
+        const inline = renderMarkdownInline(paragraph.join('\n'));
+        if (setextLevel) {
+            html.push(`<h${setextLevel}>${inline}</h${setextLevel}>`);
+        } else {
+            html.push(tight ? inline : `<p>${inline}</p>`);
+        }
+    }
+    
+    return html.join('\n');
+}
+
+/**
+ * Parse a list starting at the given line
+ * @param {Array<string>} lines - All lines of the current block
+ * @param {number} start - Index of the first list item line
+ * @returns {Object} - { html, next } where next is the index after the list
+ */
+function parseMarkdownList(lines, start) {
+    const first = matchListItem(lines[start]);
+    const items = [];
+    let isLoose = false;
+    let i = start;
+    
+    while (i < lines.length) {
+        const item = matchListItem(lines[i]);
+        if (!item || item.ordered !== first.ordered || item.delimiter !== first.delimiter) break;
+        
+        const itemLines = [item.content];
+        i++;
+        
+        while (i < lines.length) {
+            const line = lines[i];
+            const previousBlank = isBlankLine(itemLines[itemLines.length - 1]);
+            
+            if (isBlankLine(line)) {
+                itemLines.push('');
+            } else if (getIndentWidth(line) >= item.contentIndent) {
+                itemLines.push(line.slice(item.contentIndent));
+            } else if (!previousBlank && !matchListItem(line) && !isMarkdownBlockStart(lines, i)) {
+                // Lazy continuation of the item's paragraph
+                itemLines.push(line.trim());
+            } else {
+                break;
+            }
+            i++;
+        }
+        
+        let endsWithBlank = false;
+        while (itemLines.length > 1 && isBlankLine(itemLines[itemLines.length - 1])) {
+            itemLines.pop();
+            endsWithBlank = true;
+        }
+        
+        if (itemLines.some(isBlankLine) || (endsWithBlank && i < lines.length && matchListItem(lines[i]))) {
+            isLoose = true;
+        }
+        
+        items.push(itemLines);
+    }
+    
+    const itemsHTML = items.map(itemLines => {
+        const task = itemLines[0].match(MD_TASK_MARKER);
+        if (task) {
+            const checked = task[1] !== ' ';
+            itemLines[0] = itemLines[0].slice(task[0].length);
+            const checkbox = `<input type="checkbox" disabled${checked ? ' checked' : ''}> `;
+            return `<li class="task-list-item">${checkbox}${renderMarkdownBlocks(itemLines, !isLoose)}</li>`;
+        }
+        return `<li>${renderMarkdownBlocks(itemLines, !isLoose)}</li>`;
+    }).join('\n');
+    
+    let html;
+    if (first.ordered) {
+        const startAttr = first.number !== 1 ? ` start="${first.number}"` : '';
+        html = `<ol${startAttr}>\n${itemsHTML}\n</ol>`;
+    } else {
+        html = `<ul>\n${itemsHTML}\n</ul>`;
+    }
+    
+    return { html, next: i };
+}
+
+/**
+ * Parse a GFM table starting at the given line
+ * @param {Array<string>} lines - All lines of the current block
+ * @param {number} start - Index of the header row
+ * @returns {Object} - { html, next } where next is the index after the table
+ */
+function parseMarkdownTable(lines, start) {
+    const headers = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+        const left = cell.startsWith(':');
+        const right = cell.endsWith(':');
+        if (left && right) return 'center';
+        if (right) return 'right';
+        if (left) return 'left';
+        return '';
+    });
+    
+    const renderCell = (tag, text, column) => {
+        const align = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+        return `<${tag}${align}>${renderMarkdownInline(text)}</${tag}>`;
+    };
+    
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && !isBlankLine(lines[i]) && !isMarkdownBlockStart(lines, i)) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(`<tr>${headers.map((_, column) => renderCell('td', cells[column] || '', column)).join('')}</tr>`);
+        i++;
+    }
+    
+    const head = `<thead>\n<tr>${headers.map((text, column) => renderCell('th', text, column)).join('')}</tr>\n</thead>`;
+    const body = rows.length > 0 ? `\n<tbody>\n${rows.join('\n')}\n</tbody>` : '';
+    
+    return { html: `<table>\n${head}${body}\n</table>`, next: i };
+}
+
+/**
+ * Split a table row into trimmed cells, honouring escaped pipes
+ * @param {string} line - The table row
+ * @returns {Array<string>} - The cell contents
+ */
+function splitTableRow(line) {
+    const row = line.trim().replace(/^\|/, '').replace(/(^|[^\\])\|$/, '$1');
+    const cells = [];
+    let current = '';
+    
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    cells.push(current.trim());
+    
+    return cells;
+}
+
+/**
+ * Check whether a table (header row followed by a delimiter row) starts at a line
+ * @param {Array<string>} lines - All lines of the current block
+ * @param {number} index - Index of the candidate header row
+ * @returns {boolean} - Whether a table starts here
+ */
+function isTableStart(lines, index) {
+    const header = lines[index];
+    const delimiter = lines[index + 1];
+    if (!header?.includes('|') || delimiter === undefined || !MD_TABLE_DELIMITER.test(delimiter)) {
+        return false;
+    }
+    return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ * @param {Array<string>} lines - All lines of the current block
+ * @param {number} index - Index of the line to check
+ * @returns {boolean} - Whether the line starts a new block
+ */
+function isMarkdownBlockStart(lines, index) {
+    const line = lines[index];
+    const listItem = matchListItem(line);
+    
+    return Boolean(
+        matchCodeFence(line) ||
+        MD_ATX_HEADING.test(line) ||
+        MD_THEMATIC_BREAK.test(line) ||
+        MD_BLOCKQUOTE.test(line) ||
+        // Only bullets and lists starting at 1 may interrupt a paragraph
+        (listItem && listItem.content !== '' && (!listItem.ordered || listItem.number === 1)) ||
+        isTableStart(lines, index)
+    );
+}
+
+/**
+ * Match an opening code fence
+ * @param {string} line - The line to check
+ * @returns {Object|null} - { indent, fence, info } or null
+ */
+function matchCodeFence(line) {
+    const match = line.match(MD_FENCE);
+    if (!match) return null;
+    
+    const [, indent, fence, info] = match;
+    // Backtick fences cannot have backticks in their info string
+    if (fence[0] === '`' && info.includes('`')) return null;
+    
+    return { indent: indent.length, fence, info: info.trim() };
+}
+
+/**
+ * Check whether a line closes the given code fence
+ * @param {string} line - The line to check
+ * @param {string} fence - The opening fence
+ * @returns {boolean} - Whether the line closes the fence
+ */
+function isClosingCodeFence(line, fence) {
+    const match = line.match(/^ {0,3}(`{3,}|~{3,})[ \t]*$/);
+    return Boolean(match && match[1][0] === fence[0] && match[1].length >= fence.length);
+}
+
+/**
+ * Match a list item marker
+ * @param {string} line - The line to check
+ * @returns {Object|null} - The list item details or null
+ */
+function matchListItem(line) {
+    const match = line.match(MD_LIST_ITEM);
+    if (!match) return null;
+    
+    const [, indent, marker, number, orderedDelimiter, spacing, content] = match;
+    // Five or more spaces after the marker start indented code, so only one counts
+    const padding = spacing.length === 0 || spacing.length > 4 ? 1 : spacing.length;
+    
+    return {
+        ordered: number !== undefined,
+        number: number !== undefined ? parseInt(number, 10) : null,
+        delimiter: orderedDelimiter || marker,
+        contentIndent: indent.length + marker.length + padding,
+        content: spacing.length > 4 ? `${' '.repeat(spacing.length - 1)}${content}` : content
+    };
+}
+
+/**
+ * Render inline Markdown (code spans, emphasis, links, images and line breaks)
+ * @param {string} text - The inline source text
+ * @param {boolean} inLink - Whether the text is already inside a link
+ * @returns {string} - The rendered HTML
+ */
+function renderMarkdownInline(text, inLink = false) {
+    let html = '';
+    let i = 0;
+    let delimiters = null;
+    
+    while (i < text.length) {
+        const char = text[i];
+        
+        // Plain text runs are escaped in one go
+        MD_PLAIN_TEXT.lastIndex = i;
+        const plain = MD_PLAIN_TEXT.exec(text);
+        if (plain) {
+            html += escapeHtml(plain[0]);
+            i += plain[0].length;
+            continue;
+        }
+        
+        // Backslash escapes and hard line breaks
+        if (char === '\\') {
+            const next = text[i + 1];
+            if (next === '\n') {
+                html += '<br>\n';
+                i += 2;
+                continue;
+            }
+            if (next && MD_ESCAPABLE.test(next)) {
+                html += escapeHtml(next);
+                i += 2;
+                continue;
+            }
+        }
+        
+        // Code spans
+        if (char === '`') {
+            const span = matchCodeSpan(text, i);
+            if (span) {
+                html += `<code>${escapeHtml(span.code)}</code>`;
+                i = span.end;
+            } else {
+                const run = text.slice(i).match(/^`+/)[0];
+                html += run;
+                i += run.length;
+            }
+            continue;
+        }
+        
+        // Images
+        if (char === '!' && text[i + 1] === '[') {
+            const image = matchInlineLink(text, i + 1);
+            const src = image && sanitizeUrl(image.href, SAFE_IMAGE_SCHEMES);
+            if (src) {
+                const title = image.title ? ` title="${escapeHtml(image.title)}"` : '';
+                html += `<img src="${escapeHtml(src)}" alt="${escapeHtml(stripMarkdownInline(image.label))}"${title} loading="lazy">`;
+                i = image.end;
+                continue;
+            }
+        }
+        
+        // Links
+        if (char === '[' && !inLink) {
+            const link = matchInlineLink(text, i);
+            if (link) {
+                const label = renderMarkdownInline(link.label, true);
+                const href = sanitizeUrl(link.href, SAFE_LINK_SCHEMES);
+                html += href ? renderLink(href, label, link.title) : label;
+                i = link.end;
+                continue;
+            }
+        }
+        
+        // Autolinks: <https://...> and <user@example.com>
+        if (char === '<' && !inLink) {
+            const rest = text.slice(i);
+            const autolink = rest.match(MD_AUTOLINK);
+            const href = autolink && sanitizeUrl(autolink[1], SAFE_LINK_SCHEMES);
+            if (href) {
+                html += renderLink(href, escapeHtml(autolink[1]));
+                i += autolink[0].length;
+                continue;
+            }
+            const email = rest.match(MD_EMAIL_AUTOLINK);
+            if (email) {
+                html += renderLink(`mailto:${email[1]}`, escapeHtml(email[1]));
+                i += email[0].length;
+                continue;
+            }
+        }
+        
+        // Bare URLs (GFM autolink extension)
+        if (char === 'h' && !inLink && !/[a-z0-9]/i.test(text[i - 1] || '')) {
+            const bare = text.slice(i).match(MD_BARE_URL);
+            if (bare) {
+                const url = trimBareUrl(bare[0]);
+                html += renderLink(url, escapeHtml(url));
+                i += url.length;
+                continue;
+            }
+        }
+        
+        // Emphasis, strong emphasis and strikethrough
+        if (char === '*' || char === '_' || char === '~') {
+            delimiters = delimiters || scanDelimiterRuns(text);
+            const emphasis = matchEmphasis(text, i, inLink, delimiters);
+            if (emphasis) {
+                html += emphasis.html;
+                i = emphasis.end;
+                continue;
+            }
+            // Not an opener: emit the whole delimiter run literally
+            const runLength = getDelimiterRunLength(text, i);
+            html += escapeHtml(text.substr(i, runLength));
+            i += runLength;
+            continue;
+        }
+        
+        // Soft line breaks are kept visible, as notes are written line by line
+        if (char === '\n') {
+            html += '<br>\n';
+            i++;
+            continue;
+        }
+        
+        html += escapeHtml(char);
+        i++;
+    }
+    
+    return html;
+}
+
+/**
+ * Match a code span starting at the given backtick run
+ * @param {string} text - The inline source text
+ * @param {number} start - Index of the opening backtick
+ * @returns {Object|null} - { code, end } or null if the span is not closed
+ */
+function matchCodeSpan(text, start) {
+    const opener = text.slice(start).match(/^`+/)[0];
+    let search = start + opener.length;
+    
+    while (search < text.length) {
+        const close = text.indexOf(opener, search);
+        if (close === -1) return null;
+        
+        // The closing run must be exactly as long as the opening one
+        const closingRun = text.slice(close).match(/^`+/)[0];
+        if (closingRun.length === opener.length) {
+            let code = text.slice(start + opener.length, close).replace(/\n/g, ' ');
+            if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+            return { code, end: close + opener.length };
+        }
+        search = close + closingRun.length;
+    }
+    
+    return null;
+}
+
+/**
+ * Match an inline link of the form [label](destination "title")
+ * @param {string} text - The inline source text
+ * @param {number} start - Index of the opening bracket
+ * @returns {Object|null} - { label, href, title, end } or null
+ */
+function matchInlineLink(text, start) {
+    // Find the matching closing bracket, skipping escapes and code spans
+    let depth = 0;
+    let labelEnd = -1;
+    for (let i = start; i < text.length; i++) {
+        const char = text[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '`') {
+            const span = matchCodeSpan(text, i);
+            if (span) i = span.end - 1;
+        } else if (char === '[') {
+            depth++;
+        } else if (char === ']' && --depth === 0) {
+            labelEnd = i;
+            break;
+        }
+    }
+    if (labelEnd === -1 || text[labelEnd + 1] !== '(') return null;
+    
+    const rest = text.slice(labelEnd + 2);
+    const destination = rest.match(/^[ \t\n]*(?:<([^<>\n]*)>|((?:[^\s()\\]|\\.|\((?:[^\s()\\]|\\.)*\))*))/);
+    if (!destination) return null;
+    
+    let offset = destination[0].length;
+    const titleMatch = rest.slice(offset).match(/^[ \t\n]+(?:"((?:[^"\\]|\\.)*)"|'((?:[^'\\]|\\.)*)'|\(((?:[^()\\]|\\.)*)\))/);
+    if (titleMatch) offset += titleMatch[0].length;
+    
+    const closing = rest.slice(offset).match(/^[ \t\n]*\)/);
+    if (!closing) return null;
+    offset += closing[0].length;
+    
+    const unescape = value => (value || '').replace(/\\([!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~])/g, '$1');
+    
+    return {
+        label: text.slice(start + 1, labelEnd),
+        href: unescape(destination[1] !== undefined ? destination[1] : destination[2]),
+        title: titleMatch ? unescape(titleMatch[1] ?? titleMatch[2] ?? titleMatch[3]) : '',
+        end: labelEnd + 2 + offset
+    };
+}
+
+/**
+ * Match emphasis (*, _), strong emphasis (**, __) or strikethrough (~~)
+ * @param {string} text - The inline source text
+ * @param {number} start - Index of the delimiter run
+ * @param {boolean} inLink - Whether the text is inside a link
+ * @param {Object} delimiters - The delimiter runs of the text, from scanDelimiterRuns
+ * @returns {Object|null} - { html, end } or null if the run does not open emphasis
+ */
+function matchEmphasis(text, start, inLink, delimiters) {
+    const char = text[start];
+    const run = text.substr(start, getDelimiterRunLength(text, start));
+    const after = text[start + run.length];
+    const before = text[start - 1];
+    
+    // Openers must be followed by non-whitespace; "_" may not open inside a word
+    if (!after || /\s/.test(after)) return null;
+    if (char === '_' && before && /[a-z0-9]/i.test(before)) return null;
+    
+    let lengths;
+    if (char === '~') {
+        if (run.length !== 2) return null;
+        lengths = [2];
+    } else {
+        lengths = run.length >= 3 ? [3, 2, 1] : run.length === 2 ? [2, 1] : [1];
+    }
+    
+    for (const length of lengths) {
+        // The innermost delimiters of the run open the emphasis; the rest stay literal
+        const contentStart = start + run.length;
+        const close = findEmphasisCloser(text, delimiters, contentStart, char, length);
+        if (close === -1) continue;
+        
+        const inner = renderMarkdownInline(text.slice(contentStart, close), inLink);
+        let html;
+        if (char === '~') {
+            html = `<del>${inner}</del>`;
+        } else if (length === 3) {
+            html = `<em><strong>${inner}</strong></em>`;
+        } else if (length === 2) {
+            html = `<strong>${inner}</strong>`;
+        } else {
+            html = `<em>${inner}</em>`;
+        }
+        
+        return { html: escapeHtml(run.slice(length)) + html, end: close + length };
+    }
+    
+    return null;
+}
+
+/**
+ * Count the repeated characters of the delimiter run starting at an index
+ * @param {string} text - The inline source text
+ * @param {number} start - Index of the first delimiter
+ * @returns {number} - The length of the run
+ */
+function getDelimiterRunLength(text, start) {
+    let end = start + 1;
+    while (text[end] === text[start]) end++;
+    return end - start;
+}
+
+/**
+ * Collect the emphasis delimiter runs of a text once, skipping escapes and
+ * code spans, so unmatched openers do not rescan the rest of the text
+ * @param {string} text - The inline source text
+ * @returns {Object} - { runs, misses } where runs are { index, char, length }
+ *                     and misses remembers searches that found no closer
+ */
+function scanDelimiterRuns(text) {
+    const runs = [];
+    let i = 0;
+    
+    while (i < text.length) {
+        const current = text[i];
+        
+        if (current === '\\') {
+            i += 2;
+            continue;
+        }
+        
+        if (current === '`') {
+            const span = matchCodeSpan(text, i);
+            i = span ? span.end : i + 1;
+            continue;
+        }
+        
+        if (current === '*' || current === '_' || current === '~') {
+            const length = getDelimiterRunLength(text, i);
+            runs.push({ index: i, char: current, length });
+            i += length;
+            continue;
+        }
+        
+        i++;
+    }
+    
+    return { runs, misses: {} };
+}
+
+/**
+ * Find the closing delimiter run for emphasis
+ * @param {string} text - The inline source text
+ * @param {Object} delimiters - The delimiter runs of the text, from scanDelimiterRuns
+ * @param {number} from - Index where the emphasized content starts
+ * @param {string} char - The delimiter character
+ * @param {number} length - The length of the closing run to find
+ * @returns {number} - Index of the closing run, or -1
+ */
+function findEmphasisCloser(text, delimiters, from, char, length) {
+    const { runs, misses } = delimiters;
+    const key = char + length;
+    
+    // A search that failed from an earlier index fails from any later one too
+    if (misses[key] !== undefined && from >= misses[key]) return -1;
     
-    // Set up category filter buttons
-    document.querySelectorAll('.category-filter').forEach(button => {
-        button.addEventListener('click', () => {
-            const category = button.dataset.category;
-            state.currentCategory = category === 'all' ? 'all' : category;
-            showNotesList();
-        });
-    });
+    // Binary search for the first run at or after the content start
+    let low = 0;
+    let high = runs.length;
+    while (low < high) {
+        const mid = (low + high) >> 1;
+        if (runs[mid].index < from) low = mid + 1;
+        else high = mid;
+    }
     
-    updateLiveMessage('Notes list loaded');
+    for (let r = low; r < runs.length; r++) {
+        const run = runs[r];
+        if (run.char !== char) continue;
+        
+        const i = run.index;
+        const before = text[i - 1];
+        const after = text[i + run.length];
+        const rightFlanking = i > from && !/\s/.test(before);
+        const intraword = char === '_' && after && /[a-z0-9]/i.test(after);
+        
+        if (run.length === length && rightFlanking && !intraword) {
+            return i;
+        }
+        // A longer run that cannot open anything closes with its last delimiters
+        const leftFlanking = after !== undefined && !/[\s!-/:-@[-`{-~]/.test(after);
+        if (run.length > length && rightFlanking && !leftFlanking && !intraword) {
+            return i + run.length - length;
+        }
+    }
+    
+    misses[key] = from;
+    return -1;
 }
 
 /**
- * Create HTML for a single note card
- * @param {Object} note - The note object
- * @returns {string} - HTML string for the note card
+ * Render an anchor element for a sanitized URL
+ * @param {string} href - The sanitized URL
+ * @param {string} labelHTML - The already rendered link label
+ * @param {string} title - Optional link title
+ * @returns {string} - The anchor HTML
  */
-function createNoteCard(note) {
-    if (!note) return '';
+function renderLink(href, labelHTML, title = '') {
+    const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+    const external = /^https?:/i.test(href) ? ' target="_blank" rel="noopener noreferrer"' : '';
+    return `<a href="${escapeHtml(href)}"${titleAttr}${external}>${labelHTML}</a>`;
+}
+
+/**
+ * Return a URL if its scheme is allowed, or null if it is unsafe
+ * @param {string} url - The URL from the Markdown source
+ * @param {Array<string>} allowedSchemes - The allowed URL schemes
+ * @returns {string|null} - The URL or null
+ */
+function sanitizeUrl(url, allowedSchemes) {
+    // Control characters and whitespace can hide a scheme ("java\nscript:")
+    const cleaned = (url || '').replace(/[\u0000-\u001F\u007F]+/g, '').trim();
+    if (!cleaned) return null;
     
-    const formattedDate = formatDateTime(note.updatedAt || note.createdAt);
-    const isPinned = note.isPinned ? 'pinned' : '';
+    const scheme = cleaned.replace(/\s+/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+    if (scheme && !allowedSchemes.includes(scheme[1].toLowerCase())) {
+        return null;
+    }
     
-    return `
-        <div class="note-card ${isPinned}" id="note-${note.id}">
-            <div class="note-header">
-                <h3 class="note-title">${escapeHtml(note.title)}</h3>
-                <button class="pin-button" 
-                        aria-label="${note.isPinned ? 'Unpin note' : 'Pin note'}"
-                        data-note-id="${note.id}">
-                    ${note.isPinned ? '📌' : '📍'}
-                </button>
-            </div>
-            
-            <div class="note-content">
-                ${formatNoteContent(note.content)}
-            </div>
-            
-            <div class="note-footer">
-                <div class="note-meta">
-                    <span class="note-date" title="${formatDateTime(note.createdAt, 'full')}">
-                        ${formattedDate}
-                    </span>
-                    ${note.category ? `
-                        <span class="note-category" 
-                              style="background-color: ${getCategoryColor(note.category)}">
-                            ${note.category}
-                        </span>
-                    ` : ''}
-                </div>
-                
-                <div class="note-actions">
-                    <button class="btn btn-sm btn-outline edit-note" 
-                            data-note-id="${note.id}"
-                            aria-label="Edit note">
-                        ✏️
-                    </button>
-                    <button class="btn btn-sm btn-outline delete-note" 
-                            data-note-id="${note.id}"
-                            aria-label="Delete note">
-                        🗑️
-                    </button>
-                </div>
-            </div>
-        </div>
-    `;
+    return cleaned.replace(/\s/g, '%20');
+}
+
+/**
+ * Remove trailing punctuation that is unlikely to belong to a bare URL
+ * @param {string} url - The matched URL
+ * @returns {string} - The trimmed URL
+ */
+function trimBareUrl(url) {
+    let trimmed = url.replace(/[?!.,:*_~'"]+$/, '');
+    // Drop unbalanced closing parentheses, e.g. "(see https://example.com)"
+    while (trimmed.endsWith(')') &&
+           (trimmed.match(/\)/g) || []).length > (trimmed.match(/\(/g) || []).length) {
+        trimmed = trimmed.slice(0, -1);
+    }
+    return trimmed;
+}
+
+/**
+ * Reduce inline Markdown to plain text (used for image alt text)
+ * @param {string} text - The inline source text
+ * @returns {string} - The plain text
+ */
+function stripMarkdownInline(text) {
+    return text
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/[*_~`]/g, '')
+        .replace(/\\(.)/g, '$1');
+}
+
+/**
+ * Check whether a line contains only whitespace
+ * @param {string} line - The line to check
+ * @returns {boolean} - Whether the line is blank
+ */
+function isBlankLine(line) {
+    return line === undefined || line.trim() === '';
+}
+
+/**
+ * Count the leading spaces of a line
+ * @param {string} line - The line to measure
+ * @returns {number} - The number of leading spaces
+ */
+function getIndentWidth(line) {
+    return line.match(/^ */)[0].length;
 }
 
 // =============================================
-// Event Handlers
+// Theme Management
 // =============================================
 
 /**
- * Handle note form submission
- * @param {Event} e - The form submit event
+ * Initialize the theme based on user preference or system settings
  */
-function handleNoteSubmit(e) {
-    e.preventDefault();
-    
-    const form = e.target;
-    const noteId = form.querySelector('#noteId').value;
-    const title = form.querySelector('#noteTitle').value.trim();
-    const content = form.querySelector('#noteContent').value.trim();
-    const category = form.querySelector('#noteCategory').value || DEFAULT_CATEGORY;
+function initTheme() {
+    const savedTheme = localStorage.getItem(THEME_STORAGE_KEY);
+    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
     
-    // Client-side validation
-    if (!title || !content) {
-        showError('Please fill in all required fields');
-        return;
+    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
+        setTheme('dark');
+    } else {
+        setTheme('light');
     }
+}
+
+/**
+ * Set the theme
+ * @param {string} theme - The theme to set ('light' or 'dark')
+ */
+function setTheme(theme) {
+    state.isDarkMode = theme === 'dark';
+    document.documentElement.setAttribute('data-theme', theme);
+    localStorage.setItem(THEME_STORAGE_KEY, theme);
+    updateThemeButton();
+}
+
+/**
+ * Toggle between light and dark themes
+ */
+function toggleTheme() {
+    const newTheme = state.isDarkMode ? 'light' : 'dark';
+    setTheme(newTheme);
+    showInfo(`Switched to ${newTheme} mode`);
+}
+
+/**
+ * Update the theme toggle button
+ */
+function updateThemeButton() {
+    if (!elements.themeToggle) return;
     
-    if (noteId) {
-        // Update existing note
-        const success = updateNote(noteId, { title, content, category });
-        if (success) {
-            showSuccess('Note updated successfully!');
-            navigateTo('view');
-        }
-    } else {
-        // Create new note
-        const success = createNote({ title, content, category });
-        if (success) {
-            showSuccess('Note created successfully!');
-            navigateTo('view');
+    elements.themeToggle.innerHTML = state.isDarkMode ? '🌞' : '🌙';
+    elements.themeToggle.setAttribute('aria-label', 
+        state.isDarkMode ? 'Switch to light mode' : 'Switch to dark mode');
+}
+
+// =============================================
+// Keyboard Shortcuts
+// =============================================
+
+/**
+ * Register the app's commands and start listening for their shortcuts
+ */
+function initShortcuts() {
+    [
+        { id: 'command-palette', label: 'Open command palette', defaultKey: 'Ctrl+K', allowInInputs: true, run: showCommandPalette },
+        { id: 'show-shortcuts', label: 'Show keyboard shortcuts', defaultKey: '?', run: showShortcutHelp },
+        { id: 'new-note', label: 'New note', defaultKey: 'N', run: () => navigateTo('create') },
+        { id: 'focus-search', label: 'Focus search', defaultKey: '/', run: () => elements.searchInput?.focus() },
+        {
+            id: 'save-note',
+            label: 'Save note',
+            defaultKey: 'Ctrl+S',
+            allowInInputs: true,
+            isAvailable: () => !!document.getElementById('noteForm'),
+            run: () => document.getElementById('noteForm').requestSubmit()
+        },
+        {
+            id: 'next-note',
+            label: 'Focus next note',
+            defaultKey: 'J',
+            isAvailable: () => state.currentView === 'view' || state.currentView === 'note',
+            run: () => focusAdjacentNote(1)
+        },
+        {
+            id: 'previous-note',
+            label: 'Focus previous note',
+            defaultKey: 'K',
+            isAvailable: () => state.currentView === 'view' || state.currentView === 'note',
+            run: () => focusAdjacentNote(-1)
+        },
+        {
+            id: 'open-note',
+            label: 'Open focused note',
+            defaultKey: 'Enter',
+            isAvailable: () => !!document.activeElement?.matches('.note-card'),
+            run: () => navigateTo('note', { noteId: getFocusedNoteId() })
+        },
+        {
+            id: 'pin-note',
+            label: 'Pin or unpin focused note',
+            defaultKey: 'P',
+            isAvailable: () => !!getFocusedNoteId(),
+            run: async () => {
+                const noteId = getFocusedNoteId();
+                await togglePinNote(noteId);
+                focusNoteCard(noteId);
+            }
+        },
+        {
+            id: 'edit-note',
+            label: 'Edit focused note',
+            defaultKey: 'E',
+            isAvailable: () => !!getFocusedNoteId(),
+            run: () => navigateTo('create', { noteId: getFocusedNoteId() })
+        },
+        {
+            id: 'delete-note',
+            label: 'Delete focused note',
+            defaultKey: 'Delete',
+            isAvailable: () => !!getFocusedNoteId(),
+            run: deleteFocusedNote
+        },
+        {
+            id: 'undo',
+            label: 'Undo last change',
+            defaultKey: 'Ctrl+Z',
+            isAvailable: () => !!getLastUndoNotification(),
+            run: () => runNotificationAction(getLastUndoNotification().id)
+        },
+        { id: 'show-notifications', label: 'Show notifications', run: showNotificationHistory },
+        { id: 'vault-settings', label: 'Encryption settings', run: showVaultSettings },
+        { id: 'lock-notes', label: 'Lock notes', isAvailable: isVaultEnabled, run: lockVault },
+        { id: 'toggle-theme', label: 'Toggle dark mode', defaultKey: 'Ctrl+Alt+T', allowInInputs: true, run: toggleTheme },
+        { id: 'view-notes', label: 'Go to notes', run: () => navigateTo('view') },
+        { id: 'manage-categories', label: 'Go to categories', run: () => navigateTo('categories') },
+        { id: 'open-trash', label: 'Go to trash', run: () => navigateTo('trash') },
+        { id: 'export-notes', label: 'Export notes', run: handleExportNotes },
+        { id: 'import-notes', label: 'Import notes', run: () => elements.importNotesBtn?.click() },
+        { id: 'clear-search', label: 'Clear search and filters', isAvailable: () => state.currentView === 'view', run: clearSearch },
+        {
+            id: 'toggle-selection',
+            label: 'Select multiple notes',
+            isAvailable: () => state.currentView === 'view' && state.notes.length > 0,
+            run: () => setSelectionMode(!state.selectionMode)
+        },
+        {
+            id: 'print-list',
+            label: 'Print notes list',
+            isAvailable: () => state.currentView === 'view' && state.notes.length > 0,
+            run: () => printNotes(getListedNotes(), 'Notes')
         }
-    }
+    ].forEach(registerCommand);
+    
+    loadShortcuts();
+    document.addEventListener('keydown', handleShortcutKeydown);
 }
 
 /**
- * Handle search input
- * @param {Event} e - The input event
+ * Add a command to the registry
+ * @param {Object} command - The command: id, label, run and optionally defaultKey, allowInInputs, isAvailable
  */
-function handleSearch(e) {
-    state.currentSearchTerm = e.target.value.trim().toLowerCase();
-    showNotesList();
+function registerCommand(command) {
+    commands.set(command.id, {
+        defaultKey: '',
+        allowInInputs: false,
+        isAvailable: () => true,
+        ...command
+    });
 }
 
 /**
- * Clear the current search
+ * Load the key bindings, applying the user's changes on top of the defaults
+ * @returns {Object} - The key of each command ID ('' when unbound)
  */
-function clearSearch() {
-    state.currentSearchTerm = '';
-    state.currentCategory = 'all';
-    elements.searchInput.value = '';
-    showNotesList();
+function loadShortcuts() {
+    let customKeys = {};
+    try {
+        const savedShortcuts = localStorage.getItem(SHORTCUTS_STORAGE_KEY);
+        customKeys = savedShortcuts ? JSON.parse(savedShortcuts) : {};
+    } catch (error) {
+        console.error('Error loading shortcuts:', error);
+    }
+    
+    state.shortcuts = {};
+    commands.forEach((command, id) => {
+        state.shortcuts[id] = typeof customKeys[id] === 'string' ? customKeys[id] : command.defaultKey;
+    });
+    return state.shortcuts;
 }
 
 /**
- * Handle export notes
+ * Save the key bindings that differ from the defaults to localStorage
+ * @returns {boolean} - Success status
  */
-function handleExportNotes() {
+function saveShortcuts() {
     try {
-        if (state.notes.length === 0) {
-            showInfo('No notes to export');
-            return;
-        }
-        
-        const exportData = {
-            exportedAt: new Date().toISOString(),
-            totalNotes: state.notes.length,
-            notes: state.notes.map(note => ({
-                title: note.title,
-                content: note.content,
-                category: note.category,
-                isPinned: note.isPinned,
-                createdAt: note.createdAt,
-                updatedAt: note.updatedAt
-            }))
-        };
-        
-        const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        
-        a.href = url;
-        a.download = `notes-export-${timestamp}.json`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
-        
-        showSuccess(`Exported ${state.notes.length} notes successfully`);
+        const customKeys = {};
+        commands.forEach((command, id) => {
+            if (state.shortcuts[id] !== command.defaultKey) customKeys[id] = state.shortcuts[id];
+        });
+        localStorage.setItem(SHORTCUTS_STORAGE_KEY, JSON.stringify(customKeys));
+        return true;
     } catch (error) {
-        console.error('Export error:', error);
-        showError('Failed to export notes');
+        console.error('Error saving shortcuts:', error);
+        showError('Failed to save keyboard shortcuts');
+        return false;
     }
 }
 
-// =============================================
-// Helper Functions
-// =============================================
+/**
+ * Bind a key to a command, taking it away from any command that had it
+ * @param {string} commandId - The command to bind
+ * @param {string} key - The key combination, or '' to unbind the command
+ * @returns {string|null} - The label of the command that lost the key, if any
+ */
+function setShortcut(commandId, key) {
+    const previousId = key ? Object.keys(state.shortcuts).find(id => id !== commandId && state.shortcuts[id] === key) : null;
+    if (previousId) state.shortcuts[previousId] = '';
+    
+    state.shortcuts[commandId] = key;
+    saveShortcuts();
+    return previousId ? commands.get(previousId).label : null;
+}
 
 /**
- * Filter notes by search term and category
- * @param {Array} notes - The notes to filter
- * @param {string} searchTerm - The search term
- * @param {string} category - The category to filter by
- * @returns {Array} - The filtered notes
+ * Turn a keydown event into a key combination such as "Ctrl+Shift+N"
+ * @param {KeyboardEvent} e - The keydown event
+ * @returns {string|null} - The key combination, or null for a lone modifier key
  */
-function filterNotes(notes, searchTerm, category) {
-    return notes.filter(note => {
-        const matchesSearch = !searchTerm || 
-            note.title.toLowerCase().includes(searchTerm) || 
-            note.content.toLowerCase().includes(searchTerm);
-        
-        const matchesCategory = category === 'all' || 
-            note.category?.toLowerCase() === category.toLowerCase();
-        
-        return matchesSearch && matchesCategory;
-    });
+function getKeyCombo(e) {
+    if (['Control', 'Alt', 'Shift', 'Meta'].includes(e.key)) return null;
+    
+    // Letters and digits by physical key, since Alt and Shift change e.key on some layouts
+    let key = e.key;
+    if (/^Key[A-Z]$/.test(e.code)) {
+        key = e.code.slice(3);
+    } else if (/^Digit\d$/.test(e.code)) {
+        key = e.code.slice(5);
+    } else if (key === ' ') {
+        key = 'Space';
+    } else if (key.length === 1) {
+        key = key.toUpperCase();
+    }
+    
+    const parts = [];
+    if (e.ctrlKey || e.metaKey) parts.push('Ctrl');
+    if (e.altKey) parts.push('Alt');
+    // Shift is already part of symbols such as "?"
+    if (e.shiftKey && (key.length > 1 || /[A-Z0-9]/.test(key))) parts.push('Shift');
+    parts.push(key);
+    return parts.join('+');
 }
 
 /**
- * Format a date string into a readable format
- * @param {string} dateString - The date string to format
- * @param {string} format - The format to use (relative, short, full)
- * @returns {string} - The formatted date string
+ * Render a key combination as keyboard keys
+ * @param {string} key - The key combination
+ * @returns {string} - HTML string
  */
-function formatDateTime(dateString, format = 'relative') {
-    if (!dateString) return 'N/A';
+function formatShortcut(key) {
+    if (!key) return '<span class="text-muted">None</span>';
+    return key.split(/\+(?!$)/).map(part => `<kbd>${escapeHtml(part)}</kbd>`).join('+');
+}
+
+/**
+ * Run the command bound to a pressed key
+ * @param {KeyboardEvent} e - The keydown event
+ */
+function handleShortcutKeydown(e) {
+    if (e.defaultPrevented || e.isComposing || activeOverlay) return;
     
-    const date = new Date(dateString);
-    if (isNaN(date.getTime())) return 'Invalid date';
+    const key = getKeyCombo(e);
+    const commandId = key && Object.keys(state.shortcuts).find(id => state.shortcuts[id] === key);
+    if (!commandId) return;
     
-    const now = new Date();
-    const diffInSeconds = Math.floor((now - date) / 1000);
+    // Plain keys type text in form fields
+    const command = commands.get(commandId);
+    const isTyping = e.target.closest?.('input, textarea, select, [contenteditable="true"]');
+    if ((isTyping && !command.allowInInputs) || !command.isAvailable()) return;
     
-    // Relative time (e.g., "2 hours ago")
-    if (format === 'relative') {
-        if (diffInSeconds < 60) return 'Just now';
-        if (diffInSeconds < 3600) return `${Math.floor(diffInSeconds / 60)}m ago`;
-        if (diffInSeconds < 86400) return `${Math.floor(diffInSeconds / 3600)}h ago`;
-        if (diffInSeconds < 604800) return `${Math.floor(diffInSeconds / 86400)}d ago`;
+    e.preventDefault();
+    runCommand(commandId);
+}
+
+/**
+ * Run a command
+ * @param {string} commandId - The command to run
+ */
+function runCommand(commandId) {
+    try {
+        commands.get(commandId).run();
+    } catch (error) {
+        console.error(`Error running command ${commandId}:`, error);
+        showError('Failed to run the command');
     }
+}
+
+/**
+ * Get the note whose card has focus, or the open note if the focus is inside it.
+ * Nothing is returned while the focus is elsewhere, so single-key shortcuts
+ * never act on a note the user isn't looking at.
+ * @returns {string|null} - The note ID
+ */
+function getFocusedNoteId() {
+    const focused = document.activeElement;
+    if (!focused || !elements.mainContent.contains(focused)) return null;
     
-    // Short format (e.g., "Jan 1, 2023")
-    if (format === 'short') {
-        return date.toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+    if (state.currentView === 'note') {
+        const noteId = state.currentParams.noteId;
+        return focused.closest('.note-detail') && state.notes.some(n => n.id === noteId) ? noteId : null;
     }
+    const card = focused.closest('.note-card');
+    return card ? card.id.replace(/^note-/, '') : null;
+}
+
+/**
+ * Move the keyboard focus to a note card
+ * @param {string} noteId - The ID of the note
+ * @returns {boolean} - Whether the card is shown
+ */
+function focusNoteCard(noteId) {
+    const card = document.getElementById(`note-${noteId}`);
+    if (!card) return false;
     
-    // Full format (e.g., "January 1, 2023, 12:00 PM")
-    return date.toLocaleString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+    card.tabIndex = -1;
+    card.focus();
+    card.scrollIntoView?.({ block: 'nearest' });
+    return true;
 }
 
 /**
- * Format note content for display
- * @param {string} content - The note content
- * @returns {string} - The formatted HTML
+ * Focus the next or previous note card, or open the next or previous note
+ * @param {number} step - 1 for the next note, -1 for the previous one
  */
-function formatNoteContent(content) {
-    if (!content) return '';
+function focusAdjacentNote(step) {
+    if (state.currentView === 'note') {
+        document.getElementById(step > 0 ? 'nextNoteBtn' : 'previousNoteBtn')?.click();
+        return;
+    }
     
-    // Simple markdown-like formatting
-    let formatted = escapeHtml(content)
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // **bold**
-        .replace(/\*(.*?)\*/g, '<em>$1</em>') // *italic*
-        .replace(/`([^`]+)`/g, '<code>$1</code>') // `code`
-        .replace(/\n/g, '<br>'); // Line breaks
+    const cards = [...elements.mainContent.querySelectorAll('.note-card')];
+    if (cards.length === 0) return;
     
-    return formatted;
+    const index = cards.indexOf(document.activeElement?.closest('.note-card'));
+    const next = index === -1
+        ? cards[step > 0 ? 0 : cards.length - 1]
+        : cards[Math.min(Math.max(index + step, 0), cards.length - 1)];
+    focusNoteCard(next.id.replace(/^note-/, ''));
 }
 
 /**
- * Get a color for a category
- * @param {string} category - The category name
- * @returns {string} - The color in hex or hsl format
+ * Move the focused note to the trash, keeping the focus in the notes list
  */
-function getCategoryColor(category) {
-    const colors = [
-        '#e3f2fd', '#e8f5e9', '#fff3e0', '#f3e5f5',
-        '#e0f7fa', '#fce4ec', '#f1f8e9', '#fffde7'
-    ];
+async function deleteFocusedNote() {
+    const noteId = getFocusedNoteId();
     
-    // Simple hash function to get a consistent color for each category
-    let hash = 0;
-    for (let i = 0; i < category.length; i++) {
-        hash = category.charCodeAt(i) + ((hash << 5) - hash);
+    if (state.currentView === 'note') {
+        deleteNoteAndShowList(noteId);
+        return;
     }
     
-    const index = Math.abs(hash) % colors.length;
-    return colors[index];
+    const cards = [...elements.mainContent.querySelectorAll('.note-card')];
+    const index = cards.findIndex(card => card.id === `note-${noteId}`);
+    const neighbour = cards[index + 1] || cards[index - 1];
+    
+    if (await deleteNote(noteId) && neighbour) {
+        focusNoteCard(neighbour.id.replace(/^note-/, ''));
+    }
 }
 
 /**
- * Set up form validation
- * @param {HTMLElement} form - The form element
+ * Score how well a search matches a label, with the characters in order but not necessarily adjacent
+ * @param {string} search - What the user typed
+ * @param {string} label - The text to match
+ * @returns {number|null} - The score (higher is better), or null if it doesn't match
  */
-function setupFormValidation(form) {
-    // Add validation classes on blur
-    const inputs = form.querySelectorAll('input[required], textarea[required]');
-    inputs.forEach(input => {
-        input.addEventListener('blur', () => {
-            validateInput(input);
-        });
-    });
+function getFuzzyScore(search, label) {
+    const needle = search.toLowerCase().replace(/\s+/g, '');
+    const haystack = label.toLowerCase();
+    let score = 0;
+    let position = 0;
+    let previous = -2;
     
-    // Validate on submit
-    form.addEventListener('submit', (e) => {
-        let isValid = true;
-        inputs.forEach(input => {
-            if (!validateInput(input)) {
-                isValid = false;
-            }
-        });
+    for (const char of needle) {
+        const found = haystack.indexOf(char, position);
+        if (found === -1) return null;
         
-        if (!isValid) {
-            e.preventDefault();
-            showError('Please fill in all required fields');
-        }
-    });
+        // Reward runs of adjacent characters and matches at the start of a word
+        if (found === previous + 1) score += 3;
+        if (found === 0 || haystack[found - 1] === ' ') score += 2;
+        score += 1;
+        previous = found;
+        position = found + 1;
+    }
+    return score - haystack.length / 100;
 }
 
 /**
- * Validate a single form input
- * @param {HTMLElement} input - The input element to validate
- * @returns {boolean} - Whether the input is valid
+ * Show a dialog on top of the app, closed with Escape or a click outside it
+ * @param {string} html - The content of the dialog
+ * @param {Object} options - className, the accessible label of the dialog and an optional onClose callback
+ * @returns {HTMLElement} - The dialog
  */
-function validateInput(input) {
-    if (input.required && !input.value.trim()) {
-        input.classList.add('is-invalid');
-        return false;
-    }
+function showOverlay(html, { className = '', label, onClose = null }) {
+    closeOverlay();
     
-    // Additional validation can be added here (e.g., min/max length, pattern, etc.)
+    const overlay = document.createElement('div');
+    overlay.className = 'overlay';
+    overlay.innerHTML = `
+        <div class="overlay-dialog ${className}" role="dialog" aria-modal="true" aria-label="${escapeHtml(label)}">
+            ${html}
+        </div>
+    `;
+    overlay.addEventListener('click', (e) => {
+        if (e.target === overlay) closeOverlay();
+    });
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            closeOverlay();
+        }
+    });
     
-    input.classList.remove('is-invalid');
-    return true;
+    activeOverlay = { element: overlay, returnFocus: document.activeElement, onClose };
+    document.body.appendChild(overlay);
+    return overlay.firstElementChild;
 }
 
-// =============================================
-// Theme Management
-// =============================================
-
 /**
- * Initialize the theme based on user preference or system settings
+ * Close the open dialog and return the focus to where it was
  */
-function initTheme() {
-    const savedTheme = localStorage.getItem(THEME_STORAGE_KEY);
-    const prefersDark = window.matchMedia('(prefers-color-scheme: dark)').matches;
+function closeOverlay() {
+    if (!activeOverlay) return;
     
-    if (savedTheme === 'dark' || (!savedTheme && prefersDark)) {
-        setTheme('dark');
-    } else {
-        setTheme('light');
-    }
-}
-
-/**
- * Set the theme
- * @param {string} theme - The theme to set ('light' or 'dark')
- */
-function setTheme(theme) {
-    state.isDarkMode = theme === 'dark';
-    document.documentElement.setAttribute('data-theme', theme);
-    localStorage.setItem(THEME_STORAGE_KEY, theme);
-    updateThemeButton();
+    const { element, returnFocus, onClose } = activeOverlay;
+    activeOverlay = null;
+    element.remove();
+    if (returnFocus?.isConnected) returnFocus.focus();
+    onClose?.();
 }
 
 /**
- * Toggle between light and dark themes
+ * Show the command palette, which finds and runs any command by name
  */
-function toggleTheme() {
-    const newTheme = state.isDarkMode ? 'light' : 'dark';
-    setTheme(newTheme);
-    showInfo(`Switched to ${newTheme} mode`);
+function showCommandPalette() {
+    const dialog = showOverlay(`
+        <input type="text" 
+               id="commandSearch" 
+               class="form-control" 
+               placeholder="Type a command..." 
+               role="combobox" 
+               aria-expanded="true" 
+               aria-controls="commandList" 
+               aria-label="Search commands" 
+               autocomplete="off">
+        <ul id="commandList" class="command-list" role="listbox" aria-label="Commands"></ul>
+    `, { className: 'command-palette', label: 'Command palette' });
+    
+    const input = dialog.querySelector('#commandSearch');
+    const list = dialog.querySelector('#commandList');
+    let matches = [];
+    let activeIndex = 0;
+    
+    const render = () => {
+        const search = input.value.trim();
+        matches = [...commands.values()]
+            .filter(command => command.id !== 'command-palette' && command.isAvailable())
+            .map(command => ({ command, score: search ? getFuzzyScore(search, command.label) : 0 }))
+            .filter(match => match.score !== null)
+            .sort((a, b) => b.score - a.score)
+            .map(match => match.command);
+        activeIndex = Math.min(activeIndex, Math.max(matches.length - 1, 0));
+        
+        list.innerHTML = matches.length === 0
+            ? '<li class="command-empty text-muted">No matching commands</li>'
+            : matches.map((command, index) => `
+                <li class="command-item ${index === activeIndex ? 'active' : ''}" 
+                    id="command-${command.id}" 
+                    role="option" 
+                    aria-selected="${index === activeIndex}" 
+                    data-command-id="${command.id}">
+                    <span>${escapeHtml(command.label)}</span>
+                    ${state.shortcuts[command.id] ? `<span class="command-key">${formatShortcut(state.shortcuts[command.id])}</span>` : ''}
+                </li>
+            `).join('');
+        
+        if (matches.length > 0) {
+            input.setAttribute('aria-activedescendant', `command-${matches[activeIndex].id}`);
+            list.children[activeIndex].scrollIntoView?.({ block: 'nearest' });
+        } else {
+            input.removeAttribute('aria-activedescendant');
+        }
+    };
+    
+    const run = (commandId) => {
+        closeOverlay();
+        runCommand(commandId);
+    };
+    
+    input.addEventListener('input', () => {
+        activeIndex = 0;
+        render();
+    });
+    input.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (matches.length === 0) return;
+            activeIndex = (activeIndex + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+            render();
+        } else if (e.key === 'Enter' && matches.length > 0) {
+            e.preventDefault();
+            run(matches[activeIndex].id);
+        }
+    });
+    list.addEventListener('click', (e) => {
+        const item = e.target.closest('.command-item');
+        if (item) run(item.dataset.commandId);
+    });
+    
+    render();
+    input.focus();
+    updateLiveMessage('Command palette opened');
 }
 
 /**
- * Update the theme toggle button
+ * Show all keyboard shortcuts, with buttons to change them
  */
-function updateThemeButton() {
-    if (!elements.themeToggle) return;
+function showShortcutHelp() {
+    const dialog = showOverlay(`
+        <div class="overlay-header">
+            <h2>Keyboard Shortcuts</h2>
+            <button class="btn btn-sm btn-outline" id="closeShortcutsBtn" aria-label="Close">✕</button>
+        </div>
+        <p class="text-muted">Press <kbd>Esc</kbd> to close dialogs and messages. 
+            Single-key shortcuts don't apply while typing in a field.</p>
+        <table class="shortcut-table">
+            <tbody id="shortcutRows"></tbody>
+        </table>
+        <div class="form-actions">
+            <button class="btn btn-outline" id="resetShortcutsBtn">Reset All to Defaults</button>
+        </div>
+    `, { className: 'shortcut-help', label: 'Keyboard shortcuts' });
     
-    elements.themeToggle.innerHTML = state.isDarkMode ? '🌞' : '🌙';
-    elements.themeToggle.setAttribute('aria-label', 
-        state.isDarkMode ? 'Switch to light mode' : 'Switch to dark mode');
+    const rows = dialog.querySelector('#shortcutRows');
+    let recordingId = null;
+    
+    const render = () => {
+        rows.innerHTML = [...commands.values()].map(command => `
+            <tr>
+                <td>${escapeHtml(command.label)}</td>
+                <td class="shortcut-key">
+                    ${recordingId === command.id 
+                        ? '<span class="shortcut-recording">Press a key… (Esc to cancel)</span>' 
+                        : formatShortcut(state.shortcuts[command.id])}
+                </td>
+                <td class="shortcut-actions">
+                    <button class="btn btn-sm btn-outline" data-action="change" data-command-id="${command.id}" 
+                            aria-label="Change shortcut for ${escapeHtml(command.label)}">Change</button>
+                    ${state.shortcuts[command.id] !== command.defaultKey ? `
+                        <button class="btn btn-sm btn-outline" data-action="reset" data-command-id="${command.id}" 
+                                aria-label="Reset shortcut for ${escapeHtml(command.label)}">Reset</button>
+                    ` : ''}
+                </td>
+            </tr>
+        `).join('');
+    };
+    
+    // Record the next key combination pressed as the new shortcut
+    dialog.addEventListener('keydown', (e) => {
+        if (!recordingId) return;
+        e.preventDefault();
+        e.stopPropagation();
+        
+        const commandId = recordingId;
+        if (e.key === 'Escape') {
+            recordingId = null;
+            render();
+            rows.querySelector(`[data-action="change"][data-command-id="${commandId}"]`).focus();
+            return;
+        }
+        
+        const key = e.key === 'Backspace' ? '' : getKeyCombo(e);
+        if (key === null) return;
+        
+        recordingId = null;
+        const replaced = setShortcut(commandId, key);
+        render();
+        rows.querySelector(`[data-action="change"][data-command-id="${commandId}"]`).focus();
+        updateLiveMessage(key 
+            ? `${commands.get(commandId).label} is now ${key}${replaced ? `, removed from ${replaced}` : ''}` 
+            : `${commands.get(commandId).label} has no shortcut`);
+    });
+    
+    rows.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        
+        const command = commands.get(button.dataset.commandId);
+        if (button.dataset.action === 'change') {
+            recordingId = command.id;
+            render();
+            rows.querySelector(`[data-command-id="${command.id}"]`).focus();
+            updateLiveMessage(`Press the new shortcut for ${command.label}, or Backspace to remove it`);
+        } else {
+            const replaced = setShortcut(command.id, command.defaultKey);
+            render();
+            rows.querySelector(`[data-action="change"][data-command-id="${command.id}"]`).focus();
+            updateLiveMessage(`${command.label} reset to ${command.defaultKey || 'no shortcut'}${replaced ? `, removed from ${replaced}` : ''}`);
+        }
+    });
+    
+    dialog.querySelector('#resetShortcutsBtn').addEventListener('click', () => {
+        localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+        loadShortcuts();
+        render();
+        updateLiveMessage('All shortcuts reset to defaults');
+    });
+    dialog.querySelector('#closeShortcutsBtn').addEventListener('click', closeOverlay);
+    
+    render();
+    dialog.querySelector('#closeShortcutsBtn').focus();
+    updateLiveMessage('Keyboard shortcuts opened');
 }
 
 // =============================================
@@ -857,6 +8966,51 @@ function escapeHtml(str) {
         .replace(/'/g, '&#039;');
 }
 
+/**
+ * Generate a unique ID for a note
+ * @returns {string} - The generated ID
+ */
+function generateId() {
+    return `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Check whether a value is a parseable date string
+ * @param {*} value - The value to check
+ * @returns {boolean} - Whether the value is a valid date string
+ */
+function isValidDateString(value) {
+    return typeof value === 'string' && value.trim() !== '' && !isNaN(new Date(value).getTime());
+}
+
+/**
+ * Check whether a value is a 6-digit hex color, as produced by <input type="color">
+ * @param {*} value - The value to check
+ * @returns {boolean} - Whether the value is a hex color
+ */
+function isValidHexColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+}
+
+/**
+ * Let the user download generated content as a file
+ * @param {string|Uint8Array} content - The file content
+ * @param {string} fileName - The name to save the file as
+ * @param {string} type - The MIME type
+ */
+function downloadFile(content, fileName, type) {
+    const blob = new Blob([content], { type });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    
+    a.href = url;
+    a.download = fileName;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Debounce a function
  * @param {Function} func - The function to debounce
@@ -880,9 +9034,10 @@ function debounce(func, delay) {
 /**
  * Show a success message
  * @param {string} message - The message to display
+ * @param {Object} options - Optional action button, see showMessage
  */
-function showSuccess(message) {
-    showMessage(message, 'success');
+function showSuccess(message, options = {}) {
+    showMessage(message, 'success', options);
     updateLiveMessage(`Success: ${message}`);
 }
 
@@ -899,54 +9054,222 @@ function showError(message) {
 /**
  * Show an info message
  * @param {string} message - The info message to display
+ * @param {Object} options - Optional action button, see showMessage
  */
-function showInfo(message) {
-    showMessage(message, 'info');
+function showInfo(message, options = {}) {
+    showMessage(message, 'info', options);
     updateLiveMessage(`Info: ${message}`);
 }
 
 /**
- * Show a message to the user
+ * Show a message to the user as a toast and add it to the notification history
  * @param {string} message - The message to display
- * @param {string} type - The type of message (success, error, info)
- */
-function showMessage(message, type = 'info') {
-    // Remove any existing messages
-    clearMessages();
-    
-    // Create message element
-    const messageEl = document.createElement('div');
-    messageEl.className = `alert alert-${type} fade-in`;
-    messageEl.textContent = message;
-    messageEl.setAttribute('role', 'alert');
-    messageEl.setAttribute('aria-live', 'polite');
-    
-    // Add close button
-    const closeBtn = document.createElement('button');
-    closeBtn.className = 'close-btn';
-    closeBtn.innerHTML = '&times;';
-    closeBtn.setAttribute('aria-label', 'Close message');
-    closeBtn.addEventListener('click', () => {
-        messageEl.remove();
-    });
-    
-    messageEl.appendChild(closeBtn);
-    
-    // Add to the top of the main content
-    const firstChild = elements.mainContent.firstChild;
-    if (firstChild) {
-        elements.mainContent.insertBefore(messageEl, firstChild);
-    } else {
-        elements.mainContent.appendChild(messageEl);
+ * @param {string} type - The type of message (success, error, info, warning)
+ * @param {Object} options - { action: { label, run } } for a button such as Undo, and
+ *                           duration in ms to override TOAST_DURATIONS (0 keeps the toast until closed)
+ * @returns {Object} - The notification
+ */
+function showMessage(message, type = 'info', options = {}) {
+    const notification = {
+        id: generateId(),
+        message,
+        type,
+        action: options.action || null,
+        actionDone: false,
+        duration: options.duration,
+        read: false,
+        createdAt: new Date().toISOString()
+    };
+    
+    state.notifications.unshift(notification);
+    state.notifications.splice(MAX_NOTIFICATIONS);
+    updateNotificationCount();
+    
+    toasts.queued.push(notification);
+    showQueuedToasts();
+    return notification;
+}
+
+/**
+ * Show queued toasts while there is room for them
+ */
+function showQueuedToasts() {
+    while (toasts.visible.length < MAX_VISIBLE_TOASTS && toasts.queued.length > 0) {
+        showToast(toasts.queued.shift());
     }
+}
+
+/**
+ * Show a notification as a toast that closes by itself
+ * @param {Object} notification - The notification
+ */
+function showToast(notification) {
+    const toastEl = document.createElement('div');
+    toastEl.className = `alert alert-${notification.type} toast fade-in`;
+    toastEl.innerHTML = `
+        <span class="toast-message">${escapeHtml(notification.message)}</span>
+        ${notification.action ? `
+            <button type="button" class="btn btn-sm btn-outline toast-action">${escapeHtml(notification.action.label)}</button>
+        ` : ''}
+        <button type="button" class="close-btn" aria-label="Close message">&times;</button>
+    `;
     
-    // Auto-remove after 5 seconds
-    setTimeout(() => {
-        if (messageEl.parentNode) {
-            messageEl.classList.add('fade-out');
-            setTimeout(() => messageEl.remove(), 300);
-        }
-    }, 5000);
+    // Toasts with a button stay long enough to use it
+    const duration = notification.duration ?? TOAST_DURATIONS[notification.type] ?? TOAST_DURATIONS.info;
+    const toast = {
+        notification,
+        element: toastEl,
+        timer: null,
+        remaining: notification.action && duration ? Math.max(duration, ACTION_TOAST_DURATION) : duration
+    };
+    
+    toastEl.querySelector('.toast-action')?.addEventListener('click', () => {
+        dismissToast(toast);
+        runNotificationAction(notification.id);
+    });
+    toastEl.querySelector('.close-btn').addEventListener('click', () => dismissToast(toast));
+    
+    // Don't close while the user is reading or about to click it
+    toastEl.addEventListener('mouseenter', () => pauseToastTimer(toast));
+    toastEl.addEventListener('mouseleave', () => startToastTimer(toast));
+    toastEl.addEventListener('focusin', () => pauseToastTimer(toast));
+    toastEl.addEventListener('focusout', () => startToastTimer(toast));
+    
+    toasts.visible.push(toast);
+    elements.toastContainer?.appendChild(toastEl);
+    startToastTimer(toast);
+}
+
+/**
+ * Start or resume the countdown of a toast
+ * @param {Object} toast - The toast
+ */
+function startToastTimer(toast) {
+    pauseToastTimer(toast);
+    if (!toast.remaining) return;
+    
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => dismissToast(toast), toast.remaining);
+}
+
+/**
+ * Pause the countdown of a toast
+ * @param {Object} toast - The toast
+ */
+function pauseToastTimer(toast) {
+    if (!toast.timer) return;
+    
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = Math.max(toast.remaining - (Date.now() - toast.startedAt), 1000);
+}
+
+/**
+ * Close a toast and make room for the next one
+ * @param {Object} toast - The toast
+ */
+function dismissToast(toast) {
+    if (!toasts.visible.includes(toast)) return;
+    
+    pauseToastTimer(toast);
+    toasts.visible = toasts.visible.filter(t => t !== toast);
+    toast.element.classList.add('fade-out');
+    setTimeout(() => toast.element.remove(), 300);
+    showQueuedToasts();
+}
+
+/**
+ * Run the action of a notification, at most once
+ * @param {string} notificationId - The ID of the notification
+ */
+function runNotificationAction(notificationId) {
+    const notification = state.notifications.find(n => n.id === notificationId);
+    if (!notification?.action || notification.actionDone) return;
+    
+    notification.actionDone = true;
+    try {
+        notification.action.run();
+    } catch (error) {
+        console.error('Error running notification action:', error);
+        showError(`Failed to ${notification.action.label.toLowerCase()}`);
+    }
+}
+
+/**
+ * Get the latest notification with an Undo action that hasn't been used
+ * @returns {Object|undefined} - The notification
+ */
+function getLastUndoNotification() {
+    return state.notifications.find(n => n.action?.label === 'Undo' && !n.actionDone);
+}
+
+/**
+ * Update the unread count on the notifications button
+ */
+function updateNotificationCount() {
+    if (!elements.notificationCount) return;
+    
+    const unread = state.notifications.filter(n => !n.read).length;
+    elements.notificationCount.textContent = unread > 0 ? unread : '';
+    elements.notificationCount.setAttribute('aria-label', `${unread} unread notifications`);
+}
+
+/**
+ * Show the messages of this session, with the actions that can still be used
+ */
+function showNotificationHistory() {
+    const dialog = showOverlay(`
+        <div class="overlay-header">
+            <h2>Notifications</h2>
+            <button class="btn btn-sm btn-outline" id="closeNotificationsBtn" aria-label="Close">✕</button>
+        </div>
+        <ul class="notification-list" id="notificationList"></ul>
+        <div class="form-actions">
+            <button class="btn btn-outline" id="clearNotificationsBtn">Clear History</button>
+        </div>
+    `, { className: 'notification-history', label: 'Notifications' });
+    
+    const list = dialog.querySelector('#notificationList');
+    const render = () => {
+        list.innerHTML = state.notifications.length === 0
+            ? '<li class="text-muted">No notifications yet</li>'
+            : state.notifications.map(notification => `
+                <li class="notification-item notification-${notification.type} ${notification.read ? '' : 'unread'}">
+                    <div>
+                        <span>${escapeHtml(notification.message)}</span>
+                        <small class="text-muted" title="${formatDateTime(notification.createdAt, 'full')}">
+                            ${formatDateTime(notification.createdAt, 'time')}
+                        </small>
+                    </div>
+                    ${notification.action && !notification.actionDone ? `
+                        <button class="btn btn-sm btn-outline" data-notification-id="${notification.id}">
+                            ${escapeHtml(notification.action.label)}
+                        </button>
+                    ` : ''}
+                </li>
+            `).join('');
+        
+        state.notifications.forEach(notification => { notification.read = true; });
+        updateNotificationCount();
+    };
+    
+    list.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-notification-id]');
+        if (!button) return;
+        
+        closeOverlay();
+        runNotificationAction(button.dataset.notificationId);
+    });
+    dialog.querySelector('#clearNotificationsBtn').addEventListener('click', () => {
+        state.notifications = [];
+        render();
+        updateLiveMessage('Notification history cleared');
+    });
+    dialog.querySelector('#closeNotificationsBtn').addEventListener('click', closeOverlay);
+    
+    render();
+    dialog.querySelector('#closeNotificationsBtn').focus();
+    updateLiveMessage(`${state.notifications.length} notifications`);
 }
 
 /**
@@ -955,6 +9278,9 @@ function showMessage(message, type = 'info') {
 function clearMessages() {
     const messages = elements.mainContent.querySelectorAll('.alert');
     messages.forEach(msg => msg.remove());
+    
+    toasts.queued = [];
+    [...toasts.visible].forEach(dismissToast);
 }
 
 /**
@@ -974,6 +9300,75 @@ function updateLiveMessage(message, politeness = 'polite') {
     elements.liveRegion.textContent = message;
 }
 
+// =============================================
+// Offline Support
+// =============================================
+
+/**
+ * Register the service worker that lets the app load offline, and offer its updates
+ */
+function registerServiceWorker() {
+    // Service workers need http(s); the app still works without one
+    if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+    
+    // Buttons of reminder notifications, clicked while this tab is open
+    navigator.serviceWorker.addEventListener('message', (e) => {
+        if (e.data?.type === 'REMINDER_ACTION') {
+            handleReminderAction(e.data.action, e.data.noteId);
+        }
+    });
+    
+    let updateRequested = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateRequested) {
+            window.location.reload();
+        } else {
+            // Another tab installed the update
+            showInfo('Notes App was updated in another tab', {
+                duration: 0,
+                action: { label: 'Reload', run: () => window.location.reload() }
+            });
+        }
+    });
+    
+    const offerUpdate = (worker) => {
+        showInfo('A new version of Notes App is available', {
+            duration: 0,
+            action: {
+                label: 'Update',
+                run: () => {
+                    updateRequested = true;
+                    worker.postMessage({ type: 'SKIP_WAITING' });
+                }
+            }
+        });
+    };
+    
+    navigator.serviceWorker.register(SERVICE_WORKER_URL)
+        .then(registration => {
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                offerUpdate(registration.waiting);
+            }
+            
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    if (worker.state !== 'installed') return;
+                    
+                    if (navigator.serviceWorker.controller) {
+                        offerUpdate(worker);
+                    } else {
+                        showInfo('Notes App is ready to work offline');
+                    }
+                });
+            });
+            
+            // Tabs that stay open for days should still hear about new versions
+            setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+        })
+        .catch(error => console.error('Error registering service worker:', error));
+}
+
 // =============================================
 // Initialize the application when the DOM is loaded
 // =============================================
@@ -1003,19 +9398,44 @@ document.addEventListener('DOMContentLoaded', () => {
             const noteId = e.target.closest('.pin-button').dataset.noteId;
             togglePinNote(noteId);
         }
+        
+        // Handle the reminder buttons of due notes
+        if (e.target.closest('.mark-done')) {
+            const button = e.target.closest('.mark-done');
+            markNoteDone(button.dataset.noteId, button.dataset.done === 'true');
+        }
+        if (e.target.closest('.snooze-reminder')) {
+            snoozeReminder(e.target.closest('.snooze-reminder').dataset.noteId);
+        }
+        
+        // Handle tag chip clicks on note cards
+        if (e.target.closest('.note-tags .tag-chip')) {
+            toggleTagFilter(e.target.closest('.tag-chip').dataset.tag);
+        }
+        
+        // Open a note from its card title; modified clicks keep the browser's link behaviour
+        const noteLink = e.target.closest('.note-link');
+        if (noteLink && !e.ctrlKey && !e.metaKey && !e.shiftKey && e.button === 0) {
+            e.preventDefault();
+            navigateTo('note', { noteId: noteLink.dataset.noteId });
+        }
+        
+        // Handle selection checkboxes on note cards (Shift+click selects a range)
+        if (e.target.matches('.note-select')) {
+            handleNoteSelect(e.target, e.shiftKey);
+        }
     });
     
     // Handle keyboard navigation
     document.addEventListener('keydown', (e) => {
-        // Close messages with Escape key
+        // Close messages with Escape key (other keys are handled by handleShortcutKeydown)
         if (e.key === 'Escape') {
             clearMessages();
-        }
-        
-        // Toggle theme with Ctrl+Alt+T
-        if (e.ctrlKey && e.altKey && e.key.toLowerCase() === 't') {
-            e.preventDefault();
-            toggleTheme();
+            
+            // Leave selection mode of the notes list
+            if (state.selectionMode && state.currentView === 'view') {
+                setSelectionMode(false);
+            }
         }
     });
     
@@ -1036,10 +9456,29 @@ document.addEventListener('DOMContentLoaded', () => {
 window.app = {
     state,
     notes: () => state.notes,
+    storage: () => persistence.adapter?.name,
     clearData: () => {
-        localStorage.removeItem(NOTES_STORAGE_KEY);
+        persistence.queue = persistence.queue.then(() => persistence.adapter?.clear());
+        persistence.snapshots = { notes: new Map(), trash: new Map() };
         localStorage.removeItem(THEME_STORAGE_KEY);
+        localStorage.removeItem(CATEGORIES_STORAGE_KEY);
+        localStorage.removeItem(SETTINGS_STORAGE_KEY);
+        localStorage.removeItem(DRAFTS_STORAGE_KEY);
+        localStorage.removeItem(SHORTCUTS_STORAGE_KEY);
+        localStorage.removeItem(VAULT_STORAGE_KEY);
+        localStorage.removeItem(REMINDERS_STORAGE_KEY);
+        if (persistence.adapter?.inner) persistence.adapter = persistence.adapter.inner;
+        vault.keys = new Map();
+        vault.drafts = null;
+        stopAutoLock();
         state.notes = [];
+        state.trash = [];
+        rebuildSearchIndex();
+        scheduleReminders();
+        loadSettings();
+        loadShortcuts();
+        loadCategories();
+        updateTrashCount();
         showSuccess('All app data has been cleared');
         showWelcomeScreen();
     }
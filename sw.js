@@ -0,0 +1,94 @@
+/**
+ * Notes Management App - Service Worker
+ * 
+ * Precaches the app shell so the app loads without a network connection.
+ * Bump VERSION together with the footer version in index.html on every
+ * deploy: the changed file makes open tabs offer the update.
+ */
+
+const VERSION = '1.1.0';
+const CACHE_PREFIX = 'notesApp-';
+const CACHE_NAME = `${CACHE_PREFIX}${VERSION}`;
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'script.js',
+    'style.css',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+/**
+ * Cache every file of this version, bypassing the HTTP cache
+ */
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.addAll(PRECACHE_URLS.map(url => new Request(url, { cache: 'reload' }))))
+    );
+});
+
+/**
+ * Remove the caches of previous versions
+ */
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys().then(keys => Promise.all(
+            keys
+                .filter(key => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map(key => caches.delete(key))
+        ))
+    );
+});
+
+/**
+ * Take over open tabs once the user accepts the update (see registerServiceWorker)
+ */
+self.addEventListener('message', (event) => {
+    if (event.data?.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Serve the app from the cache, falling back to the network
+ */
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+    
+    // Every page of the app (note links, list state, shared text) is index.html with a different query
+    const cacheKey = request.mode === 'navigate' ? 'index.html' : request;
+    event.respondWith(
+        caches.open(CACHE_NAME)
+            .then(cache => cache.match(cacheKey, { ignoreSearch: true }))
+            .then(cached => cached || fetch(request))
+    );
+});
+
+/**
+ * Run the buttons of reminder notifications (see showReminderNotification):
+ * an open tab handles them, otherwise the note opens in a new one
+ */
+self.addEventListener('notificationclick', (event) => {
+    const { noteId } = event.notification.data || {};
+    event.notification.close();
+    if (!noteId) return;
+    
+    const action = event.action || 'open';
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const client = windows.find(w => w.focused) || windows[0];
+            if (client) {
+                client.postMessage({ type: 'REMINDER_ACTION', action, noteId });
+                return action === 'open' ? client.focus() : undefined;
+            }
+            
+            const url = new URL('./', self.location);
+            url.searchParams.set('view', 'note');
+            url.searchParams.set('id', noteId);
+            if (action !== 'open') url.searchParams.set('reminderAction', action);
+            return self.clients.openWindow(url.href);
+        })
+    );
+});